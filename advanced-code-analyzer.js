@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { listProjectFiles } = require('./file-walker');
 
 class AdvancedCodeAnalyzer {
   constructor() {
@@ -48,7 +49,7 @@ class AdvancedCodeAnalyzer {
       imports: new Map()
     };
 
-    const files = this.getAllFiles(projectPath);
+    const files = listProjectFiles(projectPath);
     
     for (const file of files) {
       if (this.isCodeFile(file.ext)) {
@@ -323,29 +324,6 @@ class AdvancedCodeAnalyzer {
   }
 
   // Helper methods
-  getAllFiles(dir) {
-    const files = [];
-    const scan = (currentDir) => {
-      try {
-        const items = fs.readdirSync(currentDir);
-        items.forEach(item => {
-          const fullPath = path.join(currentDir, item);
-          const stat = fs.statSync(fullPath);
-          if (stat.isFile()) {
-            files.push({
-              path: fullPath.replace(dir, ''),
-              ext: path.extname(item)
-            });
-          } else if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-            scan(fullPath);
-          }
-        });
-      } catch (error) {}
-    };
-    scan(dir);
-    return files;
-  }
-
   isCodeFile(ext) {
     return ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.php', '.rb', '.go', '.cs'].includes(ext);
   }
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = process.env.ANALYSIS_CACHE_DIR || path.join(__dirname, '.cache', 'analysis');
+const MAX_AGE_DAYS = parseInt(process.env.ANALYSIS_CACHE_MAX_AGE_DAYS || '30', 10);
+
+// Bump when the layout of cache entries changes
+const CACHE_FORMAT = 1;
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Version of everything a per-file result depends on besides the file itself: patterns,
+// project rules, baseline. Regular expressions count by their source and flags.
+function rulesetVersion(...parts) {
+  return hash(JSON.stringify(parts, (key, value) => (value instanceof RegExp ? value.toString() : value)));
+}
+
+// Per-file scan results on disk, keyed by the file's path and content hash and the ruleset
+// version of the analyzer, so a re-scan only evaluates files that changed. Entries are plain
+// JSON files shared by every analysis and every scan worker; a broken or missing entry is
+// just a miss.
+class AnalysisCache {
+  constructor({ dir = DEFAULT_DIR } = {}) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  key(task, version, filePath, content) {
+    return hash([CACHE_FORMAT, task, version, filePath, hash(content)].join('\0'));
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  // The cached result, or undefined on a miss (null is a valid result)
+  get(key) {
+    const entryPath = this.entryPath(key);
+    try {
+      const { result } = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      // Entries in use are kept by prune()
+      const now = new Date();
+      fs.utimesSync(entryPath, now, now);
+      return result;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  set(key, result) {
+    const entryPath = this.entryPath(key);
+    // Written under a temporary name so a parallel reader never sees half an entry
+    const tempPath = `${entryPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ result }));
+      fs.renameSync(tempPath, entryPath);
+    } catch (error) {
+      // A full or read-only disk only costs the next scan its cache hit
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  // analyzer.scanFile through the cache: { result, cached }. state.version is the analyzer's
+  // ruleset version, so changed rules or baseline never reuse old results.
+  scanFile(task, analyzer, project, file, state) {
+    const content = project.read(file.path);
+    if (content === null) {
+      return { result: analyzer.scanFile(project, file, state), cached: false };
+    }
+
+    const key = this.key(task, state.version, file.path, content);
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      return { result: cached, cached: true };
+    }
+
+    const result = analyzer.scanFile(project, file, state);
+    this.set(key, result);
+    return { result, cached: false };
+  }
+
+  // Removes entries nobody has read for maxAgeDays
+  prune(maxAgeDays = MAX_AGE_DAYS) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    fs.readdirSync(this.dir).forEach(bucket => {
+      const bucketPath = path.join(this.dir, bucket);
+      let entries;
+      try {
+        entries = fs.readdirSync(bucketPath);
+      } catch (error) {
+        return;
+      }
+      entries.forEach(name => {
+        const entryPath = path.join(bucketPath, name);
+        try {
+          if (fs.statSync(entryPath).mtimeMs < cutoff) {
+            fs.rmSync(entryPath, { force: true });
+            removed++;
+          }
+        } catch (error) {
+          // Removed by someone else
+        }
+      });
+    });
+
+    if (removed > 0) {
+      console.log(`🧹 Rensade ${removed} gamla poster i analyscachen`);
+    }
+    return removed;
+  }
+}
+
+let sharedCache = null;
+
+function getCache() {
+  if (!sharedCache) sharedCache = new AnalysisCache();
+  return sharedCache;
+}
+
+module.exports = AnalysisCache;
+module.exports.getCache = getCache;
+module.exports.hash = hash;
+module.exports.rulesetVersion = rulesetVersion;
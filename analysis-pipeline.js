@@ -0,0 +1,296 @@
+const { fingerprintSuggestion } = require('./fingerprint');
+const { scopeToChangeSet } = require('./change-set');
+const Codebase = require('./codebase');
+const CodeAnalyzer = require('./analyzer');
+const EnhancedAnalyzer = require('./enhanced-analyzer-simple');
+const IntelligentCodeAnalyzer = require('./intelligent-code-analyzer');
+const DeepCodeAnalyzer = require('./deep-code-analyzer');
+const CodeReplacementAnalyzer = require('./code-replacement-analyzer');
+
+// Passes in priority order - when two passes report the same thing, the first one wins
+const DEFAULT_PASSES = [
+  {
+    name: 'replacement',
+    stage: 'Analyserar kodmönster...',
+    Analyzer: CodeReplacementAnalyzer,
+    extensions: ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.php'],
+    run: (analyzer, context) => analyzer.analyzeCodeForReplacements(context.projectPath, context.scanResult, context.codebase, { onProgress: context.onProgress, signal: context.signal })
+  },
+  {
+    name: 'deep',
+    stage: 'Djupanalys...',
+    Analyzer: DeepCodeAnalyzer,
+    extensions: ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.php', '.rb', '.go', '.cs'],
+    run: (analyzer, context) => analyzer.performDeepAnalysis(context.projectPath, context.scanResult, context.codebase, { onProgress: context.onProgress, signal: context.signal })
+  },
+  {
+    name: 'intelligent',
+    stage: 'Intelligent analys...',
+    Analyzer: IntelligentCodeAnalyzer,
+    extensions: ['.js', '.ts', '.py', '.java', '.php', '.rb', '.go', '.cs', '.cpp', '.c'],
+    run: (analyzer, context) => analyzer.analyzeCodeIntelligently(context.projectPath, context.scanResult, context.codebase, { onProgress: context.onProgress, signal: context.signal })
+  },
+  {
+    name: 'enhanced',
+    stage: 'Förbättrad analys...',
+    Analyzer: EnhancedAnalyzer,
+    extensions: ['.js', '.ts', '.py', '.java'],
+    run: (analyzer, context) => analyzer.analyzeProjectAdvanced(context.projectPath, context.scanResult, context.codebase)
+  },
+  {
+    name: 'basic',
+    stage: 'Grundanalys...',
+    Analyzer: CodeAnalyzer,
+    extensions: null, // Always runs, gives generic suggestions even without code
+    run: (analyzer, context) => analyzer.analyzeProject(context.projectPath, context.scanResult, context.codebase)
+  }
+];
+
+// Suggestion ids from different analyzers that describe the same improvement
+const TOPIC_ALIASES = {
+  replacement_monitoring: 'monitoring',
+  add_monitoring: 'monitoring',
+  replacement_analytics: 'analytics',
+  add_analytics: 'analytics',
+  replacement_auth: 'auth',
+  'auth-improvement': 'auth',
+  security_upgrade: 'input_validation',
+  add_validation: 'input_validation',
+  replacement_search: 'search',
+  'advanced-search': 'search',
+  replacement_payments: 'payments',
+  'payment-optimization': 'payments',
+  add_caching: 'caching',
+  'database-optimization': 'caching'
+};
+
+// Top-level result keys that are merged separately from the extras
+const MERGED_KEYS = ['analysis', 'suggestions', 'suppressed', 'cache'];
+
+class AnalysisPipeline {
+  constructor(passes = DEFAULT_PASSES) {
+    this.passes = passes.map(definition => ({
+      ...definition,
+      analyzer: new definition.Analyzer()
+    }));
+  }
+
+  // Every pass reads the project through the same Codebase; pass the one scanProject used
+  // so nothing is read twice
+  buildContext(projectPath, scanResult, codebase = new Codebase(projectPath)) {
+    return {
+      projectPath,
+      scanResult,
+      codebase,
+      files: codebase.files,
+      extensions: codebase.extensions
+    };
+  }
+
+  async run(projectPath, scanResult, options = {}) {
+    const { onPassStart, onPassProgress, onPassComplete, passes: selectedPasses, changeSet, codebase, signal } = options;
+    const context = this.buildContext(projectPath, scanResult, codebase);
+    // Passes that scan file by file also stop between files
+    context.signal = signal;
+    const outcomes = [];
+
+    for (let index = 0; index < this.passes.length; index++) {
+      // A cancelled or timed out scan stops between passes
+      if (signal) signal.throwIfAborted();
+      const pass = this.passes[index];
+      const skipReason = this.getSkipReason(pass, context, selectedPasses);
+
+      if (skipReason) {
+        outcomes.push({ name: pass.name, status: 'skipped', reason: skipReason });
+        continue;
+      }
+
+      if (onPassStart) onPassStart(pass, index, this.passes.length);
+      // Passes that scan file by file report (done, total, file) as files finish
+      context.onProgress = onPassProgress
+        ? (done, fileCount, file) => onPassProgress(pass, index, this.passes.length, done, fileCount, file)
+        : undefined;
+
+      const startedAt = Date.now();
+      try {
+        const result = await pass.run(pass.analyzer, context);
+        outcomes.push({
+          name: pass.name,
+          status: 'succeeded',
+          durationMs: Date.now() - startedAt,
+          result
+        });
+        console.log(`✅ Pass ${pass.name} succeeded (${result?.suggestions?.length || 0} suggestions)`);
+        if (onPassComplete) onPassComplete(pass, result);
+      } catch (error) {
+        outcomes.push({
+          name: pass.name,
+          status: 'failed',
+          durationMs: Date.now() - startedAt,
+          error: error.message
+        });
+        console.log(`❌ Pass ${pass.name} failed:`, error.message);
+      }
+    }
+
+    // Every pass has read and parsed what it needs by now, drop the contents and ASTs
+    context.codebase.release();
+
+    const succeeded = outcomes.filter(o => o.status === 'succeeded');
+    if (succeeded.length === 0) {
+      const errors = outcomes.filter(o => o.status === 'failed').map(o => `${o.name}: ${o.error}`);
+      throw new Error(`Alla analyspass misslyckades${errors.length ? ` (${errors.join('; ')})` : ''}`);
+    }
+
+    const merged = {
+      ...this.mergeExtras(succeeded),
+      analysis: this.mergeAnalysis(succeeded),
+      suggestions: this.mergeSuggestions(succeeded),
+      suppressed: this.mergeSuppressed(succeeded),
+      cache: this.mergeCache(succeeded),
+      passes: outcomes.map(({ result, ...outcome }) => ({
+        ...outcome,
+        suggestions: result ? (result.suggestions || []).length : undefined,
+        cache: result ? result.cache : undefined
+      }))
+    };
+    if (merged.cache.files > 0) {
+      console.log(`💾 Analyscache: ${merged.cache.hits} av ${merged.cache.files} filer återanvända (${Math.round(merged.cache.hitRate * 100)}%)`);
+    }
+
+    return changeSet ? this.scopeToChange(merged, changeSet) : merged;
+  }
+
+  // Pull-request mode: the passes saw the whole repo so purpose and architecture are right,
+  // but only findings in the changed files are reported, introduced ones first
+  scopeToChange(merged, changeSet) {
+    const { introduced, preExisting, ...pullRequest } = scopeToChangeSet(merged.suggestions, changeSet);
+
+    return {
+      ...merged,
+      suggestions: [...introduced, ...preExisting].map((suggestion, index) => ({ ...suggestion, priority: index + 1 })),
+      pullRequest: {
+        ...changeSet.refs,
+        ...pullRequest,
+        introduced: introduced.length,
+        preExisting: preExisting.length
+      }
+    };
+  }
+
+  getSkipReason(pass, context, selectedPasses) {
+    if (selectedPasses && !selectedPasses.includes(pass.name)) {
+      return 'Inte vald för denna analys';
+    }
+    if (pass.extensions && !pass.extensions.some(ext => context.extensions.has(ext))) {
+      return 'Inga filer som passet kan analysera';
+    }
+    return null;
+  }
+
+  // Higher priority passes overwrite lower ones, so apply them last
+  mergeAnalysis(succeeded) {
+    return succeeded
+      .slice()
+      .reverse()
+      .reduce((merged, outcome) => ({ ...merged, ...(outcome.result.analysis || {}) }), {});
+  }
+
+  mergeExtras(succeeded) {
+    const extras = {};
+    succeeded.forEach(outcome => {
+      Object.entries(outcome.result).forEach(([key, value]) => {
+        if (!MERGED_KEYS.includes(key) && extras[key] === undefined && value !== undefined) {
+          extras[key] = value;
+        }
+      });
+    });
+    return extras;
+  }
+
+  mergeSuggestions(succeeded) {
+    const merged = new Map();
+
+    succeeded.forEach(outcome => {
+      (outcome.result.suggestions || []).forEach(suggestion => {
+        const key = this.getTopicKey(suggestion);
+        const existing = merged.get(key);
+
+        if (!existing) {
+          merged.set(key, {
+            ...suggestion,
+            topic: key,
+            fingerprint: fingerprintSuggestion(key),
+            detectedBy: [outcome.name],
+            affectedFiles: this.mergeAffectedFiles([], suggestion.affectedFiles)
+          });
+          return;
+        }
+
+        if (!existing.detectedBy.includes(outcome.name)) {
+          existing.detectedBy.push(outcome.name);
+        }
+        existing.affectedFiles = this.mergeAffectedFiles(existing.affectedFiles, suggestion.affectedFiles);
+        if (suggestion.confidence > (existing.confidence || 0)) {
+          existing.confidence = suggestion.confidence;
+        }
+      });
+    });
+
+    // Findings confirmed by several passes are ranked first, otherwise keep pass order
+    return Array.from(merged.values())
+      .map((suggestion, index) => ({ suggestion, index }))
+      .sort((a, b) => (b.suggestion.detectedBy.length - a.suggestion.detectedBy.length) || (a.index - b.index))
+      .map(({ suggestion }, index) => ({ ...suggestion, priority: index + 1 }));
+  }
+
+  // Findings accepted via arkitekt-ignore or the baseline, counted apart from the suggestions
+  mergeSuppressed(succeeded) {
+    const findings = new Map();
+    succeeded.forEach(outcome => {
+      (outcome.result.suppressed || []).forEach(entry => {
+        const key = `${entry.kind}:${entry.fingerprint}`;
+        if (!findings.has(key)) findings.set(key, entry);
+      });
+    });
+
+    const list = Array.from(findings.values());
+    return {
+      total: list.length,
+      inline: list.filter(entry => entry.kind === 'inline').length,
+      baseline: list.filter(entry => entry.kind === 'baseline').length,
+      findings: list
+    };
+  }
+
+  // Files scanned by the passes that go through the analysis cache, and how many were hits
+  mergeCache(succeeded) {
+    let files = 0;
+    let hits = 0;
+    succeeded.forEach(outcome => {
+      if (!outcome.result.cache) return;
+      files += outcome.result.cache.files;
+      hits += outcome.result.cache.hits;
+    });
+    return { files, hits, hitRate: files > 0 ? Math.round((hits / files) * 1000) / 1000 : 0 };
+  }
+
+  getTopicKey(suggestion) {
+    if (suggestion.id) {
+      return TOPIC_ALIASES[suggestion.id] || suggestion.id;
+    }
+    return `${String(suggestion.category || '').toLowerCase()}:${String(suggestion.title || '').toLowerCase().trim()}`;
+  }
+
+  mergeAffectedFiles(current, incoming) {
+    const files = [...current];
+    (incoming || []).forEach(entry => {
+      const duplicate = files.some(f => f.file === entry.file && f.lineNumber === entry.lineNumber);
+      if (!duplicate) files.push(entry);
+    });
+    return files;
+  }
+
+}
+
+module.exports = AnalysisPipeline;
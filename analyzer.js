@@ -1,18 +1,18 @@
-const fs = require('fs');
-const path = require('path');
+const { hasImport, findCalls, hasIdentifierWord } = require('./code-parser');
+const Codebase = require('./codebase');
 
 class CodeAnalyzer {
   constructor() {
     this.improvements = require('./improvements-catalog.json');
   }
 
-  analyzeProject(projectPath, scanResult) {
+  analyzeProject(projectPath, scanResult, project = new Codebase(projectPath)) {
     const analysis = {
       ...scanResult,
-      files: this.getFileStructure(projectPath),
-      dependencies: this.analyzeDependencies(projectPath),
-      patterns: this.detectPatterns(projectPath),
-      gdprRisks: this.checkGDPRRisks(projectPath)
+      files: project.files,
+      dependencies: this.analyzeDependencies(project),
+      patterns: this.detectPatterns(project),
+      gdprRisks: this.checkGDPRRisks(project)
     };
 
     const suggestions = this.generateSuggestions(analysis);
@@ -27,34 +27,11 @@ class CodeAnalyzer {
     };
   }
 
-  getFileStructure(dir) {
-    const files = [];
-    const scan = (currentDir) => {
-      const items = fs.readdirSync(currentDir);
-      items.forEach(item => {
-        const fullPath = path.join(currentDir, item);
-        const stat = fs.statSync(fullPath);
-        if (stat.isFile()) {
-          files.push({
-            path: fullPath.replace(dir, ''),
-            ext: path.extname(item),
-            size: stat.size
-          });
-        } else if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-          scan(fullPath);
-        }
-      });
-    };
-    scan(dir);
-    return files;
-  }
-
-  analyzeDependencies(projectPath) {
+  analyzeDependencies(project) {
     const deps = { packages: [], outdated: [], security: [] };
     
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-      const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const pkg = project.packageJson;
+    if (pkg) {
       deps.packages = Object.keys(pkg.dependencies || {});
       
       // Simulera säkerhetskontroll
@@ -65,7 +42,7 @@ class CodeAnalyzer {
     return deps;
   }
 
-  detectPatterns(projectPath) {
+  detectPatterns(project) {
     const patterns = {
       hasAuth: false,
       hasAPI: false,
@@ -77,10 +54,16 @@ class CodeAnalyzer {
       hasSearch: false
     };
 
-    const files = this.getFileStructure(projectPath);
-    files.forEach(file => {
+    project.files.forEach(file => {
       if (file.ext === '.js' || file.ext === '.ts') {
-        const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
+        const content = project.read(file.path);
+        if (content === null) return;
+        const parsed = project.parse(file.path);
+        
+        if (parsed) {
+          this.detectPatternsInSyntax(parsed, patterns);
+          return;
+        }
         
         if (content.includes('passport') || content.includes('jwt') || content.includes('auth')) {
           patterns.hasAuth = true;
@@ -112,13 +95,43 @@ class CodeAnalyzer {
     return patterns;
   }
 
-  checkGDPRRisks(projectPath) {
+  detectPatternsInSyntax(parsed, patterns) {
+    if (hasImport(parsed, /^(passport|jsonwebtoken|express-jwt|bcrypt|bcryptjs|next-auth)(\/|-|$)/) ||
+        hasIdentifierWord(parsed, 'auth') || hasIdentifierWord(parsed, 'jwt')) {
+      patterns.hasAuth = true;
+    }
+    if (hasImport(parsed, /^(express|fastify|koa|@nestjs\/core)$/) || parsed.routes.length > 0) {
+      patterns.hasAPI = true;
+    }
+    if (hasImport(parsed, /^(mongoose|sequelize|prisma|@prisma\/client|typeorm|knex)$/)) {
+      patterns.hasDatabase = true;
+    }
+    if (hasImport(parsed, /stripe|paypal|braintree/) || hasIdentifierWord(parsed, 'payment')) {
+      patterns.hasPayment = true;
+    }
+    if (hasImport(parsed, /^(multer|formidable|busboy)$/) || hasIdentifierWord(parsed, 'upload')) {
+      patterns.hasFileUpload = true;
+    }
+    if (hasImport(parsed, /^(nodemailer|@sendgrid\/mail)$/)) {
+      patterns.hasEmail = true;
+    }
+    if (hasImport(parsed, /^(socket\.io|socket\.io-client|ws)$/) || findCalls(parsed, /(^|\.)WebSocket$/).length > 0) {
+      patterns.hasChat = true;
+    }
+    if (hasImport(parsed, /elasticsearch|@elastic\/|algoliasearch/) || hasIdentifierWord(parsed, 'search')) {
+      patterns.hasSearch = true;
+    }
+  }
+
+  checkGDPRRisks(project) {
     const risks = [];
-    const files = this.getFileStructure(projectPath);
     
-    files.forEach(file => {
+    project.files.forEach(file => {
       if (file.ext === '.js' || file.ext === '.ts') {
-        const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
+        const content = project.read(file.path);
+        if (content === null) return;
+        const parsed = project.parse(file.path);
+        const code = parsed ? parsed.codeText : content;
         
         // Kontrollera personuppgifter
         const personalDataPatterns = [
@@ -127,7 +140,7 @@ class CodeAnalyzer {
         ];
         
         personalDataPatterns.forEach(pattern => {
-          if (pattern.test(content)) {
+          if (pattern.test(code)) {
             risks.push({
               file: file.path,
               type: 'personal_data',
@@ -138,7 +151,7 @@ class CodeAnalyzer {
         });
 
         // Kontrollera cookies och tracking
-        if (content.includes('cookie') || content.includes('localStorage') || content.includes('sessionStorage')) {
+        if (code.includes('cookie') || code.includes('localStorage') || code.includes('sessionStorage')) {
           risks.push({
             file: file.path,
             type: 'data_storage',
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Recognizable in logs and secret scanners
+const TOKEN_PREFIX = 'ak_';
+
+// What a token may be used for. Tokens only work on the scan API; organizations, sharing,
+// triage and tokens themselves need a signed-in session.
+const SCOPES = {
+  'projects:write': 'Skapa projekt',
+  'scan:write': 'Starta, avbryta och publicera scans',
+  'scan:read': 'Läsa status, förlopp och jämförelser av scans',
+  'findings:read': 'Läsa förslag',
+  'snippets:write': 'Generera kodsnippets'
+};
+
+// The secret is only shown once; Postgres keeps its hash and the first characters so the
+// token can be recognized in the list
+function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token), prefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+}
+
+// The secret is random, so a plain hash is enough to make a leaked table useless
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The token from an "Authorization: Bearer ..." header, or null
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+function unknownScopes(scopes) {
+  return scopes.filter(scope => !SCOPES[scope]);
+}
+
+module.exports = {
+  SCOPES,
+  generateToken,
+  hashToken,
+  bearerToken,
+  unknownScopes
+};
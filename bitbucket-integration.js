@@ -0,0 +1,74 @@
+const SourceProvider = require('./source-provider');
+const { encodeRef } = SourceProvider;
+
+// Bitbucket Cloud. BITBUCKET_TOKEN is an access token, or username:app-password. Archives
+// come from the website, everything else from API 2.0.
+class BitbucketIntegration extends SourceProvider {
+  constructor({
+    baseUrl = 'https://bitbucket.org',
+    apiUrl = 'https://api.bitbucket.org/2.0',
+    token = process.env.BITBUCKET_TOKEN || null
+  } = {}) {
+    super({ name: 'bitbucket', label: 'Bitbucket', baseUrl, apiUrl, token, tokenEnv: 'BITBUCKET_TOKEN' });
+  }
+
+  authorization(token) {
+    return token.includes(':') ? `Basic ${Buffer.from(token).toString('base64')}` : `Bearer ${token}`;
+  }
+
+  archiveUrl({ owner, repo }, ref) {
+    return `${this.baseUrl}/${owner}/${repo}/get/${encodeRef(ref)}.tar.gz`;
+  }
+
+  async getRepositoryInfo(repoUrl, { token } = {}) {
+    const { owner, repo, fullName } = this.parseRepoUrl(repoUrl);
+    const repoInfo = await this.getJson(`${this.apiUrl}/repositories/${owner}/${repo}`, { token, what: fullName });
+
+    return {
+      name: repoInfo.name,
+      description: repoInfo.description,
+      language: repoInfo.language || null,
+      // Bitbucket has no stars, and forks take a call of their own
+      stars: null,
+      forks: null,
+      // In KB, like on GitHub
+      size: repoInfo.size ? Math.round(repoInfo.size / 1024) : null,
+      topics: [],
+      defaultBranch: repoInfo.mainbranch ? repoInfo.mainbranch.name : null,
+      private: repoInfo.is_private,
+      provider: this.name
+    };
+  }
+
+  async listUserRepos({ token = this.token } = {}) {
+    const page = await this.getJson(`${this.apiUrl}/repositories?role=member&sort=-updated_on&pagelen=100`, {
+      token,
+      what: 'dina repositoryn'
+    });
+    return page.values.map(repo => ({
+      id: repo.uuid,
+      name: repo.name,
+      fullName: repo.full_name,
+      description: repo.description,
+      private: repo.is_private,
+      url: repo.links.html.href,
+      defaultBranch: repo.mainbranch ? repo.mainbranch.name : null
+    }));
+  }
+
+  // spec is head..base; Bitbucket diffs against the merge base by default
+  async fetchCompareDiff(repoUrl, baseRef, headRef, { token } = {}) {
+    const { owner, repo, fullName } = this.parseRepoUrl(repoUrl);
+    const spec = `${encodeURIComponent(headRef)}..${encodeURIComponent(baseRef)}`;
+
+    const what = `${baseRef} eller ${headRef} i ${fullName}`;
+    const response = await this.request(`${this.apiUrl}/repositories/${owner}/${repo}/diff/${spec}`, {
+      token,
+      accept: 'text/plain',
+      what
+    });
+    return this.readResponse(response, this.maxDiffBody, what);
+  }
+}
+
+module.exports = BitbucketIntegration;
@@ -0,0 +1,146 @@
+// Pull-request mode: which files and lines a change touches, and which findings it introduced
+
+// Parses a unified diff (git diff, diff -u or GitHub's compare diff) into the lines added or
+// modified in the new version of each file
+function parseUnifiedDiff(text) {
+  const files = new Map();
+  let current = null;
+  let nextLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const startFile = () => {
+    current = { path: null, oldPath: null, status: 'modified', changedLines: new Set() };
+  };
+
+  (text || '').split(/\r?\n/).forEach(line => {
+    // Inside a hunk the header counts tell us where it ends, so "--- " can be a removed line
+    if (oldRemaining > 0 || newRemaining > 0) {
+      if (line.startsWith('+')) {
+        current.changedLines.add(nextLine++);
+        newRemaining--;
+      } else if (line.startsWith('-')) {
+        oldRemaining--;
+      } else if (line.startsWith(' ') || line === '') {
+        nextLine++;
+        oldRemaining--;
+        newRemaining--;
+      }
+      // "\ No newline at end of file" belongs to neither side
+      return;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      startFile();
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (match) {
+        current.oldPath = match[1];
+        current.path = match[2];
+      }
+      return;
+    }
+
+    if (line.startsWith('--- ')) {
+      // Plain diff -u has no "diff --git" line, a new "---" header starts the next file
+      if (!current || current.sawHeader) startFile();
+      current.oldPath = stripDiffPath(line.slice(4));
+      if (current.oldPath === null) current.status = 'added';
+      return;
+    }
+
+    if (line.startsWith('+++ ')) {
+      if (!current) startFile();
+      const newPath = stripDiffPath(line.slice(4));
+      if (newPath === null) {
+        current.status = 'deleted';
+      } else {
+        current.path = newPath;
+      }
+      current.sawHeader = true;
+      if (current.path) files.set(current.path, current);
+      return;
+    }
+
+    if (current && line.startsWith('rename to ')) {
+      current.path = line.slice('rename to '.length);
+      current.status = 'renamed';
+      files.set(current.path, current);
+      return;
+    }
+
+    if (current && line.startsWith('new file mode')) {
+      current.status = 'added';
+      return;
+    }
+
+    const hunk = line.match(/^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk && current) {
+      oldRemaining = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+      nextLine = parseInt(hunk[2], 10);
+      newRemaining = hunk[3] === undefined ? 1 : parseInt(hunk[3], 10);
+    }
+  });
+
+  // Deleted files have nothing left to analyze
+  files.forEach((file, filePath) => {
+    delete file.sawHeader;
+    if (file.status === 'deleted') files.delete(filePath);
+  });
+
+  if (files.size === 0) {
+    throw new Error('Diffen innehåller inga ändrade filer');
+  }
+
+  return { files };
+}
+
+// "a/src/app.js", "b/src/app.js\t2024-01-01 ..." -> "src/app.js"; /dev/null -> null
+function stripDiffPath(raw) {
+  const value = raw.split('\t')[0].trim();
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+function normalizePath(file) {
+  return String(file || '').replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+// Splits the merged suggestions by where their locations are. Locations on changed lines were
+// introduced by the change; other locations in changed files were there before. Suggestions
+// with no location in a changed file fall outside the review and are only counted.
+function scopeToChangeSet(suggestions, changeSet) {
+  const introduced = [];
+  const preExisting = [];
+  let outOfScope = 0;
+
+  suggestions.forEach(suggestion => {
+    const inChangedFiles = (suggestion.affectedFiles || []).filter(entry => changeSet.files.has(normalizePath(entry.file)));
+    const onChangedLines = inChangedFiles.filter(entry =>
+      changeSet.files.get(normalizePath(entry.file)).changedLines.has(entry.lineNumber)
+    );
+
+    if (onChangedLines.length > 0) {
+      introduced.push({ ...suggestion, change: 'introduced', affectedFiles: onChangedLines });
+    } else if (inChangedFiles.length > 0) {
+      preExisting.push({ ...suggestion, change: 'pre-existing', affectedFiles: inChangedFiles });
+    } else {
+      outOfScope++;
+    }
+  });
+
+  return {
+    changedFiles: Array.from(changeSet.files.values()).map(file => ({
+      path: file.path,
+      status: file.status,
+      changedLines: file.changedLines.size
+    })),
+    introduced,
+    preExisting,
+    outOfScope
+  };
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  scopeToChangeSet
+};
@@ -0,0 +1,216 @@
+const GitHubApp = require('./github-app');
+
+const CHECK_NAME = 'AI-Arkitekt';
+const IMPACTS = ['low', 'medium', 'high'];
+// GitHub takes at most 50 annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_ANNOTATIONS = 500;
+const MAX_REVIEW_COMMENTS = 50;
+const MAX_COMMENT_PAGES = 10;
+// Findings triaged as dismissed or fixed neither fail the check nor get comments
+const CLOSED_STATUSES = ['dismissed', 'fixed'];
+// Hidden in each review comment, so a re-scan doesn't comment on the same finding again
+const MARKER = /<!-- ai-arkitekt:(\S+) -->/;
+
+// failOn is the lowest impact that fails the check, or 'none' to never fail it
+function isFailOn(value) {
+  return value === 'none' || IMPACTS.includes(value);
+}
+
+function failsCheck(finding, failOn) {
+  // In pull-request mode only findings on changed lines can fail the check
+  if (finding.change && finding.change !== 'introduced') return false;
+  return failOn !== 'none' && IMPACTS.indexOf(finding.impact) >= IMPACTS.indexOf(failOn);
+}
+
+// Publishes a scan of a GitHub repository as a check run on the scanned commit, with an
+// annotation per code pointer, and in pull-request mode as review comments on the changed
+// lines. A check run is started when the scan starts and completed with the findings; a
+// re-scan of the same commit starts a new run, which GitHub shows in place of the old one.
+class CheckPublisher {
+  constructor({
+    app = new GitHubApp(),
+    failOn = process.env.CHECK_FAIL_IMPACT || 'high'
+  } = {}) {
+    if (!isFailOn(failOn)) {
+      throw new Error(`CHECK_FAIL_IMPACT måste vara none, ${IMPACTS.join(', ')}`);
+    }
+    this.app = app;
+    this.github = app.github;
+    this.failOn = failOn;
+  }
+
+  // The GitHub repository a job's source points at, or null when there's nowhere to publish
+  target(source) {
+    if (!this.app.configured || !source || !source.repoUrl || !this.github.matches(source.repoUrl)) {
+      return null;
+    }
+    return this.github.parseRepoUrl(source.repoUrl);
+  }
+
+  async call(repo, method, endpoint, body, what) {
+    const token = await this.app.installationToken(repo);
+    return this.github.getJson(`${this.github.apiUrl}/repos/${repo.owner}/${repo.repo}${endpoint}`, {
+      token,
+      method,
+      body,
+      what: `${what} i ${repo.fullName}`
+    });
+  }
+
+  // { repo, headSha, id, url }. Every scan gets a run of its own: GitHub appends annotations
+  // on each update, so reusing a completed run would keep the previous scan's findings on it.
+  async start(repo, headSha, scanId) {
+    const run = await this.call(repo, 'POST', '/check-runs', {
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status: 'in_progress',
+      external_id: scanId,
+      started_at: new Date().toISOString()
+    }, 'en check run');
+    return { repo, headSha, id: run.id, url: run.html_url };
+  }
+
+  // Completes the check run with the scan's findings and, for a pull request, comments on
+  // findings on changed lines that haven't been commented on before
+  async complete(check, findings, { failOn = this.failOn, pullRequest = null, pullNumber = null } = {}) {
+    const active = findings.filter(finding => !CLOSED_STATUSES.includes(finding.status));
+    const failing = active.filter(finding => failsCheck(finding, failOn));
+    const annotations = active
+      .flatMap(finding => pointers(finding).map(pointer => annotation(finding, pointer, failsCheck(finding, failOn))))
+      .slice(0, MAX_ANNOTATIONS);
+
+    const conclusion = failing.length > 0 ? 'failure' : 'success';
+    const output = {
+      title: failing.length > 0
+        ? `${failing.length} fynd med påverkan ${failOn} eller högre`
+        : `Inga fynd som stoppar (gräns: ${failOn})`,
+      summary: checkSummary(active, failing, failOn, pullRequest)
+    };
+
+    // The first batch completes the run, the rest are appended to it
+    await this.call(check.repo, 'PATCH', `/check-runs/${check.id}`, {
+      status: 'completed',
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: { ...output, annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST) }
+    }, 'en check run');
+    for (let index = ANNOTATIONS_PER_REQUEST; index < annotations.length; index += ANNOTATIONS_PER_REQUEST) {
+      await this.call(check.repo, 'PATCH', `/check-runs/${check.id}`, {
+        output: { ...output, annotations: annotations.slice(index, index + ANNOTATIONS_PER_REQUEST) }
+      }, 'en check run');
+    }
+
+    const publication = {
+      checkRunId: check.id,
+      checkRunUrl: check.url,
+      headSha: check.headSha,
+      conclusion,
+      failOn,
+      annotations: annotations.length
+    };
+    if (pullRequest) {
+      Object.assign(publication, await this.review(check, active, pullNumber));
+    }
+    return publication;
+  }
+
+  // For a scan that failed or was cancelled, so the run doesn't stay in progress
+  async abort(check, conclusion, message) {
+    await this.call(check.repo, 'PATCH', `/check-runs/${check.id}`, {
+      status: 'completed',
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: { title: conclusion === 'cancelled' ? 'Skanningen avbröts' : 'Skanningen misslyckades', summary: message }
+    }, 'en check run');
+  }
+
+  // The open pull request whose head is the scanned commit
+  async findPullNumber(repo, headSha) {
+    const pulls = await this.call(repo, 'GET', `/commits/${headSha}/pulls`, undefined, `pull requests för ${headSha}`);
+    const pull = pulls.find(candidate => candidate.state === 'open' && candidate.head.sha === headSha) ||
+      pulls.find(candidate => candidate.state === 'open');
+    return pull ? pull.number : null;
+  }
+
+  async commentedFingerprints(repo, pullNumber) {
+    const fingerprints = new Set();
+    for (let page = 1; page <= MAX_COMMENT_PAGES; page++) {
+      const comments = await this.call(repo, 'GET', `/pulls/${pullNumber}/comments?per_page=100&page=${page}`, undefined, `kommentarer på #${pullNumber}`);
+      comments.forEach(comment => {
+        const match = (comment.body || '').match(MARKER);
+        if (match) fingerprints.add(match[1]);
+      });
+      if (comments.length < 100) break;
+    }
+    return fingerprints;
+  }
+
+  async review(check, findings, pullNumber) {
+    const number = pullNumber || await this.findPullNumber(check.repo, check.headSha);
+    if (!number) {
+      return { pullNumber: null, reviewComments: 0 };
+    }
+
+    const commented = await this.commentedFingerprints(check.repo, number);
+    const comments = findings
+      .filter(finding => finding.change === 'introduced')
+      .flatMap(finding => pointers(finding).map(pointer => ({ finding, pointer, key: commentKey(finding, pointer) })))
+      .filter(({ key }) => !commented.has(key))
+      .slice(0, MAX_REVIEW_COMMENTS)
+      .map(({ finding, pointer, key }) => ({
+        path: pointer.path,
+        line: pointer.lineStart,
+        side: 'RIGHT',
+        body: `**${finding.title}** (påverkan: ${finding.impact})\n\n${finding.description || ''}\n\n<!-- ai-arkitekt:${key} -->`
+      }));
+
+    if (comments.length > 0) {
+      await this.call(check.repo, 'POST', `/pulls/${number}/reviews`, {
+        commit_id: check.headSha,
+        event: 'COMMENT',
+        body: `AI-Arkitekt hittade ${comments.length} nya fynd på ändrade rader. Se checken ${CHECK_NAME} för alla fynd.`,
+        comments
+      }, `en granskning av #${number}`);
+    }
+    return { pullNumber: number, reviewComments: comments.length };
+  }
+}
+
+// Code pointers with a line, paths relative to the repository root
+function pointers(finding) {
+  return (finding.code_pointers || [])
+    .filter(pointer => pointer.file && pointer.lineStart)
+    .map(pointer => ({ ...pointer, path: pointer.file.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '') }));
+}
+
+function annotation(finding, pointer, failing) {
+  return {
+    path: pointer.path,
+    start_line: pointer.lineStart,
+    end_line: pointer.lineEnd || pointer.lineStart,
+    annotation_level: failing ? 'failure' : finding.impact === 'low' ? 'notice' : 'warning',
+    title: finding.title.slice(0, 255),
+    message: finding.description || finding.title
+  };
+}
+
+function commentKey(finding, pointer) {
+  return pointer.fingerprint || `${finding.fingerprint || finding.title}:${pointer.path}:${pointer.lineStart}`.replace(/\s+/g, '_');
+}
+
+function checkSummary(active, failing, failOn, pullRequest) {
+  const counts = IMPACTS.slice().reverse().map(impact => `${active.filter(finding => finding.impact === impact).length} ${impact}`);
+  const lines = [`${active.length} öppna fynd (${counts.join(', ')}). Checken misslyckas vid påverkan ${failOn} eller högre.`];
+  if (pullRequest) {
+    lines.push(`Pull request ${pullRequest.base}...${pullRequest.head}: bara fynd på ändrade rader kan få checken att misslyckas.`);
+  }
+  if (failing.length > 0) {
+    lines.push('', ...failing.slice(0, 20).map(finding => `- **${finding.title}** (${finding.impact})`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = CheckPublisher;
+module.exports.isFailOn = isFailOn;
+module.exports.CHECK_NAME = CHECK_NAME;
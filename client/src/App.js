@@ -1,5 +1,15 @@
 import React, { useState } from 'react';
 import './App.css';
+import { API_BASE } from './api';
+import ApiTokens from './components/ApiTokens';
+import ScanProgress from './components/ScanProgress';
+import ResultsDashboard from './components/ResultsDashboard';
+import ScanDiff from './components/ScanDiff';
+
+// Project ids of signed-in uploads, by user and project name
+const PROJECTS_KEY = 'ai-arkitekt-projects';
+// The latest finished scan per project, which the next one is compared with
+const LAST_SCANS_KEY = 'ai-arkitekt-last-scans';
 
 const FilesAnalyzed = ({ files }) => {
   return (
@@ -22,6 +32,7 @@ const FilesAnalyzed = ({ files }) => {
 
 function App() {
   const [file, setFile] = useState(null);
+  const [folderFiles, setFolderFiles] = useState([]);
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -32,19 +43,31 @@ function App() {
   const [githubUser, setGithubUser] = useState(null);
   const [userRepos, setUserRepos] = useState([]);
   const [selectedRepo, setSelectedRepo] = useState(null);
-  
-  const API_BASE = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3002';
+  const [scanId, setScanId] = useState(null);
+  const [scanProjectId, setScanProjectId] = useState(null);
+  const [scanStatus, setScanStatus] = useState(null);
+  const [previousScanId, setPreviousScanId] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  const ARCHIVE_PATTERN = /\.(zip|tar|tgz|tar\.gz)$/i;
 
   const handleFileChange = (e) => {
     setFile(e.target.files[0]);
+    setFolderFiles([]);
+  };
+
+  const handleFolderChange = (e) => {
+    setFolderFiles(Array.from(e.target.files));
+    setFile(null);
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setDragOver(false);
     const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile && droppedFile.name.endsWith('.zip')) {
+    if (droppedFile && ARCHIVE_PATTERN.test(droppedFile.name)) {
       setFile(droppedFile);
+      setFolderFiles([]);
     }
   };
 
@@ -57,18 +80,102 @@ function App() {
     setDragOver(false);
   };
 
+  // Signed-in uploads go to a project of the same name; its id is remembered per user so
+  // later uploads of the project end up in the same place
+  const rememberProject = (name, projectId) => {
+    const projects = JSON.parse(localStorage.getItem(PROJECTS_KEY) || '{}');
+    projects[`${githubUser.id}/${name}`] = projectId;
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects));
+  };
+
+  const projectFor = async (name) => {
+    const projects = JSON.parse(localStorage.getItem(PROJECTS_KEY) || '{}');
+    const known = projects[`${githubUser.id}/${name}`];
+    if (known) return known;
+
+    const res = await fetch(`${API_BASE}/api/projects`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+
+    rememberProject(name, data.projectId);
+    return data.projectId;
+  };
+
+  // Queues the upload as a scan; ScanProgress follows it over /api/scans/:id/events
+  const queueUpload = async (formData) => {
+    const name = file
+      ? file.name.replace(ARCHIVE_PATTERN, '')
+      : (folderFiles[0].webkitRelativePath || folderFiles[0].name).split('/')[0];
+
+    try {
+      const projectId = await projectFor(name);
+      const res = await fetch(`${API_BASE}/api/projects/${projectId}/upload`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        // A remembered project that no longer exists is created again on the next upload
+        if (res.status === 404) rememberProject(name, undefined);
+        setResult({ success: false, error: data.error });
+        return;
+      }
+      setScanProjectId(projectId);
+      setScanId(data.scanId);
+    } catch (error) {
+      console.error('Upload error:', error);
+      setResult({ success: false, error: error.message });
+    }
+  };
+
+  const handleScanFinished = (status) => {
+    setScanStatus(status);
+    if (status.status !== 'done') return;
+
+    const lastScans = JSON.parse(localStorage.getItem(LAST_SCANS_KEY) || '{}');
+    setPreviousScanId(lastScans[scanProjectId] || null);
+    lastScans[scanProjectId] = scanId;
+    localStorage.setItem(LAST_SCANS_KEY, JSON.stringify(lastScans));
+  };
+
   const handleUpload = async () => {
-    if (!file) return;
+    if (!file && folderFiles.length === 0) return;
+    setResult(null);
+    setScanId(null);
+    setScanStatus(null);
+    setPreviousScanId(null);
+    setComparing(false);
     setLoading(true);
     setProgress(10);
     setProgressStage('Laddar upp fil...');
     
     const formData = new FormData();
-    formData.append('zipfile', file);
+    if (file) {
+      formData.append('archive', file);
+    } else {
+      // The server rebuilds the folder from the relative paths
+      folderFiles.forEach(folderFile => {
+        formData.append('files', folderFile);
+        formData.append('paths', folderFile.webkitRelativePath || folderFile.name);
+      });
+    }
+    
+    if (githubUser) {
+      await queueUpload(formData);
+      setLoading(false);
+      return;
+    }
     
+    // Without an account the upload is analyzed in the request itself, without progress
     try {
       setProgress(20);
-      setProgressStage('Skickar till server...');
+      setProgressStage('Analyserar...');
       
       const res = await fetch(`${API_BASE}/upload`, {
         method: 'POST',
@@ -78,46 +185,6 @@ function App() {
       
       console.log('Upload response:', data);
       
-      if (data.analysisId) {
-        setProgress(30);
-        setProgressStage('Startar analys...');
-        
-        const pollProgress = async () => {
-          try {
-            const progressRes = await fetch(`${API_BASE}/api/legacy-progress/${data.analysisId}`);
-            const progressData = await progressRes.json();
-            
-            console.log('Progress data:', progressData);
-            
-            if (progressData.progress !== undefined) {
-              setProgress(progressData.progress);
-              setProgressStage(progressData.stage || 'Analyserar...');
-              
-              if (progressData.progress < 100) {
-                setTimeout(pollProgress, 200);
-              }
-            }
-          } catch (error) {
-            console.error('Progress polling error:', error);
-          }
-        };
-        
-        setTimeout(pollProgress, 100);
-      } else {
-        let currentProgress = 30;
-        const simulateProgress = () => {
-          currentProgress += Math.random() * 20;
-          if (currentProgress > 95) currentProgress = 95;
-          setProgress(currentProgress);
-          setProgressStage('Analyserar kod...');
-          
-          if (currentProgress < 95) {
-            setTimeout(simulateProgress, 500);
-          }
-        };
-        simulateProgress();
-      }
-      
       setResult(data);
       setProgress(100);
       setProgressStage('Klar!');
@@ -132,6 +199,20 @@ function App() {
     window.location.href = `${API_BASE}/auth/github`;
   };
 
+  const handleGithubLogout = async () => {
+    try {
+      await fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setGithubUser(null);
+    setUserRepos([]);
+    setSelectedRepo(null);
+  };
+
   const fetchUserRepos = React.useCallback(async () => {
     try {
       const res = await fetch(`${API_BASE}/api/user/repos`, {
@@ -142,10 +223,11 @@ function App() {
     } catch (error) {
       console.error('Error fetching repos:', error);
     }
-  }, [API_BASE]);
+  }, []);
 
   const handleGithubAnalysis = async () => {
     if (!selectedRepo) return;
+    setScanId(null);
     setLoading(true);
     setProgress(10);
     setProgressStage('Ansluter till GitHub...');
@@ -158,7 +240,7 @@ function App() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
-        body: JSON.stringify({ repoUrl: selectedRepo.html_url })
+        body: JSON.stringify({ repoUrl: selectedRepo.url })
       });
       const data = await res.json();
       
@@ -206,7 +288,7 @@ function App() {
       }
     };
     checkAuth();
-  }, [API_BASE, fetchUserRepos]);
+  }, [fetchUserRepos]);
 
   const renderSuggestions = () => {
     if (!result?.suggestions) return null;
@@ -226,6 +308,11 @@ function App() {
                 <h4 style={{color: '#fca5a5', marginBottom: '8px', fontSize: '1.2rem', fontWeight: '600', textShadow: '0 2px 4px rgba(0,0,0,0.3)'}}>
                   {suggestion.category.toUpperCase()}-PROBLEM
                 </h4>
+                {suggestion.change && (
+                  <span className={`change-badge ${suggestion.change}`}>
+                    {suggestion.change === 'introduced' ? '🆕 Införs i ändringen' : '📦 Fanns sedan tidigare'}
+                  </span>
+                )}
                 <div style={{
                   background: 'rgba(239, 68, 68, 0.2)',
                   border: '1px solid rgba(239, 68, 68, 0.4)',
@@ -617,6 +704,55 @@ function App() {
     );
   };
 
+  const renderError = () => (
+    <div className="analysis-error">
+      <h3>❌ Analysen kunde inte genomföras</h3>
+      <p>{result.error}</p>
+      {result.details?.entry && (
+        <p className="error-detail">Fil i arkivet: <code>{result.details.entry}</code></p>
+      )}
+    </div>
+  );
+
+  const renderPasses = () => {
+    if (!result?.passes?.length) return null;
+
+    const statusLabels = {
+      succeeded: '✅ Klar',
+      failed: '❌ Misslyckades',
+      skipped: '⏭️ Hoppades över'
+    };
+
+    return (
+      <div className="analysis-passes">
+        <h3>🧩 Analyspass</h3>
+        {result.passes.map(pass => (
+          <div key={pass.name} className={`analysis-pass ${pass.status}`}>
+            <strong>{pass.name}</strong> {statusLabels[pass.status]}
+            {pass.status === 'succeeded' && <span className="pass-detail">{pass.suggestions} förslag</span>}
+            {(pass.error || pass.reason) && <span className="pass-detail">{pass.error || pass.reason}</span>}
+          </div>
+        ))}
+        {result.suppressed?.total > 0 && (
+          <div className="analysis-pass skipped">
+            <strong>🔕 {result.suppressed.total} undertryckta fynd</strong>
+            <span className="pass-detail">
+              {result.suppressed.inline} via arkitekt-ignore, {result.suppressed.baseline} i baseline
+            </span>
+          </div>
+        )}
+        {result.cache?.files > 0 && (
+          <div className="analysis-pass skipped">
+            <strong>💾 {Math.round(result.cache.hitRate * 100)}% från cache</strong>
+            <span className="pass-detail">
+              {result.cache.hits} av {result.cache.files} filer kunde återanvändas från tidigare analyser
+            </span>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="app">
       <header>
@@ -648,19 +784,39 @@ function App() {
         >
           <div className="upload-content">
             <div className="upload-icon">📁</div>
-            <p>Dra och släpp din ZIP-fil här eller</p>
+            <p>Dra och släpp din ZIP- eller tar.gz-fil här eller</p>
             <input 
               type="file" 
-              accept=".zip" 
+              accept=".zip,.tar,.tgz,.gz" 
               onChange={handleFileChange}
               id="file-input"
               style={{ display: 'none' }}
               value=""
             />
-            <label htmlFor="file-input" className="file-button">
-              Välj fil
-            </label>
+            <input 
+              type="file" 
+              webkitdirectory="" 
+              directory="" 
+              multiple 
+              onChange={handleFolderChange}
+              id="folder-input"
+              style={{ display: 'none' }}
+              value=""
+            />
+            <div className="upload-buttons">
+              <label htmlFor="file-input" className="file-button">
+                Välj fil
+              </label>
+              <label htmlFor="folder-input" className="file-button">
+                Välj mapp
+              </label>
+            </div>
             {file && <p className="selected-file">Vald fil: {file.name}</p>}
+            {folderFiles.length > 0 && (
+              <p className="selected-file">
+                Vald mapp: {folderFiles[0].webkitRelativePath.split('/')[0]} ({folderFiles.length} filer)
+              </p>
+            )}
           </div>
         </div>
       ) : (
@@ -676,7 +832,10 @@ function App() {
               </>
             ) : (
               <>
-                <p>Välj repository att analysera ({githubUser.login})</p>
+                <p>
+                  Välj repository att analysera ({githubUser.login}){' '}
+                  <button onClick={handleGithubLogout} className="github-logout-btn">Logga ut</button>
+                </p>
                 <select 
                   value={selectedRepo?.id || ''}
                   onChange={(e) => {
@@ -705,7 +864,7 @@ function App() {
 
       <button 
         onClick={analysisMode === 'file' ? handleUpload : handleGithubAnalysis}
-        disabled={loading || (analysisMode === 'file' ? !file : !selectedRepo)}
+        disabled={loading || (analysisMode === 'file' ? !file && folderFiles.length === 0 : !selectedRepo)}
         className={`analyze-button ${loading ? 'loading' : ''}`}
         style={loading ? {
           background: `linear-gradient(to right, #007bff ${progress}%, #f8f9fa ${progress}%)`
@@ -716,10 +875,12 @@ function App() {
         </span>
       </button>
 
-      {result && !loading && (
+      {result && !loading && result.success === false && renderError()}
+
+      {result && !loading && result.success !== false && (
         <div className="results">
           {/* Debug section to show how code analysis works */}
-          {(result.analysis?.currentImplementations || result.source === 'github') && (
+          {(result.analysis?.currentImplementations || result.repoInfo) && (
             <div className="debug-analysis">
               <h3>🔍 Kodanalys Debug - Vad vi hittade i din kod</h3>
               {(() => {
@@ -876,8 +1037,24 @@ function App() {
           {renderCodeSnippets()}
           {renderMarketplace()}
           {renderGDPRFlags()}
+          {renderPasses()}
         </div>
       )}
+
+      {scanId && (
+        <div className="results">
+          <ScanProgress scanId={scanId} onFinished={handleScanFinished} />
+          {scanStatus?.status === 'done' && previousScanId && (
+            <button className="mode-btn" onClick={() => setComparing(!comparing)}>
+              🔀 {comparing ? 'Dölj jämförelsen' : 'Jämför med förra scanen'}
+            </button>
+          )}
+          {comparing && <ScanDiff baseScanId={previousScanId} headScanId={scanId} />}
+          {scanStatus?.status === 'done' && <ResultsDashboard scanId={scanId} />}
+        </div>
+      )}
+
+      {analysisMode === 'github' && githubUser && <ApiTokens />}
     </div>
   );
 }
@@ -0,0 +1,2 @@
+// Where the server's routes live: the same origin in production, the API server in development
+export const API_BASE = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3002';
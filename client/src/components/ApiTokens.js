@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE } from '../api';
+
+// Create, list and revoke API tokens for CI. A new token is only shown once, right after it's created.
+function ApiTokens() {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState({});
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['scan:write', 'scan:read', 'findings:read']);
+  const [projectId, setProjectId] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [createdToken, setCreatedToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/tokens`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error);
+        return;
+      }
+      setTokens(data.tokens);
+      setAvailableScopes(data.availableScopes);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+  };
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}/api/tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          name,
+          scopes,
+          projectId: projectId || null,
+          expiresInDays: expiresInDays ? Number(expiresInDays) : null
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error);
+        return;
+      }
+      setCreatedToken(data.token);
+      setName('');
+      fetchTokens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revokeToken = async (tokenId) => {
+    if (!window.confirm('Återkalla token? CI-jobb som använder den slutar fungera.')) return;
+    try {
+      await fetch(`${API_BASE}/api/tokens/${tokenId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      fetchTokens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="api-tokens">
+      <h3>🔑 API-tokens</h3>
+      <p className="api-token-detail">
+        Används som <code>Authorization: Bearer &lt;token&gt;</code> mot scan-API:t, t.ex. från CI.
+      </p>
+
+      {error && <p className="api-token-error">{error}</p>}
+
+      {createdToken && (
+        <div className="api-token-created">
+          <p>Kopiera din nya token nu – den visas inte igen:</p>
+          <code>{createdToken}</code>
+          <button onClick={() => setCreatedToken(null)}>Klar</button>
+        </div>
+      )}
+
+      <form onSubmit={createToken} className="api-token-form">
+        <input
+          type="text"
+          placeholder="Namn, t.ex. GitHub Actions"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Projekt-id (valfritt, begränsar token till projektet)"
+          value={projectId}
+          onChange={(e) => setProjectId(e.target.value)}
+        />
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+          <option value="30">Giltig i 30 dagar</option>
+          <option value="90">Giltig i 90 dagar</option>
+          <option value="365">Giltig i ett år</option>
+          <option value="">Går inte ut</option>
+        </select>
+        <div className="api-token-scopes">
+          {Object.entries(availableScopes).map(([scope, description]) => (
+            <label key={scope}>
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              <code>{scope}</code> {description}
+            </label>
+          ))}
+        </div>
+        <button type="submit" disabled={!name || scopes.length === 0}>Skapa token</button>
+      </form>
+
+      {tokens.length > 0 && (
+        <div className="diff-section">
+          {tokens.map(token => (
+            <div key={token.tokenId} className={`diff-row ${token.revokedAt ? 'api-token-revoked' : ''}`}>
+              <div>
+                <strong>{token.name}</strong> <code>{token.prefix}…</code>
+                <div className="api-token-detail">
+                  {token.scopes.join(', ')}
+                  {token.projectId && ` · projekt ${token.projectId}`}
+                  {' · '}
+                  {token.lastUsedAt ? `senast använd ${new Date(token.lastUsedAt).toLocaleString('sv-SE')}` : 'aldrig använd'}
+                  {token.expiresAt && ` · går ut ${new Date(token.expiresAt).toLocaleDateString('sv-SE')}`}
+                </div>
+              </div>
+              {token.revokedAt ? (
+                <span className="api-token-detail">Återkallad</span>
+              ) : (
+                <button onClick={() => revokeToken(token.tokenId)}>Återkalla</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ApiTokens;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { API_BASE } from '../api';
 
 function ResultsDashboard({ scanId }) {
   const [findings, setFindings] = useState([]);
@@ -23,7 +24,9 @@ function ResultsDashboard({ scanId }) {
       if (filters.impact) params.append('impact', filters.impact);
       if (filters.effort) params.append('effort', filters.effort);
 
-      const response = await fetch(`http://localhost:3000/api/scans/${scanId}/findings?${params}`);
+      const response = await fetch(`${API_BASE}/api/scans/${scanId}/findings?${params}`, {
+        credentials: 'include'
+      });
       const data = await response.json();
       setFindings(data.findings || []);
     } catch (error) {
@@ -35,9 +38,10 @@ function ResultsDashboard({ scanId }) {
 
   const generateSnippet = async (findingId) => {
     try {
-      const response = await fetch('http://localhost:3000/api/snippets/generate', {
+      const response = await fetch(`${API_BASE}/api/snippets/generate`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
         body: JSON.stringify({ findingId, language: 'javascript' })
       });
       
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE } from '../api';
+
+const severityLabels = { high: 'Hög', medium: 'Medel', low: 'Låg' };
+
+function ScanDiff({ baseScanId, headScanId }) {
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (baseScanId && headScanId) {
+      fetchDiff();
+    }
+  }, [baseScanId, headScanId]);
+
+  const fetchDiff = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_BASE}/api/scans/${baseScanId}/diff/${headScanId}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error);
+        return;
+      }
+      setDiff(data);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching diff:', error);
+      setError('Kunde inte hämta jämförelsen');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Jämför scans...</div>;
+  }
+
+  if (error) {
+    return <div className="error">❌ {error}</div>;
+  }
+
+  const regressions = diff.findings.unchanged.filter(f => f.regression);
+
+  return (
+    <div className="scan-diff">
+      <h2>🔀 Jämförelse mellan scans</h2>
+
+      <div className="diff-summary">
+        <div className={`diff-kpi ${diff.summary.regressions > 0 ? 'regression' : ''}`}>
+          <h3>Regressioner</h3>
+          <div className="kpi-value">{diff.summary.regressions}</div>
+        </div>
+        <div className="diff-kpi new">
+          <h3>Nya</h3>
+          <div className="kpi-value">{diff.summary.new}</div>
+        </div>
+        <div className="diff-kpi fixed">
+          <h3>Åtgärdade</h3>
+          <div className="kpi-value">{diff.summary.fixed}</div>
+        </div>
+        <div className="diff-kpi">
+          <h3>Oförändrade</h3>
+          <div className="kpi-value">{diff.summary.unchanged}</div>
+        </div>
+      </div>
+
+      <div className="diff-severity">
+        {Object.entries(diff.severity).map(([level, counts]) => (
+          <span key={level} className={`severity-delta ${counts.delta > 0 ? 'up' : counts.delta < 0 ? 'down' : ''}`}>
+            {severityLabels[level]}: {counts.base} → {counts.head} ({counts.delta > 0 ? '+' : ''}{counts.delta})
+          </span>
+        ))}
+      </div>
+
+      {diff.findings.new.length > 0 && (
+        <div className="diff-section">
+          <h3>🆕 Nya förslag ({diff.findings.new.length})</h3>
+          {diff.findings.new.map(finding => (
+            <div key={finding.id} className="diff-row regression">
+              <strong>{finding.title}</strong>
+              <span className={`impact ${finding.impact}`}>Impact: {finding.impact}</span>
+              {finding.codePointers.map(pointer => (
+                <code key={pointer.fingerprint || `${pointer.file}:${pointer.lineStart}`}>{pointer.file}:{pointer.lineStart}</code>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {regressions.length > 0 && (
+        <div className="diff-section">
+          <h3>⚠️ Försämrade förslag ({regressions.length})</h3>
+          {regressions.map(finding => (
+            <div key={finding.id} className="diff-row regression">
+              <strong>{finding.title}</strong>
+              {finding.severityChange > 0 && (
+                <span className="impact high">Impact: {finding.previousImpact} → {finding.impact}</span>
+              )}
+              {finding.newLocations.map(pointer => (
+                <code key={pointer.fingerprint || `${pointer.file}:${pointer.lineStart}`}>+ {pointer.file}:{pointer.lineStart}</code>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {diff.findings.fixed.length > 0 && (
+        <div className="diff-section">
+          <h3>✅ Åtgärdade förslag ({diff.findings.fixed.length})</h3>
+          {diff.findings.fixed.map(finding => (
+            <div key={finding.id} className="diff-row fixed">
+              <strong>{finding.title}</strong>
+              <span className={`impact ${finding.impact}`}>Impact: {finding.impact}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScanDiff;
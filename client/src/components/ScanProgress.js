@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE } from '../api';
+
+const statusLabels = {
+  queued: '⏳ I kö',
+  running: '🔄 Analyserar',
+  done: '✅ Klar',
+  failed: '❌ Misslyckades',
+  cancelled: '🛑 Avbruten'
+};
+
+const finalStatuses = ['done', 'failed', 'cancelled'];
+
+// Follows a queued scan over GET /api/scans/:id/events. EventSource reconnects by itself and
+// sends Last-Event-ID, so findings that were already shown aren't sent again.
+function ScanProgress({ scanId, onFinished }) {
+  const [progress, setProgress] = useState({ stage: 'Ansluter...', percent: 0 });
+  const [status, setStatus] = useState({ status: 'queued' });
+  const [findings, setFindings] = useState([]);
+
+  useEffect(() => {
+    if (!scanId) return undefined;
+
+    setFindings([]);
+    const source = new EventSource(`${API_BASE}/api/scans/${scanId}/events`, { withCredentials: true });
+
+    source.addEventListener('progress', event => {
+      setProgress(previous => ({ ...previous, ...JSON.parse(event.data) }));
+    });
+    source.addEventListener('finding', event => {
+      const finding = JSON.parse(event.data);
+      setFindings(previous => [...previous, finding]);
+    });
+    source.addEventListener('status', event => {
+      const data = JSON.parse(event.data);
+      setStatus(data);
+      if (finalStatuses.includes(data.status)) {
+        // Otherwise EventSource would reconnect when the server ends the stream
+        source.close();
+        if (onFinished) onFinished(data);
+      }
+    });
+
+    return () => source.close();
+  }, [scanId]);
+
+  const cancel = async () => {
+    await fetch(`${API_BASE}/api/scans/${scanId}/cancel`, { method: 'POST', credentials: 'include' });
+  };
+
+  const finished = finalStatuses.includes(status.status);
+
+  return (
+    <div className="scan-progress">
+      <div className="scan-progress-header">
+        <strong>{statusLabels[status.status] || status.status}</strong>
+        {!finished && <button onClick={cancel}>Avbryt</button>}
+      </div>
+
+      <div className="scan-progress-bar">
+        <div className="scan-progress-fill" style={{ width: `${progress.percent || 0}%` }} />
+      </div>
+      <div className="scan-progress-stage">
+        {progress.stage} ({progress.percent || 0}%)
+        {progress.file && (
+          <span className="scan-progress-file">
+            {progress.filesDone}/{progress.filesTotal} <code>{progress.file}</code>
+          </span>
+        )}
+      </div>
+
+      {status.error && (
+        <p className="scan-progress-error">
+          {status.error}
+          {status.retryInMs && ` – nytt försök om ${Math.round(status.retryInMs / 1000)} s`}
+        </p>
+      )}
+
+      {findings.length > 0 && (
+        <div className="diff-section">
+          <h3>🔎 Hittat hittills ({findings.length})</h3>
+          {findings.map(finding => (
+            <div key={finding.topic} className="diff-row">
+              <strong>{finding.title}</strong>
+              <span className="scan-progress-pass">{finding.pass}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScanProgress;
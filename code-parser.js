@@ -0,0 +1,302 @@
+const path = require('path');
+const babelParser = require('@babel/parser');
+
+const PARSABLE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all', 'use'];
+
+// Parsed files are cached per path so every analyzer shares one AST per file. A Codebase
+// passes its own cache, so its ASTs go away with it and concurrent scans don't clear each other's.
+const sharedCache = new Map();
+
+function isParsableFile(filePath) {
+  return PARSABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function getParserPlugins(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const plugins = ['classProperties', 'objectRestSpread', 'optionalChaining', 'dynamicImport', 'topLevelAwait'];
+
+  if (ext === '.ts') return [...plugins, 'typescript'];
+  if (ext === '.tsx') return [...plugins, 'typescript', 'jsx'];
+  return [...plugins, 'jsx'];
+}
+
+function parseSource(filePath, content, cache = sharedCache) {
+  if (!isParsableFile(filePath)) return null;
+
+  const cached = cache.get(filePath);
+  if (cached && cached.content === content) return cached.parsed;
+
+  let ast;
+  try {
+    ast = babelParser.parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      plugins: getParserPlugins(filePath)
+    });
+  } catch (error) {
+    // Unparsable files fall back to text matching in the analyzers
+    cache.set(filePath, { content, parsed: null });
+    return null;
+  }
+
+  const parsed = extractFacts(ast, content);
+  cache.set(filePath, { content, parsed });
+  return parsed;
+}
+
+function clearCache() {
+  sharedCache.clear();
+}
+
+function extractFacts(ast, content) {
+  const facts = {
+    ast,
+    imports: [],
+    calls: [],
+    routes: [],
+    strings: [],
+    members: [],
+    identifiers: new Set(),
+    codeText: ''
+  };
+  const moduleSpecifiers = new Set();
+
+  walk(ast.program, (node, parent) => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+        facts.imports.push({ source: node.source.value, line: getLine(node), kind: 'import' });
+        moduleSpecifiers.add(node.source);
+        break;
+
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+        if (node.source) {
+          facts.imports.push({ source: node.source.value, line: getLine(node), kind: 'export' });
+          moduleSpecifiers.add(node.source);
+        }
+        break;
+
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+      case 'NewExpression': {
+        const callee = getNodeName(node.callee);
+        const firstArg = node.arguments[0];
+
+        if ((callee === 'require' || node.callee.type === 'Import') && isStaticString(firstArg)) {
+          facts.imports.push({
+            source: getStaticString(firstArg),
+            line: getLine(node),
+            kind: callee === 'require' ? 'require' : 'dynamic'
+          });
+          moduleSpecifiers.add(firstArg);
+        }
+
+        facts.calls.push({
+          callee,
+          line: getLine(node),
+          isNew: node.type === 'NewExpression',
+          arguments: node.arguments.map(describeArgument),
+          node
+        });
+
+        const route = describeRoute(node);
+        if (route) facts.routes.push(route);
+        break;
+      }
+
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        // Only record the outermost member expression, e.g. req.body.name and not req.body
+        if (!parent || (parent.type !== 'MemberExpression' && parent.type !== 'OptionalMemberExpression') || parent.object !== node) {
+          facts.members.push({ name: getNodeName(node), line: getLine(node) });
+        }
+        break;
+
+      case 'StringLiteral':
+        facts.strings.push({ value: node.value, line: getLine(node) });
+        break;
+
+      case 'TemplateLiteral':
+        facts.strings.push({ value: getTemplateText(node), line: getLine(node), template: true });
+        break;
+
+      case 'Identifier':
+      case 'JSXIdentifier':
+        facts.identifiers.add(node.name);
+        break;
+    }
+  });
+
+  facts.codeText = buildCodeText(ast, content, moduleSpecifiers);
+  return facts;
+}
+
+// Generic depth-first walk over Babel nodes, passing the parent along
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent);
+
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visit, node));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+function getLine(node) {
+  return node.loc ? node.loc.start.line : 0;
+}
+
+// Renders callee/member chains as text, e.g. app.get, router.route().post, this.db.query
+function getNodeName(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'Identifier':
+      return node.name;
+    case 'ThisExpression':
+      return 'this';
+    case 'Super':
+      return 'super';
+    case 'Import':
+      return 'import';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const property = node.computed
+        ? (isStaticString(node.property) ? getStaticString(node.property) : '[]')
+        : node.property.name;
+      return `${getNodeName(node.object)}.${property}`;
+    }
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+      return `${getNodeName(node.callee)}()`;
+    case 'TSNonNullExpression':
+    case 'TSAsExpression':
+      return getNodeName(node.expression);
+    default:
+      return '';
+  }
+}
+
+function isStaticString(node) {
+  return !!node && (node.type === 'StringLiteral' || (node.type === 'TemplateLiteral' && node.expressions.length === 0));
+}
+
+function getStaticString(node) {
+  return node.type === 'StringLiteral' ? node.value : node.quasis[0].value.cooked;
+}
+
+function getTemplateText(node) {
+  return node.quasis.map(q => q.value.cooked).join('${}');
+}
+
+function describeArgument(node) {
+  if (isStaticString(node)) {
+    return { type: 'string', value: getStaticString(node), dynamic: false };
+  }
+  if (node.type === 'TemplateLiteral') {
+    return { type: 'template', value: getTemplateText(node), dynamic: true };
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return { type: 'concatenation', dynamic: containsNonLiteral(node) };
+  }
+  return { type: node.type, name: getNodeName(node), dynamic: false };
+}
+
+function containsNonLiteral(node) {
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return containsNonLiteral(node.left) || containsNonLiteral(node.right);
+  }
+  return !isStaticString(node) && node.type !== 'NumericLiteral';
+}
+
+// Recognizes app.get('/path', ...), router.post(`/x`, ...) and app.use('/prefix', router)
+function describeRoute(node) {
+  const callee = node.callee;
+  if (!callee || (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression') || callee.computed) return null;
+
+  const method = callee.property.name;
+  if (!HTTP_METHODS.includes(method)) return null;
+
+  const pathArg = node.arguments[0];
+  if (!pathArg || !(isStaticString(pathArg) || pathArg.type === 'TemplateLiteral')) return null;
+
+  const routePath = pathArg.type === 'TemplateLiteral' ? getTemplateText(pathArg) : getStaticString(pathArg);
+  if (!routePath.startsWith('/') && routePath !== '*') return null;
+
+  return {
+    object: getNodeName(callee.object),
+    method,
+    path: routePath,
+    line: getLine(node),
+    handlers: node.arguments.slice(1).map(arg => getNodeName(arg) || arg.type),
+    node
+  };
+}
+
+// Source text with comments and string contents blanked out, keeping offsets and line breaks
+function buildCodeText(ast, content, moduleSpecifiers) {
+  const chars = content.split('');
+  const blank = (start, end) => {
+    for (let i = start; i < end && i < chars.length; i++) {
+      if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+    }
+  };
+
+  (ast.comments || []).forEach(comment => blank(comment.start, comment.end));
+
+  walk(ast.program, (node, parent) => {
+    if (node.type === 'StringLiteral' && !moduleSpecifiers.has(node)) {
+      blank(node.start + 1, node.end - 1);
+    } else if (node.type === 'TemplateElement' && !moduleSpecifiers.has(parent)) {
+      blank(node.start, node.end);
+    }
+  });
+
+  return chars.join('');
+}
+
+function hasImport(parsed, pattern) {
+  return parsed.imports.some(entry => pattern.test(entry.source));
+}
+
+function findCalls(parsed, pattern) {
+  return parsed.calls.filter(call => pattern.test(call.callee));
+}
+
+// Matches whole words inside identifiers, so "auth" hits authMiddleware but not author
+function hasIdentifierWord(parsed, word) {
+  const target = word.toLowerCase();
+  for (const identifier of parsed.identifiers) {
+    if (splitIdentifier(identifier).includes(target)) return true;
+  }
+  return false;
+}
+
+function splitIdentifier(identifier) {
+  return identifier
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_$]+/)
+    .filter(Boolean)
+    .map(part => part.toLowerCase());
+}
+
+module.exports = {
+  PARSABLE_EXTENSIONS,
+  isParsableFile,
+  parseSource,
+  clearCache,
+  walk,
+  getNodeName,
+  hasImport,
+  findCalls,
+  hasIdentifierWord,
+  splitIdentifier
+};
@@ -1,10 +1,20 @@
-const fs = require('fs');
-const path = require('path');
+const RuleEngine = require('./rule-engine');
+const Suppressions = require('./suppressions');
+const Codebase = require('./codebase');
+const { scanFiles } = require('./worker-pool');
+const { rulesetVersion } = require('./analysis-cache');
+
+// Project rule severities lift the category's impact score to at least this
+const SEVERITY_IMPACT = { critical: 10, high: 8, medium: 6, low: 4, info: 2 };
+
+// Bump when scanFile's output changes, so cached results from older code aren't reused
+const SCAN_VERSION = 1;
 
 class CodeReplacementAnalyzer {
   constructor() {
     this.apiDatabase = require('./data/comprehensive-api-database.json');
     this.codePatterns = this.buildCodePatterns();
+    this.ruleEngine = new RuleEngine({ knownCategories: Object.keys(this.codePatterns) });
   }
 
   buildCodePatterns() {
@@ -83,10 +93,10 @@ class CodeReplacementAnalyzer {
     };
   }
 
-  async analyzeProject(projectPath) {
+  async analyzeProject(projectPath, project = new Codebase(projectPath), options = {}) {
     console.log('🔄 Analyzing project for replacement opportunities...');
     
-    const codebase = await this.scanCodebase(projectPath);
+    const codebase = await this.scanCodebase(project, options);
     const replacements = this.findReplacementOpportunities(codebase);
     const prioritizedRecommendations = this.prioritizeRecommendations(replacements);
     
@@ -99,17 +109,20 @@ class CodeReplacementAnalyzer {
         endpoints: [],
         currentImplementations: this.summarizeCurrentCode(codebase),
         replacementOpportunities: replacements.length,
-        files: codebase.files
+        files: codebase.files,
+        customRules: codebase.customRules
       },
       suggestions: prioritizedRecommendations,
-      businessImpact: this.calculateBusinessImpact(prioritizedRecommendations)
+      businessImpact: this.calculateBusinessImpact(prioritizedRecommendations),
+      suppressed: codebase.suppressed,
+      cache: codebase.cache
     };
   }
 
-  async analyzeCodeForReplacements(projectPath, scanResult) {
+  async analyzeCodeForReplacements(projectPath, scanResult, project = new Codebase(projectPath), options = {}) {
     console.log('🔄 Analyzing code for replacement opportunities...');
     
-    const codebase = await this.scanCodebase(projectPath);
+    const codebase = await this.scanCodebase(project, options);
     const replacements = this.findReplacementOpportunities(codebase);
     const prioritizedRecommendations = this.prioritizeRecommendations(replacements);
     
@@ -120,18 +133,31 @@ class CodeReplacementAnalyzer {
         ...scanResult,
         currentImplementations: this.summarizeCurrentCode(codebase),
         replacementOpportunities: replacements.length,
-        files: codebase.files
+        files: codebase.files,
+        customRules: codebase.customRules
       },
       suggestions: prioritizedRecommendations,
-      businessImpact: this.calculateBusinessImpact(prioritizedRecommendations)
+      businessImpact: this.calculateBusinessImpact(prioritizedRecommendations),
+      suppressed: codebase.suppressed,
+      cache: codebase.cache
     };
   }
 
-  async scanCodebase(projectPath) {
-    const codebase = { files: [], patterns: new Map() };
-    const files = this.getAllFiles(projectPath);
+  async scanCodebase(project, { onProgress, signal } = {}) {
+    const codebase = { files: [], patterns: new Map(), suppressed: [], cache: null };
+    const files = project.files;
+    const state = this.prepareFileScan(project);
+    
+    codebase.codePatterns = state.codePatterns;
+    codebase.customRules = {
+      loaded: state.projectRules.rules.map(rule => rule.id),
+      errors: state.projectRules.errors
+    };
+    if (state.projectRules.errors.length > 0) {
+      console.log(`⚠️ ${state.projectRules.errors.length} errors in project rules, invalid files were skipped`);
+    }
     
-    console.log(`📁 Found ${files.length} files in project: ${projectPath}`);
+    console.log(`📁 Found ${files.length} files in project: ${project.projectPath}`);
     console.log('First 10 files:', files.slice(0, 10).map(f => f.path));
     
     // Add ALL files to codebase, not just code files
@@ -139,63 +165,160 @@ class CodeReplacementAnalyzer {
       codebase.files.push({ path: file.path, ext: file.ext });
     });
     
-    let patternsFound = 0;
+    // Only scan code files for patterns, on the worker pool for large projects
+    const codeFiles = files.filter(f => this.isCodeFile(f.ext));
+    const { results, cacheHits } = await scanFiles('replacement', this, project, codeFiles, { state, onProgress, signal });
+    codebase.cache = { files: codeFiles.length, hits: cacheHits };
     
-    // Only scan code files for patterns
-    for (const file of files) {
-      if (this.isCodeFile(file.ext)) {
-        try {
-          const fullPath = path.join(projectPath, file.path);
-          const content = fs.readFileSync(fullPath, 'utf8');
-          console.log(`📄 Reading: ${file.path} (${content.length} chars)`);
-          
-          // Scan for patterns in each category
-          Object.entries(this.codePatterns).forEach(([category, config]) => {
-            config.patterns.forEach(pattern => {
-              if (pattern.code.test(content)) {
-                console.log(`✅ Found ${category} pattern in ${file.path}: ${pattern.current}`);
-                patternsFound++;
-                if (!codebase.patterns.has(category)) {
-                  codebase.patterns.set(category, []);
-                }
-                const snippet = this.extractCodeSnippet(content, pattern.code);
-                const matchData = {
-                  file: file.path,
-                  current: pattern.current,
-                  weakness: pattern.weakness,
-                  codeSnippet: snippet.code,
-                  lineNumber: snippet.lineNumber
-                };
-                console.log(`📝 Adding match data:`, matchData);
-                codebase.patterns.get(category).push(matchData);
-              }
-            });
-          });
-        } catch (error) {
-          console.log(`❌ Could not read: ${file.path} - ${error.message}`);
+    // Merged in file order so the findings don't depend on which worker finished first
+    let patternsFound = 0;
+    codeFiles.forEach(file => {
+      const result = results.get(file.path);
+      if (!result) return;
+      
+      result.matches.forEach(({ category, matchData }) => {
+        patternsFound++;
+        if (!codebase.patterns.has(category)) {
+          codebase.patterns.set(category, []);
         }
-      }
-    }
+        codebase.patterns.get(category).push(matchData);
+      });
+      codebase.suppressed.push(...result.suppressed);
+    });
     
-    console.log(`✅ Total files: ${codebase.files.length}, Code files scanned: ${files.filter(f => this.isCodeFile(f.ext)).length}, Patterns found: ${patternsFound}`);
+    console.log(`✅ Total files: ${codebase.files.length}, Code files scanned: ${codeFiles.length} (${cacheHits} from cache), Patterns found: ${patternsFound}`);
     console.log('Pattern categories found:', Array.from(codebase.patterns.keys()));
     return codebase;
   }
 
+  // State shared by every file of a scan; built again on each scan worker
+  prepareFileScan(project) {
+    // The project's own rules from .arkitekt/rules run alongside the built-in patterns
+    const projectRules = this.ruleEngine.loadProjectRules(project.projectPath);
+    const codePatterns = this.withProjectRules(projectRules.rules);
+    const suppressions = new Suppressions(project);
+    return {
+      projectRules,
+      codePatterns,
+      suppressions,
+      version: rulesetVersion(
+        SCAN_VERSION,
+        Object.entries(codePatterns).map(([category, config]) => [category, config.patterns]),
+        Array.from(suppressions.baseline.entries())
+      )
+    };
+  }
+
+  // Matches and suppressed findings for one file as plain data, or null when it can't be read
+  scanFile(project, file, { codePatterns, suppressions }) {
+    const result = { matches: [], suppressed: [] };
+    try {
+      const content = project.read(file.path);
+      if (content === null) return null;
+      console.log(`📄 Reading: ${file.path} (${content.length} chars)`);
+      
+      // Match against the syntax only, so comments and string contents can't trigger findings
+      const parsed = project.parse(file.path);
+      const searchable = parsed ? parsed.codeText : content;
+      
+      // Scan for patterns in each category
+      Object.entries(codePatterns).forEach(([category, config]) => {
+        config.patterns.forEach(pattern => {
+          const ruleId = pattern.rule ? pattern.rule.id : `replacement_${category}`;
+          const isAccepted = line => !suppressions.check(ruleId, file.path, content, line);
+          const snippet = this.findPatternMatch(pattern, file.path, content, parsed, searchable, isAccepted);
+          
+          if (!snippet) {
+            // Every matching line is suppressed - count it instead of reporting it
+            const suppressed = this.findPatternMatch(pattern, file.path, content, parsed, searchable);
+            if (suppressed) {
+              const suppression = suppressions.check(ruleId, file.path, content, suppressed.lineNumber);
+              result.suppressed.push(suppressions.describe(ruleId, file.path, suppressed.lineNumber, suppression));
+            }
+            return;
+          }
+          
+          console.log(`✅ Found ${category} pattern in ${file.path}: ${pattern.current}`);
+          const matchData = {
+            file: file.path,
+            current: pattern.current,
+            weakness: pattern.weakness,
+            codeSnippet: snippet.code,
+            lineNumber: snippet.lineNumber,
+            fingerprint: suppressions.fingerprint(ruleId, file.path, content, snippet.lineNumber)
+          };
+          if (pattern.rule) {
+            matchData.ruleId = pattern.rule.id;
+            matchData.severity = pattern.rule.severity;
+          }
+          console.log(`📝 Adding match data:`, matchData);
+          result.matches.push({ category, matchData });
+        });
+      });
+    } catch (error) {
+      console.log(`❌ Could not read: ${file.path} - ${error.message}`);
+    }
+    return result;
+  }
+
+  // First accepted match as { code, lineNumber }, or null
+  findPatternMatch(pattern, filePath, content, parsed, searchable, isAccepted = () => true) {
+    if (pattern.rule) {
+      const match = this.ruleEngine.evaluate(pattern.rule, filePath, content, parsed, isAccepted);
+      return match && { code: match.code, lineNumber: match.line };
+    }
+    
+    if (!pattern.code.test(searchable)) return null;
+    const snippet = this.extractCodeSnippet(content, pattern.code, searchable, isAccepted);
+    
+    // A match spanning lines has no line of its own and can't be suppressed
+    if (snippet.lineNumber === 0 && this.extractCodeSnippet(content, pattern.code, searchable).lineNumber > 0) {
+      return null;
+    }
+    return snippet;
+  }
+
+  // Built-in patterns plus project rules. Rules in a new category bring their own provider,
+  // rules in a built-in category put their provider first among the recommendations.
+  withProjectRules(rules) {
+    const codePatterns = {};
+    Object.entries(this.codePatterns).forEach(([category, config]) => {
+      codePatterns[category] = { ...config, patterns: [...config.patterns] };
+    });
+
+    rules.forEach(rule => {
+      const config = codePatterns[rule.category] || { patterns: [], recommendations: [] };
+      if (rule.providerInfo) {
+        config.recommendations = [
+          { ...rule.providerInfo, preferred: true },
+          ...config.recommendations.filter(rec => rec.name !== rule.providerInfo.name)
+        ];
+      }
+      config.patterns.push({ rule, current: rule.title || rule.message, weakness: rule.message });
+      codePatterns[rule.category] = config;
+    });
+
+    return codePatterns;
+  }
+
   findReplacementOpportunities(codebase) {
     const opportunities = [];
     
     codebase.patterns.forEach((matches, category) => {
       if (matches.length > 0) {
-        const categoryConfig = this.codePatterns[category];
+        const categoryConfig = (codebase.codePatterns || this.codePatterns)[category];
         const bestRecommendations = this.selectBestRecommendations(categoryConfig.recommendations, matches);
         
         const affectedFiles = matches.map(m => ({
           file: m.file,
           lineNumber: m.lineNumber,
-          codeSnippet: m.codeSnippet
+          codeSnippet: m.codeSnippet,
+          fingerprint: m.fingerprint
         }));
         
+        const ruleIds = [...new Set(matches.filter(m => m.ruleId).map(m => m.ruleId))];
+        const severity = this.highestSeverity(matches);
+        
         console.log(`🔍 Creating opportunity for ${category}:`, {
           category,
           matchCount: matches.length,
@@ -209,8 +332,10 @@ class CodeReplacementAnalyzer {
           affectedFiles: affectedFiles,
           codeExamples: matches.map(m => m.codeSnippet).slice(0, 2),
           recommendations: bestRecommendations,
-          impact: this.calculateCategoryImpact(category, matches.length),
-          effort: this.estimateReplacementEffort(category, matches.length)
+          impact: Math.max(this.calculateCategoryImpact(category, matches.length), SEVERITY_IMPACT[severity] || 0),
+          effort: this.estimateReplacementEffort(category, matches.length),
+          ruleIds,
+          severity
         });
       }
     });
@@ -218,6 +343,14 @@ class CodeReplacementAnalyzer {
     return opportunities;
   }
 
+  highestSeverity(matches) {
+    const ranked = matches
+      .filter(m => m.severity)
+      .map(m => m.severity)
+      .sort((a, b) => RuleEngine.SEVERITIES.indexOf(a) - RuleEngine.SEVERITIES.indexOf(b));
+    return ranked[0] || null;
+  }
+
   selectBestRecommendations(recommendations, matches) {
     // Score recommendations based on business impact and ease of implementation
     return recommendations
@@ -243,6 +376,9 @@ class CodeReplacementAnalyzer {
   scoreRecommendation(rec, matches) {
     let score = 0;
     
+    // A provider named by a project rule always comes first
+    if (rec.preferred) score += 100;
+    
     // Higher score for better business impact
     if (rec.business_impact.includes('50%')) score += 5;
     if (rec.business_impact.includes('30%')) score += 3;
@@ -434,7 +570,8 @@ class CodeReplacementAnalyzer {
         },
         
         providers: opp.recommendations,
-        whyRecommended: this.generateWhyRecommended(opp)
+        whyRecommended: this.generateWhyRecommended(opp),
+        ...(opp.ruleIds.length > 0 && { ruleIds: opp.ruleIds, severity: opp.severity })
       }));
   }
 
@@ -467,9 +604,9 @@ class CodeReplacementAnalyzer {
   }
 
   // Helper methods
-  extractCodeSnippet(content, pattern) {
+  extractCodeSnippet(content, pattern, searchable = content, isAccepted = () => true) {
     const lines = content.split('\n');
-    const matchingLineIndex = lines.findIndex(line => pattern.test(line));
+    const matchingLineIndex = searchable.split('\n').findIndex((line, index) => pattern.test(line) && isAccepted(index + 1));
     if (matchingLineIndex !== -1) {
       return {
         code: lines[matchingLineIndex].trim(),
@@ -479,29 +616,6 @@ class CodeReplacementAnalyzer {
     return { code: '', lineNumber: 0 };
   }
 
-  getAllFiles(dir) {
-    const files = [];
-    const scan = (currentDir) => {
-      try {
-        const items = fs.readdirSync(currentDir);
-        items.forEach(item => {
-          const fullPath = path.join(currentDir, item);
-          const stat = fs.statSync(fullPath);
-          if (stat.isFile()) {
-            files.push({
-              path: fullPath.replace(dir, ''),
-              ext: path.extname(item)
-            });
-          } else if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-            scan(fullPath);
-          }
-        });
-      } catch (error) {}
-    };
-    scan(dir);
-    return files;
-  }
-
   isCodeFile(ext) {
     return ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.php'].includes(ext);
   }
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSource } = require('./code-parser');
+const { listProjectFiles } = require('./file-walker');
+
+const LANGUAGES = {
+  '.js': 'JavaScript',
+  '.jsx': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.ts': 'TypeScript',
+  '.tsx': 'TypeScript',
+  '.py': 'Python',
+  '.java': 'Java',
+  '.php': 'PHP',
+  '.rb': 'Ruby',
+  '.go': 'Go',
+  '.cs': 'C#'
+};
+
+// Characters of source kept per cache. An AST takes many times the memory of its source, so
+// far less parsed source is kept than text.
+const MB = 1024 * 1024;
+const MAX_CACHED_TEXT = parseInt(process.env.CODEBASE_CACHE_MB || '64', 10) * MB;
+const MAX_CACHED_PARSED = parseInt(process.env.CODEBASE_AST_CACHE_MB || '16', 10) * MB;
+
+// A Map that drops the least recently used entries once their total size is above maxSize.
+// The newest entry is always kept, however large.
+class BoundedCache {
+  constructor(maxSize, sizeOf) {
+    this.maxSize = maxSize;
+    this.sizeOf = sizeOf;
+    this.entries = new Map();
+    this.totalSize = 0;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    // Map keeps insertion order, so the oldest entry is always first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.delete(key);
+    const size = this.sizeOf(value);
+    this.entries.set(key, { value, size });
+    this.totalSize += size;
+    while (this.totalSize > this.maxSize && this.entries.size > 1) {
+      this.delete(this.entries.keys().next().value);
+    }
+    return this;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.totalSize -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalSize = 0;
+  }
+}
+
+const textSize = content => (content === null ? 0 : content.length);
+
+// One project as every analyzer sees it, built once per scan: the file list up front,
+// contents, lines and ASTs read lazily and cached, so a file is rarely read or parsed twice
+// however many analyzers look at it. The caches are bounded by size, so a large project
+// doesn't keep every file's source and AST in memory until release(). Paths are the walker's,
+// relative and starting with "/". Pass files when the list is already known (scan workers
+// only read the files they're given).
+class Codebase {
+  constructor(projectPath, { files = null } = {}) {
+    this.projectPath = projectPath;
+    this.files = files || listProjectFiles(projectPath);
+    this.paths = new Set(this.files.map(file => file.path));
+    this.extensions = new Set(this.files.map(file => file.ext));
+    this.contents = new BoundedCache(MAX_CACHED_TEXT, textSize);
+    this.lineIndex = new BoundedCache(MAX_CACHED_TEXT, lines => lines.reduce((size, line) => size + line.length + 1, 0));
+    this.parseCache = new BoundedCache(MAX_CACHED_PARSED, entry => entry.content.length);
+
+    this.packageJson = this.readJson('/package.json');
+    this.dependencies = this.readDependencies();
+    this.language = this.detectLanguage();
+  }
+
+  fullPath(filePath) {
+    return path.join(this.projectPath, filePath);
+  }
+
+  has(filePath) {
+    return this.paths.has(filePath);
+  }
+
+  filesWithExtensions(extensions) {
+    return this.files.filter(file => extensions.includes(file.ext));
+  }
+
+  // null when the file can't be read, so callers can skip it like before
+  read(filePath) {
+    if (this.contents.has(filePath)) return this.contents.get(filePath);
+
+    let content = null;
+    try {
+      content = fs.readFileSync(this.fullPath(filePath), 'utf8');
+    } catch (error) {
+      // Missing or unreadable
+    }
+    this.contents.set(filePath, content);
+    return content;
+  }
+
+  lines(filePath) {
+    if (this.lineIndex.has(filePath)) return this.lineIndex.get(filePath);
+
+    const content = this.read(filePath);
+    const lines = content === null ? [] : content.split('\n');
+    this.lineIndex.set(filePath, lines);
+    return lines;
+  }
+
+  parse(filePath) {
+    const content = this.read(filePath);
+    return content === null ? null : parseSource(this.fullPath(filePath), content, this.parseCache);
+  }
+
+  // Drops contents and ASTs once the passes are done; the file list stays
+  release() {
+    this.contents.clear();
+    this.lineIndex.clear();
+    this.parseCache.clear();
+  }
+
+  readJson(filePath) {
+    const content = this.read(filePath);
+    if (content === null) return null;
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // name -> version for package.json (runtime and dev) and requirements.txt
+  readDependencies() {
+    const pkg = this.packageJson || {};
+    const dependencies = {
+      runtime: { ...(pkg.dependencies || {}) },
+      dev: { ...(pkg.devDependencies || {}) }
+    };
+
+    const requirements = this.read('/requirements.txt');
+    if (requirements) {
+      requirements.split('\n').forEach(line => {
+        const match = line.trim().match(/^([A-Za-z0-9_.-]+)\s*(.*)$/);
+        if (match && !line.trim().startsWith('#')) {
+          dependencies.runtime[match[1].toLowerCase()] = match[2] || '*';
+        }
+      });
+    }
+
+    return dependencies;
+  }
+
+  hasDependency(name) {
+    return name in this.dependencies.runtime || name in this.dependencies.dev;
+  }
+
+  // JavaScript, Python and TypeScript win in that order, otherwise the most common language
+  detectLanguage() {
+    const counts = {};
+    this.files.forEach(file => {
+      const language = LANGUAGES[file.ext.toLowerCase()];
+      if (language) counts[language] = (counts[language] || 0) + 1;
+    });
+
+    if (counts.JavaScript) return 'JavaScript';
+    if (counts.Python) return 'Python';
+    if (counts.TypeScript) return 'TypeScript';
+    const [mostUsed] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return mostUsed ? mostUsed[0] : 'Unknown';
+  }
+}
+
+module.exports = Codebase;
+module.exports.BoundedCache = BoundedCache;
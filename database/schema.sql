@@ -4,18 +4,68 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- Users table
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    email VARCHAR(255) UNIQUE NOT NULL,
+    github_id BIGINT UNIQUE, -- GitHub account the user signs in with
+    login VARCHAR(100), -- GitHub username
+    email VARCHAR(255) UNIQUE, -- Empty when the GitHub email is private
     name VARCHAR(255) NOT NULL,
-    org_id UUID,
-    role VARCHAR(50) DEFAULT 'user',
+    avatar_url VARCHAR(500),
+    role VARCHAR(50) DEFAULT 'user', -- user, admin (may edit the catalog); roles in organizations are in org_members
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Sessions table for express-session, see pg-session-store.js
+CREATE TABLE sessions (
+    sid VARCHAR(255) PRIMARY KEY,
+    sess JSONB NOT NULL,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- GitHub OAuth tokens, encrypted with TOKEN_ENCRYPTION_KEY (see secret-box.js). Kept out of
+-- the session so a leaked session row or cookie store doesn't leak repository access.
+CREATE TABLE github_tokens (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT, -- Only for GitHub Apps with expiring tokens
+    scopes VARCHAR(255),
+    expires_at TIMESTAMP, -- Empty for tokens that don't expire
+    refresh_expires_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organizations table
+CREATE TABLE organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Organization members table, see permissions.js for what each role may do
+CREATE TABLE org_members (
+    org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- owner, admin, member, viewer
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (org_id, user_id)
+);
+
+-- Organization invitations table: by GitHub login, accepted once that user has signed in
+CREATE TABLE org_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    org_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    login VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Projects table
 CREATE TABLE projects (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    org_id UUID REFERENCES organizations(id) ON DELETE SET NULL, -- Shared with this organization
     name VARCHAR(255) NOT NULL,
     repo_url VARCHAR(500),
     visibility VARCHAR(20) DEFAULT 'private',
@@ -23,16 +73,51 @@ CREATE TABLE projects (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- API tokens table: Bearer tokens for CI, see api-tokens.js. Only the hash is stored; a token
+-- with a project_id works for that project only.
+CREATE TABLE api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the token
+    prefix VARCHAR(20) NOT NULL, -- First characters, to tell tokens apart
+    scopes TEXT[] NOT NULL, -- scan:write, findings:read, ...
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Scans table
 CREATE TABLE scans (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
-    status VARCHAR(20) DEFAULT 'queued', -- queued, running, done, failed
+    status VARCHAR(20) DEFAULT 'queued', -- queued, running, done, failed, cancelled
     uploaded_file_s3_key VARCHAR(500),
-    commit_sha VARCHAR(40),
+    commit_sha VARCHAR(40), -- Commit the job resolved its ref to, set once the source is fetched
     started_at TIMESTAMP,
     finished_at TIMESTAMP,
     summary_json JSONB,
+    -- Job queue, see scan-queue.js
+    job_json JSONB, -- {source, diff, userId, failOn} - everything needed to run the scan again
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Not claimed before this (retry backoff)
+    locked_by VARCHAR(100), -- Worker holding the lease
+    locked_until TIMESTAMP, -- Lease expiry; an expired lease means the worker died
+    last_error TEXT,
+    progress_json JSONB, -- Latest {stage, percent, file, filesDone, filesTotal}, see scan-events.js
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scan events table: findings and status changes in the order they happened, so an event
+-- stream can resume after the last event a client saw
+CREATE TABLE scan_events (
+    id BIGSERIAL PRIMARY KEY,
+    scan_id UUID REFERENCES scans(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL, -- finding, status
+    data JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -46,8 +131,14 @@ CREATE TABLE findings (
     effort VARCHAR(10) NOT NULL, -- low, medium, high
     confidence DECIMAL(3,2) DEFAULT 0.8,
     description TEXT,
-    code_pointers JSONB, -- [{file, lineStart, lineEnd, snippet}]
+    code_pointers JSONB, -- [{file, lineStart, lineEnd, snippet, fingerprint}]
+    fingerprint VARCHAR(64), -- Stable across scans, see fingerprint.js
+    change VARCHAR(20), -- introduced, pre-existing; null outside pull-request mode
     snippet_id UUID,
+    status VARCHAR(20) DEFAULT 'open', -- open, confirmed, dismissed, fixed
+    triage_note TEXT,
+    triaged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    triaged_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -89,11 +180,19 @@ CREATE TABLE audit_logs (
 
 -- Indexes for performance
 CREATE INDEX idx_projects_user_id ON projects(user_id);
+CREATE INDEX idx_projects_org_id ON projects(org_id);
+CREATE INDEX idx_org_members_user_id ON org_members(user_id);
+CREATE INDEX idx_org_invitations_login ON org_invitations(LOWER(login));
+CREATE INDEX idx_sessions_expires_at ON sessions(expires_at);
+CREATE INDEX idx_api_tokens_user_id ON api_tokens(user_id);
 CREATE INDEX idx_scans_project_id ON scans(project_id);
 CREATE INDEX idx_scans_status ON scans(status);
+CREATE INDEX idx_scans_queue ON scans(status, run_after);
+CREATE INDEX idx_scan_events_scan_id ON scan_events(scan_id, id);
 CREATE INDEX idx_findings_scan_id ON findings(scan_id);
 CREATE INDEX idx_findings_category ON findings(category);
 CREATE INDEX idx_findings_impact ON findings(impact);
+CREATE INDEX idx_findings_fingerprint ON findings(fingerprint);
 CREATE INDEX idx_snippets_finding_id ON snippets(finding_id);
 CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
\ No newline at end of file
@@ -1,19 +1,18 @@
-const fs = require('fs');
-const path = require('path');
+const Codebase = require('./codebase');
 
 class EnhancedAnalyzer {
   constructor() {
     this.apiDatabase = require('./data/comprehensive-api-database.json');
   }
 
-  async analyzeProjectAdvanced(projectPath, scanResult) {
+  async analyzeProjectAdvanced(projectPath, scanResult, project = new Codebase(projectPath)) {
     const analysis = {
       ...scanResult,
-      files: this.getFileStructure(projectPath),
-      dependencies: this.analyzeDependencies(projectPath),
-      patterns: this.detectAdvancedPatterns(projectPath),
-      businessContext: this.inferBusinessContext(projectPath),
-      gdprRisks: this.performGDPRScan(projectPath)
+      files: project.files,
+      dependencies: this.analyzeDependencies(project),
+      patterns: this.detectAdvancedPatterns(project),
+      businessContext: this.inferBusinessContext(project),
+      gdprRisks: this.performGDPRScan(project)
     };
 
     const suggestions = this.generateEnhancedSuggestions(analysis);
@@ -28,7 +27,7 @@ class EnhancedAnalyzer {
     };
   }
 
-  detectAdvancedPatterns(projectPath) {
+  detectAdvancedPatterns(project) {
     const patterns = {
       // E-commerce patterns
       hasProductCatalog: false,
@@ -61,13 +60,16 @@ class EnhancedAnalyzer {
     };
 
     try {
-      const files = this.getFileStructure(projectPath);
       let codeContent = '';
       
-      files.forEach(file => {
+      project.files.forEach(file => {
         if (file.ext === '.js' || file.ext === '.ts' || file.ext === '.py' || file.ext === '.java') {
           try {
-            const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
+            const source = project.read(file.path);
+            if (source === null) return;
+            const parsed = project.parse(file.path);
+            // Comments and string contents are blanked out so only real code is matched
+            const content = parsed ? parsed.codeText : source;
             codeContent += content + ' ';
             
             // Database patterns
@@ -143,7 +145,7 @@ class EnhancedAnalyzer {
     return patterns;
   }
 
-  inferBusinessContext(projectPath) {
+  inferBusinessContext(project) {
     let context = {
       type: 'internal_tool',
       audience: 'internal',
@@ -153,22 +155,20 @@ class EnhancedAnalyzer {
     };
 
     try {
-      const files = this.getFileStructure(projectPath);
       let allContent = '';
       
       // Analyze package.json
-      const packageJsonPath = path.join(projectPath, 'package.json');
-      if (fs.existsSync(packageJsonPath)) {
-        const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      const pkg = project.packageJson;
+      if (pkg) {
         const deps = Object.keys(pkg.dependencies || {});
         const description = (pkg.description || '').toLowerCase();
         
         // Collect all code content for analysis
-        files.forEach(file => {
+        project.files.forEach(file => {
           if (file.ext === '.js' || file.ext === '.ts' || file.ext === '.py') {
             try {
-              const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
-              allContent += content + ' ';
+              const content = project.read(file.path);
+              if (content !== null) allContent += content + ' ';
             } catch (error) {
               // Skip files we can't read
             }
@@ -714,16 +714,15 @@ class EnhancedAnalyzer {
     return relevantProviders;
   }
 
-  performGDPRScan(projectPath) {
+  performGDPRScan(project) {
     const risks = [];
     
     try {
-      const files = this.getFileStructure(projectPath);
-      
-      files.forEach(file => {
+      project.files.forEach(file => {
         if (file.ext === '.js' || file.ext === '.ts') {
           try {
-            const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
+            const content = project.read(file.path);
+            if (content === null) return;
             
             if (content.match(/email.*=|email.*:/gi)) {
               risks.push({
@@ -787,43 +786,12 @@ class EnhancedAnalyzer {
       .sort((a, b) => b.score - a.score);
   }
 
-  getFileStructure(dir) {
-    const files = [];
-    try {
-      const scan = (currentDir) => {
-        try {
-          const items = fs.readdirSync(currentDir);
-          items.forEach(item => {
-            const fullPath = path.join(currentDir, item);
-            const stat = fs.statSync(fullPath);
-            if (stat.isFile()) {
-              files.push({
-                path: fullPath.replace(dir, ''),
-                ext: path.extname(item),
-                size: stat.size
-              });
-            } else if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-              scan(fullPath);
-            }
-          });
-        } catch (error) {
-          // Skip directories we can't read
-        }
-      };
-      scan(dir);
-    } catch (error) {
-      console.log('File structure scan error:', error.message);
-    }
-    return files;
-  }
-
-  analyzeDependencies(projectPath) {
+  analyzeDependencies(project) {
     const deps = { packages: [], security: [] };
     
     try {
-      const packageJsonPath = path.join(projectPath, 'package.json');
-      if (fs.existsSync(packageJsonPath)) {
-        const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      const pkg = project.packageJson;
+      if (pkg) {
         deps.packages = Object.keys(pkg.dependencies || {});
         
         const riskyPackages = ['lodash', 'moment', 'request'];
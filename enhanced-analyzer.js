@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { listProjectFiles } = require('./file-walker');
 
 class EnhancedAnalyzer {
   constructor() {
@@ -11,7 +12,7 @@ class EnhancedAnalyzer {
   async analyzeProjectAdvanced(projectPath, scanResult) {
     const analysis = {
       ...scanResult,
-      files: this.getFileStructure(projectPath),
+      files: listProjectFiles(projectPath),
       dependencies: this.analyzeDependencies(projectPath),
       patterns: this.detectAdvancedPatterns(projectPath),
       businessContext: this.inferBusinessContext(projectPath),
@@ -78,7 +79,7 @@ class EnhancedAnalyzer {
       hasPersonalization: false
     };
 
-    const files = this.getFileStructure(projectPath);
+    const files = listProjectFiles(projectPath);
     
     files.forEach(file => {
       if (file.ext === '.js' || file.ext === '.ts' || file.ext === '.jsx' || file.ext === '.tsx') {
@@ -442,7 +443,7 @@ class EnhancedAnalyzer {
 
   performGDPRScan(projectPath) {
     const risks = [];
-    const files = this.getFileStructure(projectPath);
+    const files = listProjectFiles(projectPath);
     
     files.forEach(file => {
       if (file.ext === '.js' || file.ext === '.ts') {
@@ -537,32 +538,6 @@ class EnhancedAnalyzer {
     return impact;
   }
 
-  getFileStructure(dir) {
-    const files = [];
-    const scan = (currentDir) => {
-      try {
-        const items = fs.readdirSync(currentDir);
-        items.forEach(item => {
-          const fullPath = path.join(currentDir, item);
-          const stat = fs.statSync(fullPath);
-          if (stat.isFile()) {
-            files.push({
-              path: fullPath.replace(dir, ''),
-              ext: path.extname(item),
-              size: stat.size
-            });
-          } else if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-            scan(fullPath);
-          }
-        });
-      } catch (error) {
-        // Skip directories we can't read
-      }
-    };
-    scan(dir);
-    return files;
-  }
-
   analyzeDependencies(projectPath) {
     const deps = { packages: [], outdated: [], security: [] };
     
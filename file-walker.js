@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+const IGNORE_FILES = ['.gitignore', '.arkitekt-ignore'];
+
+// Files that only add noise to the findings. They are ordinary ignore rules with the lowest
+// priority, so a project can bring something back with e.g. "!build/" in .arkitekt-ignore.
+const BUILTIN_IGNORES = [
+  // Dependencies, vendored code and build output
+  'node_modules/',
+  'bower_components/',
+  'jspm_packages/',
+  'vendor/',
+  'dist/',
+  'build/',
+  'coverage/',
+  '__pycache__/',
+  // Minified and generated files
+  '*.min.js',
+  '*.min.css',
+  '*.bundle.js',
+  '*.chunk.js',
+  '*.map',
+  '*.generated.*',
+  '*.pb.go',
+  // Lockfiles
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'composer.lock',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'poetry.lock',
+  // Binaries
+  '*.png', '*.jpg', '*.jpeg', '*.gif', '*.ico', '*.webp', '*.bmp',
+  '*.pdf', '*.zip', '*.gz', '*.tgz', '*.tar', '*.jar', '*.war', '*.class',
+  '*.exe', '*.dll', '*.so', '*.dylib', '*.bin', '*.wasm', '*.pyc',
+  '*.woff', '*.woff2', '*.ttf', '*.eot', '*.otf',
+  '*.mp3', '*.mp4', '*.mov', '*.avi', '*.sqlite', '*.db'
+];
+
+// Anything this large is generated or data, not code someone maintains
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Lists the files of a project the way every analyzer should see it: { path, ext, size } with
+// path relative to the project and starting with "/", skipping dot directories, built-in
+// noise and whatever .gitignore and .arkitekt-ignore files exclude (nested ones included)
+function listProjectFiles(projectPath) {
+  const root = path.resolve(projectPath);
+  const files = [];
+
+  const scan = (currentDir, inheritedRules) => {
+    let items;
+    try {
+      items = fs.readdirSync(currentDir, { withFileTypes: true });
+    } catch (error) {
+      // Skip directories we can't read
+      return;
+    }
+
+    // Rules from deeper ignore files come later and win, like in git
+    const rules = inheritedRules.concat(loadIgnoreRules(root, currentDir));
+
+    items.forEach(item => {
+      const fullPath = path.join(currentDir, item.name);
+      const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+
+      if (item.isDirectory()) {
+        if (item.name.startsWith('.') || isIgnored(rules, relativePath, true)) return;
+        scan(fullPath, rules);
+      } else if (item.isFile()) {
+        if (isIgnored(rules, relativePath, false)) return;
+        let size;
+        try {
+          size = fs.statSync(fullPath).size;
+        } catch (error) {
+          return;
+        }
+        if (size > MAX_FILE_SIZE) return;
+        files.push({
+          path: `/${relativePath}`,
+          ext: path.extname(item.name),
+          size
+        });
+      }
+    });
+  };
+
+  scan(root, parseIgnoreRules(BUILTIN_IGNORES, ''));
+  return files;
+}
+
+function loadIgnoreRules(root, dir) {
+  const base = path.relative(root, dir).split(path.sep).join('/');
+  return IGNORE_FILES.flatMap(name => {
+    try {
+      return parseIgnoreRules(fs.readFileSync(path.join(dir, name), 'utf8').split(/\r?\n/), base);
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+// .gitignore syntax: comments, "!" negation, a trailing "/" for directories only and a
+// pattern with a "/" in it anchored to the directory of the ignore file
+function parseIgnoreRules(lines, base) {
+  return lines.map(line => {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    pattern = pattern.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    if (!pattern) return null;
+
+    return { regex: globToRegex(pattern), negate, dirOnly, anchored, base };
+  }).filter(Boolean);
+}
+
+function globToRegex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[++i]);
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// The last matching rule decides, so a later "!pattern" can bring a file back
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+  rules.forEach(rule => {
+    if (rule.dirOnly && !isDirectory) return;
+    if (rule.base && !relativePath.startsWith(`${rule.base}/`)) return;
+
+    const target = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+    const subject = rule.anchored ? target : target.slice(target.lastIndexOf('/') + 1);
+    if (rule.regex.test(subject)) {
+      ignored = !rule.negate;
+    }
+  });
+  return ignored;
+}
+
+module.exports = {
+  listProjectFiles,
+  parseIgnoreRules,
+  isIgnored,
+  BUILTIN_IGNORES
+};
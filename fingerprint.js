@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { walk, getNodeName } = require('./code-parser');
+
+const FUNCTION_TYPES = [
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ClassMethod', 'ClassPrivateMethod', 'ObjectMethod', 'ClassDeclaration', 'ClassExpression'
+];
+
+// Symbol ranges per parsed file, computed once
+const symbolCache = new WeakMap();
+
+// Identifies a finding by what it is rather than where it is: rule, file, the normalized code
+// on the line and the function it sits in. Moving code up or down keeps the fingerprint;
+// identical lines in the same function are told apart by their order.
+function fingerprintLocation({ rule, file, content, line, parsed }) {
+  const lines = content.split('\n');
+  const code = normalizeCode(lines[line - 1] || '');
+  const symbol = findEnclosingSymbol(parsed, line);
+
+  let occurrence = 0;
+  for (let index = 0; index < line - 1; index++) {
+    if (normalizeCode(lines[index]) === code && findEnclosingSymbol(parsed, index + 1) === symbol) {
+      occurrence++;
+    }
+  }
+
+  return hashParts(rule, normalizeFile(file), symbol, code, occurrence);
+}
+
+// Suggestions are one per topic and scan, so the topic is their identity
+function fingerprintSuggestion(topic) {
+  return hashParts('suggestion', topic);
+}
+
+function hashParts(...parts) {
+  return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+}
+
+function normalizeFile(file) {
+  return file.replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+function normalizeCode(code) {
+  return code.replace(/\s+/g, ' ').replace(/\s*([(){}[\];,])\s*/g, '$1').trim();
+}
+
+// "UserService > create" style path of the functions and classes around a line
+function findEnclosingSymbol(parsed, line) {
+  if (!parsed || !line) return '';
+
+  return getSymbolRanges(parsed)
+    .filter(range => range.start <= line && line <= range.end)
+    .map(range => range.name)
+    .join(' > ');
+}
+
+function getSymbolRanges(parsed) {
+  if (symbolCache.has(parsed)) return symbolCache.get(parsed);
+
+  const ranges = [];
+  walk(parsed.ast.program, (node, parent) => {
+    if (!FUNCTION_TYPES.includes(node.type) || !node.loc) return;
+    ranges.push({
+      start: node.loc.start.line,
+      end: node.loc.end.line,
+      name: getSymbolName(node, parent)
+    });
+  });
+
+  // walk() visits parents before children, so the ranges are already outermost first
+  symbolCache.set(parsed, ranges);
+  return ranges;
+}
+
+function getSymbolName(node, parent) {
+  if (node.id && node.id.name) return node.id.name;
+  if (node.key) return getNodeName(node.key) || (node.key.value !== undefined ? String(node.key.value) : 'anonymous');
+
+  if (parent) {
+    if (parent.type === 'VariableDeclarator') return getNodeName(parent.id) || 'anonymous';
+    if (parent.type === 'AssignmentExpression') return getNodeName(parent.left) || 'anonymous';
+    if (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') return getNodeName(parent.key) || 'anonymous';
+
+    // Callbacks are named after the call they are passed to, e.g. app.post('/users')
+    if (parent.type === 'CallExpression' || parent.type === 'OptionalCallExpression') {
+      const first = parent.arguments[0];
+      const label = first && first.type === 'StringLiteral' ? `'${first.value}'` : '';
+      return `${getNodeName(parent.callee) || 'anonymous'}(${label})`;
+    }
+  }
+
+  return 'anonymous';
+}
+
+module.exports = {
+  fingerprintLocation,
+  fingerprintSuggestion,
+  findEnclosingSymbol
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const GitHubIntegration = require('./github-integration');
+
+// Installation tokens are valid for an hour; a new one is fetched this long before that
+const TOKEN_MARGIN_MS = 5 * 60 * 1000;
+
+// The GitHub App that publishes check runs and review comments. Check runs can only be created
+// by an app, not with a user's OAuth token. The app signs a short JWT with its private key and
+// exchanges it for an installation token for the repository it publishes to.
+class GitHubApp {
+  constructor({
+    appId = process.env.GITHUB_APP_ID,
+    // Environment variables often hold the PEM with escaped newlines
+    privateKey = (process.env.GITHUB_APP_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+    github = new GitHubIntegration()
+  } = {}) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.github = github;
+    this.tokens = new Map();
+  }
+
+  get configured() {
+    return Boolean(this.appId && this.privateKey);
+  }
+
+  // Valid for 10 minutes at most; iat is set back a minute in case GitHub's clock is behind
+  jwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat: now - 60, exp: now + 540, iss: String(this.appId) })}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), this.privateKey).toString('base64url');
+    return `${unsigned}.${signature}`;
+  }
+
+  async installationToken({ owner, repo, fullName }) {
+    const cached = this.tokens.get(fullName);
+    if (cached && cached.expiresAt - Date.now() > TOKEN_MARGIN_MS) {
+      return cached.token;
+    }
+
+    const jwt = this.jwt();
+    const installation = await this.github.getJson(`${this.github.apiUrl}/repos/${owner}/${repo}/installation`, {
+      token: jwt,
+      what: `GitHub-appens installation på ${fullName}`
+    });
+    const access = await this.github.getJson(`${this.github.apiUrl}/app/installations/${installation.id}/access_tokens`, {
+      token: jwt,
+      method: 'POST',
+      what: `en installations-token för ${fullName}`
+    });
+
+    this.tokens.set(fullName, { token: access.token, expiresAt: new Date(access.expires_at).getTime() });
+    return access.token;
+  }
+}
+
+module.exports = GitHubApp;
@@ -1,130 +1,88 @@
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
-const AdmZip = require('adm-zip');
+const SourceProvider = require('./source-provider');
+const { encodeRef } = SourceProvider;
 
-class GitHubIntegration {
-  constructor() {
-    this.apiBase = 'https://api.github.com';
+// github.com, or GitHub Enterprise with GITHUB_URL (the API is then under /api/v3)
+class GitHubIntegration extends SourceProvider {
+  // There's no server-wide token: repositories are read with the signed-in user's token or
+  // anonymously, so nobody reaches a private repository through someone else's access
+  constructor({
+    baseUrl = process.env.GITHUB_URL || 'https://github.com',
+    apiUrl = process.env.GITHUB_URL ? `${process.env.GITHUB_URL.replace(/\/$/, '')}/api/v3` : 'https://api.github.com',
+    token = null
+  } = {}) {
+    super({ name: 'github', label: 'GitHub', baseUrl, apiUrl, token });
+    this.accept = 'application/vnd.github+json';
   }
 
-  async downloadRepository(repoUrl) {
-    // Extrahera owner/repo från URL
-    const match = repoUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-    if (!match) {
-      throw new Error('Ogiltig GitHub URL');
-    }
+  get credentialsHint() {
+    return 'inloggning med GitHub';
+  }
 
-    const [, owner, repo] = match;
-    const cleanRepo = repo.replace('.git', '');
-    
-    // Ladda ner som ZIP
-    const downloadUrl = `https://github.com/${owner}/${cleanRepo}/archive/refs/heads/main.zip`;
-    
-    return new Promise((resolve, reject) => {
-      const zipPath = path.join(__dirname, 'uploads', `${owner}-${cleanRepo}-${Date.now()}.zip`);
-      const file = fs.createWriteStream(zipPath);
-      
-      https.get(downloadUrl, (response) => {
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          // Följ redirect
-          https.get(response.headers.location, (redirectResponse) => {
-            redirectResponse.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              resolve(zipPath);
-            });
-          }).on('error', reject);
-        } else {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve(zipPath);
-          });
-        }
-      }).on('error', reject);
-    });
+  // GitHub answers 403, not 429, when the hourly limit is reached
+  isRateLimited(response) {
+    return response.statusCode === 429 || (response.statusCode === 403 && response.headers['x-ratelimit-remaining'] === '0');
   }
 
-  async extractRepository(zipPath) {
-    const zip = new AdmZip(zipPath);
-    const extractPath = path.join(__dirname, 'uploads', `extracted-${Date.now()}`);
-    
-    fs.mkdirSync(extractPath, { recursive: true });
-    zip.extractAllTo(extractPath, true);
-    
-    // Hitta den extraherade mappen (GitHub lägger till -main suffix)
-    const contents = fs.readdirSync(extractPath);
-    const projectDir = contents.find(item => 
-      fs.statSync(path.join(extractPath, item)).isDirectory()
-    );
-    
-    if (projectDir) {
-      return path.join(extractPath, projectDir);
-    }
-    
-    return extractPath;
+  // The API redirects to codeload with a signed URL of its own
+  archiveUrl({ owner, repo }, ref) {
+    return `${this.apiUrl}/repos/${owner}/${repo}/tarball/${encodeRef(ref)}`;
   }
 
-  async getRepositoryInfo(repoUrl) {
-    const match = repoUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-    if (!match) return null;
+  // Check runs and reviews are set on a commit, not a branch
+  async resolveCommit(repoUrl, ref, { token } = {}) {
+    const { owner, repo, fullName } = this.parseRepoUrl(repoUrl);
+    const what = `${ref} i ${fullName}`;
+    const response = await this.request(`${this.apiUrl}/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`, {
+      token,
+      accept: 'application/vnd.github.sha',
+      what
+    });
+    return (await this.readResponse(response, this.maxApiBody, what)).trim();
+  }
 
-    const [, owner, repo] = match;
-    const cleanRepo = repo.replace('.git', '');
-    
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.github.com',
-        path: `/repos/${owner}/${cleanRepo}`,
-        headers: {
-          'User-Agent': 'AI-Arkitekt'
-        }
-      };
+  async getRepositoryInfo(repoUrl, { token } = {}) {
+    const { owner, repo, fullName } = this.parseRepoUrl(repoUrl);
+    const repoInfo = await this.getJson(`${this.apiUrl}/repos/${owner}/${repo}`, { token, what: fullName });
 
-      https.get(options, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const repoInfo = JSON.parse(data);
-            resolve({
-              name: repoInfo.name,
-              description: repoInfo.description,
-              language: repoInfo.language,
-              stars: repoInfo.stargazers_count,
-              forks: repoInfo.forks_count,
-              size: repoInfo.size,
-              topics: repoInfo.topics || []
-            });
-          } catch (error) {
-            reject(error);
-          }
-        });
-      }).on('error', reject);
-    });
+    return {
+      name: repoInfo.name,
+      description: repoInfo.description,
+      language: repoInfo.language,
+      stars: repoInfo.stargazers_count,
+      forks: repoInfo.forks_count,
+      size: repoInfo.size,
+      topics: repoInfo.topics || [],
+      defaultBranch: repoInfo.default_branch,
+      private: repoInfo.private,
+      provider: this.name
+    };
   }
 
-  async analyzeFromGitHub(repoUrl) {
-    try {
-      // Hämta repo-info
-      const repoInfo = await this.getRepositoryInfo(repoUrl);
-      
-      // Ladda ner och extrahera
-      const zipPath = await this.downloadRepository(repoUrl);
-      const projectPath = await this.extractRepository(zipPath);
-      
-      // Rensa upp ZIP-filen
-      fs.unlinkSync(zipPath);
-      
-      return {
-        projectPath,
-        repoInfo
-      };
-    } catch (error) {
-      throw new Error(`GitHub-integration misslyckades: ${error.message}`);
-    }
+  async listUserRepos({ token = this.token } = {}) {
+    const repos = await this.getJson(`${this.apiUrl}/user/repos?sort=updated&per_page=100`, { token, what: 'dina repositoryn' });
+    return repos.map(repo => ({
+      id: repo.id,
+      name: repo.name,
+      fullName: repo.full_name,
+      description: repo.description,
+      private: repo.private,
+      url: repo.html_url,
+      defaultBranch: repo.default_branch
+    }));
+  }
+
+  async fetchCompareDiff(repoUrl, baseRef, headRef, { token } = {}) {
+    const { owner, repo, fullName } = this.parseRepoUrl(repoUrl);
+    const basehead = `${encodeURIComponent(baseRef)}...${encodeURIComponent(headRef)}`;
+
+    const what = `${baseRef} eller ${headRef} i ${fullName}`;
+    const response = await this.request(`${this.apiUrl}/repos/${owner}/${repo}/compare/${basehead}`, {
+      token,
+      accept: 'application/vnd.github.v3.diff',
+      what
+    });
+    return this.readResponse(response, this.maxDiffBody, what);
   }
 }
 
-module.exports = GitHubIntegration;
\ No newline at end of file
+module.exports = GitHubIntegration;
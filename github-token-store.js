@@ -0,0 +1,104 @@
+const SecretBox = require('./secret-box');
+
+// Tokens are refreshed this long before they expire, so a request doesn't start with one
+// that runs out halfway
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// GitHub OAuth tokens per user, encrypted in the github_tokens table instead of the session.
+// OAuth apps issue tokens that don't expire; GitHub Apps with expiring tokens also send a
+// refresh token, which is used here when the access token is about to run out.
+class GitHubTokenStore {
+  constructor(db, {
+    box = new SecretBox(),
+    clientId = process.env.GITHUB_CLIENT_ID,
+    clientSecret = process.env.GITHUB_CLIENT_SECRET
+  } = {}) {
+    this.db = db;
+    this.box = box;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+  }
+
+  // params are the token response from GitHub: expires_in and refresh_token_expires_in in seconds
+  async save(userId, accessToken, refreshToken = null, params = {}) {
+    await this.db.saveGitHubToken(userId, {
+      accessToken: this.box.encrypt(accessToken),
+      refreshToken: refreshToken ? this.box.encrypt(refreshToken) : null,
+      expiresAt: expiresAt(params.expires_in),
+      refreshExpiresAt: expiresAt(params.refresh_token_expires_in),
+      scopes: params.scope || null
+    });
+  }
+
+  // The user's access token, refreshed if needed, or null when there is none that works
+  async get(userId) {
+    const row = await this.db.getGitHubToken(userId);
+    if (!row) return null;
+
+    try {
+      if (!row.expires_at || row.expires_at.getTime() - Date.now() > REFRESH_MARGIN_MS) {
+        return this.box.decrypt(row.access_token);
+      }
+      return await this.refresh(userId, row);
+    } catch (error) {
+      // A token that can't be decrypted or refreshed is no use; the user has to sign in again
+      console.error(`❌ GitHub-token för användare ${userId} kunde inte användas:`, error.message);
+      await this.db.deleteGitHubToken(userId);
+      return null;
+    }
+  }
+
+  async refresh(userId, row) {
+    if (!row.refresh_token || (row.refresh_expires_at && row.refresh_expires_at.getTime() <= Date.now())) {
+      throw new Error('Token har gått ut och kan inte förnyas');
+    }
+
+    const response = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        grant_type: 'refresh_token',
+        refresh_token: this.box.decrypt(row.refresh_token)
+      })
+    });
+    const data = await response.json();
+    if (!response.ok || data.error) {
+      throw new Error(`GitHub vägrade förnya token: ${data.error_description || data.error || response.status}`);
+    }
+
+    await this.save(userId, data.access_token, data.refresh_token, data);
+    return data.access_token;
+  }
+
+  // Deletes the stored token and asks GitHub to invalidate it. GitHub failing to answer doesn't
+  // stop the logout; the token is gone from here either way.
+  async revoke(userId) {
+    const row = await this.db.deleteGitHubToken(userId);
+    if (!row || !this.clientId || !this.clientSecret) return;
+
+    try {
+      const response = await fetch(`https://api.github.com/applications/${this.clientId}/token`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`,
+          Accept: 'application/vnd.github+json',
+          'User-Agent': 'AI-Arkitekt'
+        },
+        body: JSON.stringify({ access_token: this.box.decrypt(row.access_token) })
+      });
+      if (!response.ok && response.status !== 404) {
+        console.error(`❌ GitHub kunde inte återkalla token för användare ${userId}: ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`❌ GitHub kunde inte återkalla token för användare ${userId}:`, error.message);
+    }
+  }
+}
+
+function expiresAt(seconds) {
+  return seconds ? new Date(Date.now() + Number(seconds) * 1000) : null;
+}
+
+module.exports = GitHubTokenStore;
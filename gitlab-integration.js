@@ -0,0 +1,97 @@
+const SourceProvider = require('./source-provider');
+const { SourceProviderError } = SourceProvider;
+
+// gitlab.com, or a self-hosted instance with GITLAB_URL. Projects can be in subgroups
+// (gitlab.com/group/subgroup/repo), so everything before the last segment is the owner.
+class GitLabIntegration extends SourceProvider {
+  constructor({
+    baseUrl = process.env.GITLAB_URL || 'https://gitlab.com',
+    apiUrl = `${baseUrl.replace(/\/$/, '')}/api/v4`,
+    token = process.env.GITLAB_TOKEN || null
+  } = {}) {
+    super({ name: 'gitlab', label: 'GitLab', baseUrl, apiUrl, token, tokenEnv: 'GITLAB_TOKEN' });
+  }
+
+  parseRepoUrl(repoUrl) {
+    const segments = this.repoPath(repoUrl);
+    // Everything after /-/ is a page of the project, e.g. /-/tree/main
+    const separator = segments ? segments.indexOf('-') : -1;
+    const projectPath = segments && separator >= 0 ? segments.slice(0, separator) : segments;
+    if (!projectPath || projectPath.length < 2) {
+      throw new SourceProviderError('GITLAB_INVALID_URL', 'Ogiltig GitLab URL', 400);
+    }
+
+    const owner = projectPath.slice(0, -1).join('/');
+    const repo = projectPath[projectPath.length - 1].replace(/\.git$/, '');
+    return { owner, repo, fullName: `${owner}/${repo}` };
+  }
+
+  // The API takes group/repo, URL-encoded, as the project id
+  projectUrl({ fullName }) {
+    return `${this.apiUrl}/projects/${encodeURIComponent(fullName)}`;
+  }
+
+  archiveUrl(repo, ref) {
+    return `${this.projectUrl(repo)}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`;
+  }
+
+  async getRepositoryInfo(repoUrl, { token } = {}) {
+    const repo = this.parseRepoUrl(repoUrl);
+    // statistics are only included for members of the project
+    const project = await this.getJson(`${this.projectUrl(repo)}?statistics=true`, { token, what: repo.fullName });
+    // Percentage per language; the largest counts as the repository's language
+    const languages = await this.getJson(`${this.projectUrl(repo)}/languages`, { token, what: repo.fullName });
+    const [language] = Object.entries(languages).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+
+    return {
+      name: project.name,
+      description: project.description,
+      language: language || null,
+      stars: project.star_count,
+      forks: project.forks_count,
+      // In KB, like on GitHub
+      size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : null,
+      topics: project.topics || project.tag_list || [],
+      defaultBranch: project.default_branch,
+      private: project.visibility !== 'public',
+      provider: this.name
+    };
+  }
+
+  async listUserRepos({ token = this.token } = {}) {
+    const projects = await this.getJson(`${this.apiUrl}/projects?membership=true&order_by=last_activity_at&per_page=100`, {
+      token,
+      what: 'dina repositoryn'
+    });
+    return projects.map(project => ({
+      id: project.id,
+      name: project.name,
+      fullName: project.path_with_namespace,
+      description: project.description,
+      private: project.visibility !== 'public',
+      url: project.web_url,
+      defaultBranch: project.default_branch
+    }));
+  }
+
+  // GitLab gives the diff per file without git headers, so they're added here. The comparison
+  // is against the merge base, like base...head on GitHub.
+  async fetchCompareDiff(repoUrl, baseRef, headRef, { token } = {}) {
+    const repo = this.parseRepoUrl(repoUrl);
+    const query = `from=${encodeURIComponent(baseRef)}&to=${encodeURIComponent(headRef)}&straight=false`;
+    const compare = await this.getJson(`${this.projectUrl(repo)}/repository/compare?${query}`, {
+      token,
+      what: `${baseRef} eller ${headRef} i ${repo.fullName}`,
+      maxBytes: this.maxDiffBody
+    });
+
+    return compare.diffs.map(file => [
+      `diff --git a/${file.old_path} b/${file.new_path}`,
+      `--- ${file.new_file ? '/dev/null' : `a/${file.old_path}`}`,
+      `+++ ${file.deleted_file ? '/dev/null' : `b/${file.new_path}`}`,
+      file.diff.replace(/\n$/, '')
+    ].join('\n')).join('\n') + '\n';
+  }
+}
+
+module.exports = GitLabIntegration;
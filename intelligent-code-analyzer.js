@@ -1,5 +1,16 @@
-const fs = require('fs');
-const path = require('path');
+const Codebase = require('./codebase');
+const { scanFiles } = require('./worker-pool');
+const { rulesetVersion } = require('./analysis-cache');
+
+// Bump when scanFile's output changes, so cached results from older code aren't reused
+const SCAN_VERSION = 1;
+
+// Framework names that show up in the code itself
+const TECHNOLOGY_KEYWORDS = {
+  express: 'Express.js',
+  react: 'React',
+  vue: 'Vue.js'
+};
 
 class IntelligentCodeAnalyzer {
   constructor() {
@@ -68,11 +79,11 @@ class IntelligentCodeAnalyzer {
     };
   }
 
-  async analyzeCodeIntelligently(projectPath, scanResult) {
+  async analyzeCodeIntelligently(projectPath, scanResult, project = new Codebase(projectPath), options = {}) {
     console.log('🧠 Starting intelligent code analysis...');
     
     // Step 1: Deep code analysis
-    const codeAnalysis = await this.performDeepCodeAnalysis(projectPath);
+    const { cache, ...codeAnalysis } = await this.performDeepCodeAnalysis(project, options);
     
     // Step 2: Understand project purpose and context
     const projectContext = this.inferProjectContext(codeAnalysis);
@@ -100,11 +111,12 @@ class IntelligentCodeAnalyzer {
       },
       suggestions: recommendations,
       marketplace: marketplace,
-      intelligenceReport: this.generateIntelligenceReport(codeAnalysis, projectContext)
+      intelligenceReport: this.generateIntelligenceReport(codeAnalysis, projectContext),
+      cache
     };
   }
 
-  async performDeepCodeAnalysis(projectPath) {
+  async performDeepCodeAnalysis(project, { onProgress, signal } = {}) {
     const analysis = {
       totalLines: 0,
       fileTypes: {},
@@ -115,27 +127,6 @@ class IntelligentCodeAnalyzer {
       functionalAreas: []
     };
 
-    const files = this.getFileStructure(projectPath);
-    let allCode = '';
-
-    for (const file of files) {
-      if (this.isCodeFile(file.ext)) {
-        try {
-          const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
-          allCode += content + '\n';
-          
-          analysis.totalLines += content.split('\n').length;
-          analysis.fileTypes[file.ext] = (analysis.fileTypes[file.ext] || 0) + 1;
-          
-          // Analyze patterns in this file
-          this.analyzeFilePatterns(content, analysis);
-          
-        } catch (error) {
-          // Skip unreadable files
-        }
-      }
-    }
-
     // Analyze overall code patterns and extract actual code snippets
     analysis.actualCodeSnippets = {
       database: [],
@@ -143,21 +134,48 @@ class IntelligentCodeAnalyzer {
       tests: [],
       security: []
     };
-    
-    for (const [patternName, regex] of Object.entries(this.codePatterns)) {
-      const matches = allCode.match(regex) || [];
+
+    const patternCounts = {};
+    const mentions = new Set();
+    Object.keys(this.codePatterns).forEach(patternName => {
+      patternCounts[patternName] = 0;
+    });
+
+    // Files are scanned one by one (on the worker pool for large projects) and merged in
+    // file order, so the snippets come out the same however the work was split
+    const codeFiles = project.files.filter(file => this.isCodeFile(file.ext));
+    const { results, cacheHits } = await scanFiles('intelligent', this, project, codeFiles, {
+      state: this.prepareFileScan(project),
+      onProgress,
+      signal
+    });
+    analysis.cache = { files: codeFiles.length, hits: cacheHits };
+
+    codeFiles.forEach(file => {
+      const result = results.get(file.path);
+      if (!result) return;
+
+      analysis.totalLines += result.lines;
+      analysis.fileTypes[file.ext] = (analysis.fileTypes[file.ext] || 0) + 1;
+      Object.entries(result.patternCounts).forEach(([patternName, count]) => {
+        patternCounts[patternName] += count;
+      });
+      result.mentions.forEach(keyword => mentions.add(keyword));
+      Object.entries(result.actualCodeSnippets).forEach(([kind, snippet]) => {
+        analysis.actualCodeSnippets[kind].push(...snippet);
+      });
+    });
+
+    Object.entries(patternCounts).forEach(([patternName, count]) => {
       analysis.patterns[patternName] = {
-        count: matches.length,
-        density: matches.length / analysis.totalLines * 1000, // per 1000 lines
-        present: matches.length > 0
+        count,
+        density: count / analysis.totalLines * 1000, // per 1000 lines
+        present: count > 0
       };
-    }
-    
-    // Extract actual code snippets
-    this.extractActualCodeSnippets(projectPath, analysis);
+    });
 
     // Determine technologies used
-    analysis.technologies = this.identifyTechnologies(allCode, analysis.fileTypes);
+    analysis.technologies = this.identifyTechnologies(mentions, analysis.fileTypes);
     
     // Assess complexity
     analysis.complexity = this.assessComplexity(analysis);
@@ -167,35 +185,52 @@ class IntelligentCodeAnalyzer {
 
     return analysis;
   }
-  
-  extractActualCodeSnippets(projectPath, analysis) {
-    const files = this.getFileStructure(projectPath);
-    
-    files.forEach(file => {
-      if (this.isCodeFile(file.ext)) {
-        try {
-          const content = fs.readFileSync(path.join(projectPath, file.path), 'utf8');
-          const lines = content.split('\n');
-          
-          // Extract database-related code
-          this.extractDatabaseSnippets(lines, file.path, analysis);
-          
-          // Extract API-related code
-          this.extractAPISnippets(lines, file.path, analysis);
-          
-          // Extract test-related code
-          this.extractTestSnippets(lines, file.path, analysis);
-          
-        } catch (error) {
-          // Skip unreadable files
-        }
-      }
-    });
+
+  // Nothing is shared between files, only the version for the analysis cache
+  prepareFileScan() {
+    return { version: rulesetVersion(SCAN_VERSION, this.codePatterns, TECHNOLOGY_KEYWORDS) };
+  }
+
+  // What one file adds to the deep analysis as plain data, or null when it can't be read
+  scanFile(project, file) {
+    try {
+      const content = project.read(file.path);
+      if (content === null) return null;
+      const lines = project.lines(file.path);
+      const parsed = project.parse(file.path);
+      // Pattern counts only look at real code, not comments or string contents
+      const code = parsed ? parsed.codeText : content;
+
+      const result = {
+        lines: lines.length,
+        patternCounts: {},
+        mentions: Object.keys(TECHNOLOGY_KEYWORDS).filter(keyword => code.includes(keyword)),
+        actualCodeSnippets: { database: [], api: [], tests: [] }
+      };
+      Object.entries(this.codePatterns).forEach(([patternName, regex]) => {
+        result.patternCounts[patternName] = (code.match(regex) || []).length;
+      });
+
+      // Extract database-related code
+      this.extractDatabaseSnippets(lines, file.path, result, parsed);
+      
+      // Extract API-related code
+      this.extractAPISnippets(lines, file.path, result, parsed);
+      
+      // Extract test-related code
+      this.extractTestSnippets(lines, file.path, result);
+
+      return result;
+    } catch (error) {
+      // Skip unreadable files
+      return null;
+    }
   }
   
-  extractDatabaseSnippets(lines, filePath, analysis) {
+  extractDatabaseSnippets(lines, filePath, analysis, parsed) {
+    const codeLines = parsed ? parsed.codeText.split('\n') : lines;
     for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+      const line = codeLines[i];
       if (line.match(/db\.|query|SELECT|INSERT|UPDATE|DELETE/i)) {
         // Extract 3-5 lines of context around database operations
         const start = Math.max(0, i - 1);
@@ -210,7 +245,18 @@ class IntelligentCodeAnalyzer {
     }
   }
   
-  extractAPISnippets(lines, filePath, analysis) {
+  extractAPISnippets(lines, filePath, analysis, parsed) {
+    if (parsed) {
+      const route = parsed.routes.find(r => r.method !== 'use');
+      if (route) {
+        const start = route.line - 1;
+        analysis.actualCodeSnippets.api.push(`// Från ${filePath}:`);
+        analysis.actualCodeSnippets.api.push(...lines.slice(start, Math.min(lines.length, start + 5)));
+        analysis.actualCodeSnippets.api.push('');
+      }
+      return;
+    }
+    
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
       if (line.match(/app\.(get|post|put|delete)|router\./i)) {
@@ -670,43 +716,13 @@ class IntelligentCodeAnalyzer {
     return ['.js', '.ts', '.py', '.java', '.php', '.rb', '.go', '.cs', '.cpp', '.c'].includes(ext);
   }
 
-  getFileStructure(dir) {
-    const files = [];
-    try {
-      const scan = (currentDir) => {
-        try {
-          const items = fs.readdirSync(currentDir);
-          items.forEach(item => {
-            const fullPath = path.join(currentDir, item);
-            const stat = fs.statSync(fullPath);
-            if (stat.isFile()) {
-              files.push({
-                path: fullPath.replace(dir, ''),
-                ext: path.extname(item),
-                size: stat.size
-              });
-            } else if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-              scan(fullPath);
-            }
-          });
-        } catch (error) {
-          // Skip directories we can't read
-        }
-      };
-      scan(dir);
-    } catch (error) {
-      console.log('File structure scan error:', error.message);
-    }
-    return files;
-  }
-
-  identifyTechnologies(code, fileTypes) {
+  identifyTechnologies(mentions, fileTypes) {
     const technologies = [];
     
     // Framework detection
-    if (code.includes('express')) technologies.push('Express.js');
-    if (code.includes('react')) technologies.push('React');
-    if (code.includes('vue')) technologies.push('Vue.js');
+    Object.entries(TECHNOLOGY_KEYWORDS).forEach(([keyword, technology]) => {
+      if (mentions.has(keyword)) technologies.push(technology);
+    });
     if (fileTypes['.py']) technologies.push('Python');
     if (fileTypes['.java']) technologies.push('Java');
     
@@ -1178,7 +1194,6 @@ class IntelligentCodeAnalyzer {
   analyzeCommunication() { return { type: 'basic', sophistication: 'low' }; }
   analyzePerformance() { return { type: 'basic', sophistication: 'low' }; }
   analyzeMonitoring() { return { type: 'basic', sophistication: 'low' }; }
-  analyzeFilePatterns() {}
   generateProjectSummary(codeAnalysis, projectContext) {
     const technologies = codeAnalysis.technologies.join(', ') || 'Okänd teknologi';
     const complexity = codeAnalysis.complexity === 'high' ? 'hög' : 
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const { fileURLToPath } = require('url');
+
+// Reads a git repository on the server's disk (working copy or bare) at any branch, tag or
+// commit. Only repositories below LOCAL_GIT_ROOTS (separated by ":") can be read.
+class LocalGitSource {
+  constructor(allowedRoots = process.env.LOCAL_GIT_ROOTS) {
+    this.allowedRoots = (allowedRoots || '')
+      .split(path.delimiter)
+      .filter(Boolean)
+      .map(root => path.resolve(root));
+  }
+
+  isLocalLocation(location) {
+    return typeof location === 'string' && (location.startsWith('file://') || path.isAbsolute(location));
+  }
+
+  resolveRepositoryPath(location) {
+    if (this.allowedRoots.length === 0) {
+      throw new Error('Lokala git-repon är inte aktiverade (sätt LOCAL_GIT_ROOTS)');
+    }
+
+    let repoPath;
+    try {
+      repoPath = location.startsWith('file://') ? fileURLToPath(location) : location;
+    } catch (error) {
+      throw new Error(`Ogiltig file://-URL: ${location}`);
+    }
+    repoPath = path.resolve(repoPath);
+
+    // realpath so a symlink inside an allowed root can't point elsewhere
+    if (!fs.existsSync(repoPath)) {
+      throw new Error(`Hittade inget repository på ${repoPath}`);
+    }
+    const realPath = fs.realpathSync(repoPath);
+    const allowed = this.allowedRoots.some(root => realPath === root || realPath.startsWith(root + path.sep));
+    if (!allowed) {
+      throw new Error(`${repoPath} ligger utanför tillåtna kataloger`);
+    }
+
+    return realPath;
+  }
+
+  git(repoPath, args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-C', repoPath, ...args], { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(stderr.trim() || error.message));
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+
+  async resolveCommit(repoPath, ref) {
+    // Refs starting with "-" would be read as options by git
+    if (!ref || ref.startsWith('-') || /[\s\0]/.test(ref)) {
+      throw new Error(`Ogiltig ref: ${ref}`);
+    }
+
+    try {
+      await this.git(repoPath, ['rev-parse', '--git-dir']);
+    } catch (error) {
+      throw new Error(`${repoPath} är inte ett git-repository`);
+    }
+
+    try {
+      return await this.git(repoPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    } catch (error) {
+      throw new Error(`Hittade inte ${ref} i repositoryt`);
+    }
+  }
+
+  // git archive | tar -x, so the source repository's index and worktrees are never touched
+  exportTree(repoPath, commitSha, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    const archive = spawn('git', ['-C', repoPath, 'archive', '--format=tar', commitSha]);
+    const extract = spawn('tar', ['-x', '-C', targetDir]);
+    let stderr = '';
+
+    archive.stdout.pipe(extract.stdin);
+    archive.stderr.on('data', chunk => stderr += chunk);
+    extract.stderr.on('data', chunk => stderr += chunk);
+
+    const exited = child => new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', resolve);
+    });
+
+    return Promise.all([exited(archive), exited(extract)]).then(([archiveCode, extractCode]) => {
+      if (archiveCode !== 0 || extractCode !== 0) {
+        throw new Error(`Kunde inte checka ut ${commitSha}: ${stderr.trim() || `exit ${archiveCode || extractCode}`}`);
+      }
+      return targetDir;
+    });
+  }
+
+  async checkout(location, ref = 'HEAD', baseRef = null, workspace) {
+    try {
+      const repoPath = this.resolveRepositoryPath(location);
+      const commitSha = await this.resolveCommit(repoPath, ref);
+
+      // Pull-request mode: the diff from base to the checked out commit
+      const diff = baseRef
+        ? await this.git(repoPath, ['diff', '--no-color', '--no-ext-diff', await this.resolveCommit(repoPath, baseRef), commitSha])
+        : null;
+
+      const projectPath = workspace.path('source');
+      await this.exportTree(repoPath, commitSha, projectPath);
+
+      return {
+        projectPath,
+        commitSha,
+        diff,
+        repoInfo: {
+          name: path.basename(repoPath).replace(/\.git$/, ''),
+          ref,
+          commitSha
+        }
+      };
+    } catch (error) {
+      throw new Error(`Lokal git-inläsning misslyckades: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalGitSource;
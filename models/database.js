@@ -9,6 +9,126 @@ class Database {
     });
   }
 
+  // Users sign in with GitHub; the row is keyed by the GitHub id so a renamed account or a
+  // changed email stays the same user
+  async upsertGitHubUser(profile) {
+    const query = `
+      INSERT INTO users (github_id, login, name, email, avatar_url)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (github_id) DO UPDATE
+      SET login = EXCLUDED.login, name = EXCLUDED.name, email = COALESCE(EXCLUDED.email, users.email),
+          avatar_url = EXCLUDED.avatar_url, updated_at = NOW()
+      RETURNING id, github_id, login, name, email, avatar_url
+    `;
+    const result = await this.pool.query(query, [
+      profile.id,
+      profile.username,
+      profile.displayName || profile.username,
+      profile.emails?.[0]?.value || null,
+      profile.photos?.[0]?.value || null
+    ]);
+    return result.rows[0];
+  }
+
+  async getUser(userId) {
+    const result = await this.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  async getSession(sid) {
+    const result = await this.pool.query('SELECT sess FROM sessions WHERE sid = $1 AND expires_at > NOW()', [sid]);
+    return result.rows[0]?.sess;
+  }
+
+  async setSession(sid, sess, expiresAt) {
+    const query = `
+      INSERT INTO sessions (sid, sess, expires_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (sid) DO UPDATE SET sess = EXCLUDED.sess, expires_at = EXCLUDED.expires_at
+    `;
+    await this.pool.query(query, [sid, JSON.stringify(sess), expiresAt]);
+  }
+
+  async touchSession(sid, expiresAt) {
+    await this.pool.query('UPDATE sessions SET expires_at = $2 WHERE sid = $1', [sid, expiresAt]);
+  }
+
+  async destroySession(sid) {
+    await this.pool.query('DELETE FROM sessions WHERE sid = $1', [sid]);
+  }
+
+  // Returns how many expired sessions were removed
+  async pruneSessions() {
+    const result = await this.pool.query('DELETE FROM sessions WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  // Tokens arrive encrypted, see github-token-store.js
+  async saveGitHubToken(userId, { accessToken, refreshToken, expiresAt, refreshExpiresAt, scopes }) {
+    const query = `
+      INSERT INTO github_tokens (user_id, access_token, refresh_token, expires_at, refresh_expires_at, scopes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id) DO UPDATE
+      SET access_token = EXCLUDED.access_token, refresh_token = EXCLUDED.refresh_token, expires_at = EXCLUDED.expires_at,
+          refresh_expires_at = EXCLUDED.refresh_expires_at, scopes = EXCLUDED.scopes, updated_at = NOW()
+    `;
+    await this.pool.query(query, [userId, accessToken, refreshToken, expiresAt, refreshExpiresAt, scopes]);
+  }
+
+  async getGitHubToken(userId) {
+    const result = await this.pool.query('SELECT * FROM github_tokens WHERE user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  // Returns the deleted row so the token can still be revoked at GitHub
+  async deleteGitHubToken(userId) {
+    const result = await this.pool.query('DELETE FROM github_tokens WHERE user_id = $1 RETURNING *', [userId]);
+    return result.rows[0];
+  }
+
+  async createApiToken(userId, { name, hash, prefix, scopes, projectId = null, expiresAt = null }) {
+    const query = `
+      INSERT INTO api_tokens (user_id, project_id, name, token_hash, prefix, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, project_id, name, prefix, scopes, expires_at, created_at
+    `;
+    const result = await this.pool.query(query, [userId, projectId, name, hash, prefix, scopes, expiresAt]);
+    return result.rows[0];
+  }
+
+  async getApiTokens(userId) {
+    const query = `
+      SELECT id, project_id, name, prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+      FROM api_tokens
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `;
+    const result = await this.pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Looks up a usable token by its hash and records that it was used, with the owner's login
+  async useApiToken(hash) {
+    const query = `
+      UPDATE api_tokens t SET last_used_at = NOW()
+      FROM users u
+      WHERE t.user_id = u.id AND t.token_hash = $1 AND t.revoked_at IS NULL
+        AND (t.expires_at IS NULL OR t.expires_at > NOW())
+      RETURNING t.id, t.user_id, t.project_id, t.scopes, u.login
+    `;
+    const result = await this.pool.query(query, [hash]);
+    return result.rows[0] || null;
+  }
+
+  async revokeApiToken(tokenId, userId) {
+    const query = `
+      UPDATE api_tokens SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `;
+    const result = await this.pool.query(query, [tokenId, userId]);
+    return result.rowCount > 0;
+  }
+
   async createProject(userId, name, repoUrl = null) {
     const query = `
       INSERT INTO projects (user_id, name, repo_url)
@@ -19,20 +139,32 @@ class Database {
     return result.rows[0];
   }
 
-  async createScan(projectId, uploadedFileKey = null, commitSha = null) {
+  // A scan with a job is queued right away and picked up by a ScanQueue worker
+  async createScan(projectId, uploadedFileKey = null, commitSha = null, { id = uuidv4(), job = null, maxAttempts = 3 } = {}) {
     const query = `
-      INSERT INTO scans (project_id, uploaded_file_s3_key, commit_sha, started_at)
-      VALUES ($1, $2, $3, NOW())
+      INSERT INTO scans (id, project_id, uploaded_file_s3_key, commit_sha, job_json, max_attempts)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING id, status, created_at
     `;
-    const result = await this.pool.query(query, [projectId, uploadedFileKey, commitSha]);
+    const result = await this.pool.query(query, [id, projectId, uploadedFileKey, commitSha, job ? JSON.stringify(job) : null, maxAttempts]);
+    return result.rows[0];
+  }
+
+  // The commit a job's ref resolved to, once the source has been fetched
+  async setScanCommit(scanId, commitSha) {
+    await this.pool.query('UPDATE scans SET commit_sha = $2 WHERE id = $1', [scanId, commitSha]);
+  }
+
+  // Only the summary, e.g. after publishing a finished scan again; status and times stay
+  async updateScanSummary(scanId, summary) {
+    const result = await this.pool.query('UPDATE scans SET summary_json = $2 WHERE id = $1 RETURNING id, summary_json', [scanId, JSON.stringify(summary)]);
     return result.rows[0];
   }
 
   async updateScanStatus(scanId, status, summary = null) {
     const query = `
       UPDATE scans 
-      SET status = $2, summary_json = $3, finished_at = CASE WHEN $2 IN ('done', 'failed') THEN NOW() ELSE finished_at END
+      SET status = $2, summary_json = $3, finished_at = CASE WHEN $2 IN ('done', 'failed', 'cancelled') THEN NOW() ELSE finished_at END
       WHERE id = $1
       RETURNING id, status, summary_json
     `;
@@ -40,21 +172,191 @@ class Database {
     return result.rows[0];
   }
 
-  async getScan(scanId) {
+  // Takes the oldest due job and leases it to workerId. SKIP LOCKED lets several workers
+  // claim at the same time without getting the same scan.
+  async claimScan(workerId, leaseMs) {
+    const query = `
+      UPDATE scans
+      SET status = 'running', locked_by = $1, locked_until = NOW() + $2::integer * INTERVAL '1 millisecond',
+          attempts = attempts + 1, started_at = COALESCE(started_at, NOW())
+      WHERE id = (
+        SELECT id FROM scans
+        WHERE status = 'queued' AND job_json IS NOT NULL AND run_after <= NOW()
+        ORDER BY run_after, created_at
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+    const result = await this.pool.query(query, [workerId, leaseMs]);
+    return result.rows[0] || null;
+  }
+
+  // false when the lease is gone: the scan was cancelled or taken over after a missed renewal
+  async renewScanLease(scanId, workerId, leaseMs) {
+    const query = `
+      UPDATE scans SET locked_until = NOW() + $3::integer * INTERVAL '1 millisecond'
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+    `;
+    const result = await this.pool.query(query, [scanId, workerId, leaseMs]);
+    return result.rowCount > 0;
+  }
+
+  // The finishing updates only apply while workerId still holds the lease, so a cancelled
+  // scan stays cancelled
+  async completeScan(scanId, workerId, summary) {
+    const query = `
+      UPDATE scans
+      SET status = 'done', summary_json = $3, finished_at = NOW(), locked_by = NULL, locked_until = NULL, last_error = NULL
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+    `;
+    const result = await this.pool.query(query, [scanId, workerId, JSON.stringify(summary)]);
+    return result.rowCount > 0;
+  }
+
+  async retryScan(scanId, workerId, error, delayMs) {
+    const query = `
+      UPDATE scans
+      SET status = 'queued', run_after = NOW() + $4::integer * INTERVAL '1 millisecond', locked_by = NULL, locked_until = NULL, last_error = $3
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+    `;
+    const result = await this.pool.query(query, [scanId, workerId, error, delayMs]);
+    return result.rowCount > 0;
+  }
+
+  async failScan(scanId, workerId, error) {
+    const query = `
+      UPDATE scans
+      SET status = 'failed', summary_json = $3, finished_at = NOW(), locked_by = NULL, locked_until = NULL, last_error = $4
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+    `;
+    const result = await this.pool.query(query, [scanId, workerId, JSON.stringify({ error }), error]);
+    return result.rowCount > 0;
+  }
+
+  // Returns the scan as it was before, or null when it had already finished
+  async cancelScan(scanId) {
+    const query = `
+      UPDATE scans s
+      SET status = 'cancelled', finished_at = NOW(), locked_by = NULL, locked_until = NULL
+      FROM scans previous
+      WHERE s.id = $1 AND previous.id = s.id AND s.status IN ('queued', 'running')
+      RETURNING previous.status, previous.locked_by
+    `;
+    const result = await this.pool.query(query, [scanId]);
+    return result.rows[0] || null;
+  }
+
+  // Scans whose worker died: an expired lease goes back to the queue while attempts remain,
+  // otherwise it fails. Scans started before the queue existed have no job to rerun.
+  async recoverScans() {
+    const requeued = await this.pool.query(`
+      UPDATE scans
+      SET status = 'queued', run_after = NOW(), locked_by = NULL, locked_until = NULL,
+          last_error = 'Arbetaren slutade svara, analysen körs igen'
+      WHERE status = 'running' AND locked_until < NOW() AND attempts < max_attempts
+      RETURNING id
+    `);
+    const failed = await this.pool.query(`
+      UPDATE scans
+      SET status = 'failed', finished_at = NOW(), locked_by = NULL, locked_until = NULL,
+          summary_json = '{"error": "Analysen avbröts och kan inte köras igen"}'
+      WHERE status = 'running' AND (locked_until < NOW() OR (locked_until IS NULL AND job_json IS NULL))
+      RETURNING id
+    `);
+    return { requeued: requeued.rows.map(row => row.id), failed: failed.rows.map(row => row.id) };
+  }
+
+  // Appends to the scan's event log and tells every listening instance about it
+  async addScanEvent(scanId, type, data) {
+    const query = `
+      WITH event AS (
+        INSERT INTO scan_events (scan_id, type, data)
+        VALUES ($1, $2, $3)
+        RETURNING id, type, data, created_at
+      )
+      SELECT event.*, pg_notify('scan_events', json_build_object('scanId', $1::text, 'eventId', event.id)::text)
+      FROM event
+    `;
+    const result = await this.pool.query(query, [scanId, type, JSON.stringify(data)]);
+    return result.rows[0];
+  }
+
+  async getScanEvents(scanId, afterId = 0) {
+    const query = `
+      SELECT id, type, data, created_at FROM scan_events
+      WHERE scan_id = $1 AND id > $2
+      ORDER BY id
+    `;
+    const result = await this.pool.query(query, [scanId, afterId]);
+    return result.rows;
+  }
+
+  // Progress only keeps the latest state, so it goes on the scan row instead of the log
+  async updateScanProgress(scanId, progress) {
+    const query = `
+      WITH updated AS (
+        UPDATE scans SET progress_json = $2 WHERE id = $1 RETURNING id
+      )
+      SELECT pg_notify('scan_events', json_build_object('scanId', $1::text, 'progress', $2::json)::text)
+      FROM updated
+    `;
+    await this.pool.query(query, [scanId, JSON.stringify(progress)]);
+  }
+
+  // A dedicated connection for LISTEN; the caller releases it when done
+  async listen(channel, onNotification) {
+    const client = await this.pool.connect();
+    client.on('notification', message => {
+      if (message.channel === channel) onNotification(message.payload);
+    });
+    await client.query(`LISTEN ${channel}`);
+    return client;
+  }
+
+  async deleteFindings(scanId) {
+    await this.pool.query('DELETE FROM findings WHERE scan_id = $1', [scanId]);
+  }
+
+  // access_role is userId's role on the project: owner for its creator, otherwise the role in
+  // the organization it's shared with, or null
+  async getProject(projectId, userId = null) {
+    const query = `
+      SELECT p.*, CASE WHEN p.user_id = $2 THEN 'owner' ELSE m.role END AS access_role
+      FROM projects p
+      LEFT JOIN org_members m ON m.org_id = p.org_id AND m.user_id = $2
+      WHERE p.id = $1
+    `;
+    const result = await this.pool.query(query, [projectId, userId]);
+    return result.rows[0];
+  }
+
+  async shareProject(projectId, orgId) {
+    const query = `
+      UPDATE projects SET org_id = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, name, org_id
+    `;
+    const result = await this.pool.query(query, [projectId, orgId]);
+    return result.rows[0];
+  }
+
+  async getScan(scanId, userId = null) {
     const query = `
-      SELECT s.*, p.name as project_name, p.user_id
+      SELECT s.*, p.name as project_name, p.user_id, p.org_id, CASE WHEN p.user_id = $2 THEN 'owner' ELSE m.role END AS access_role
       FROM scans s
       JOIN projects p ON s.project_id = p.id
+      LEFT JOIN org_members m ON m.org_id = p.org_id AND m.user_id = $2
       WHERE s.id = $1
     `;
-    const result = await this.pool.query(query, [scanId]);
+    const result = await this.pool.query(query, [scanId, userId]);
     return result.rows[0];
   }
 
   async createFinding(scanId, finding) {
     const query = `
-      INSERT INTO findings (scan_id, title, category, impact, effort, confidence, description, code_pointers)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO findings (scan_id, title, category, impact, effort, confidence, description, code_pointers, fingerprint, change)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING id
     `;
     const result = await this.pool.query(query, [
@@ -65,14 +367,16 @@ class Database {
       finding.effort,
       finding.confidence || 0.8,
       finding.description,
-      JSON.stringify(finding.codePointers || [])
+      JSON.stringify(finding.codePointers || []),
+      finding.fingerprint || null,
+      finding.change || null
     ]);
     return result.rows[0].id;
   }
 
   async getFindings(scanId, filters = {}) {
     let query = `
-      SELECT f.*, s.snippet_id, sn.code as snippet_code, sn.language as snippet_language
+      SELECT f.*, sn.code as snippet_code, sn.language as snippet_language
       FROM findings f
       LEFT JOIN snippets sn ON f.snippet_id = sn.id
       WHERE f.scan_id = $1
@@ -92,6 +396,12 @@ class Database {
       params.push(filters.impact);
     }
 
+    if (filters.status) {
+      paramCount++;
+      query += ` AND f.status = $${paramCount}`;
+      params.push(filters.status);
+    }
+
     query += ` ORDER BY 
       CASE f.impact WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END DESC,
       CASE f.effort WHEN 'low' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END DESC,
@@ -102,6 +412,31 @@ class Database {
     return result.rows;
   }
 
+  // With userId's access_role on the project, like getProject
+  async getFinding(findingId, userId = null) {
+    const query = `
+      SELECT f.*, s.project_id, p.user_id, CASE WHEN p.user_id = $2 THEN 'owner' ELSE m.role END AS access_role
+      FROM findings f
+      JOIN scans s ON f.scan_id = s.id
+      JOIN projects p ON s.project_id = p.id
+      LEFT JOIN org_members m ON m.org_id = p.org_id AND m.user_id = $2
+      WHERE f.id = $1
+    `;
+    const result = await this.pool.query(query, [findingId, userId]);
+    return result.rows[0];
+  }
+
+  async triageFinding(findingId, userId, status, note = null) {
+    const query = `
+      UPDATE findings
+      SET status = $3, triage_note = $4, triaged_by = $2, triaged_at = NOW()
+      WHERE id = $1
+      RETURNING id, status, triage_note, triaged_by, triaged_at
+    `;
+    const result = await this.pool.query(query, [findingId, userId, status, note]);
+    return result.rows[0];
+  }
+
   async createSnippet(findingId, language, code, requiredEnv = []) {
     const snippetId = uuidv4();
     const query = `
@@ -132,6 +467,151 @@ class Database {
     return result.rows;
   }
 
+  async createCatalogItem(item) {
+    const query = `
+      INSERT INTO catalog_items (name, categories, tags, quick_pitch, integration_guide, openapi_link, pricing_meta)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+    const result = await this.pool.query(query, [
+      item.name,
+      item.categories || [],
+      item.tags || [],
+      item.quickPitch || null,
+      item.integrationGuide || null,
+      item.openapiLink || null,
+      item.pricingMeta ? JSON.stringify(item.pricingMeta) : null
+    ]);
+    return result.rows[0];
+  }
+
+  // Only the fields present in item are changed
+  async updateCatalogItem(itemId, item) {
+    const query = `
+      UPDATE catalog_items
+      SET name = COALESCE($2, name), categories = COALESCE($3, categories), tags = COALESCE($4, tags),
+          quick_pitch = COALESCE($5, quick_pitch), integration_guide = COALESCE($6, integration_guide),
+          openapi_link = COALESCE($7, openapi_link), pricing_meta = COALESCE($8, pricing_meta)
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await this.pool.query(query, [
+      itemId,
+      item.name ?? null,
+      item.categories ?? null,
+      item.tags ?? null,
+      item.quickPitch ?? null,
+      item.integrationGuide ?? null,
+      item.openapiLink ?? null,
+      item.pricingMeta ? JSON.stringify(item.pricingMeta) : null
+    ]);
+    return result.rows[0];
+  }
+
+  // The creator becomes the organization's first owner
+  async createOrganization(userId, name) {
+    const query = `
+      WITH org AS (
+        INSERT INTO organizations (name, created_by)
+        VALUES ($1, $2)
+        RETURNING id, name, created_at
+      ), owner AS (
+        INSERT INTO org_members (org_id, user_id, role)
+        SELECT id, $2, 'owner' FROM org
+      )
+      SELECT * FROM org
+    `;
+    const result = await this.pool.query(query, [name, userId]);
+    return result.rows[0];
+  }
+
+  async getUserOrganizations(userId) {
+    const query = `
+      SELECT o.id, o.name, o.created_at, m.role
+      FROM organizations o
+      JOIN org_members m ON m.org_id = o.id
+      WHERE m.user_id = $1
+      ORDER BY o.name
+    `;
+    const result = await this.pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  // null when userId isn't a member
+  async getOrgRole(orgId, userId) {
+    const result = await this.pool.query('SELECT role FROM org_members WHERE org_id = $1 AND user_id = $2', [orgId, userId]);
+    return result.rows[0]?.role || null;
+  }
+
+  async getOrgMembers(orgId) {
+    const query = `
+      SELECT u.id, u.login, u.name, u.avatar_url, m.role, m.created_at
+      FROM org_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.org_id = $1
+      ORDER BY m.created_at
+    `;
+    const result = await this.pool.query(query, [orgId]);
+    return result.rows;
+  }
+
+  async setMemberRole(orgId, userId, role) {
+    const query = `
+      UPDATE org_members SET role = $3
+      WHERE org_id = $1 AND user_id = $2
+      RETURNING org_id, user_id, role
+    `;
+    const result = await this.pool.query(query, [orgId, userId, role]);
+    return result.rows[0];
+  }
+
+  async removeMember(orgId, userId) {
+    const result = await this.pool.query('DELETE FROM org_members WHERE org_id = $1 AND user_id = $2', [orgId, userId]);
+    return result.rowCount > 0;
+  }
+
+  async createInvitation(orgId, login, role, invitedBy) {
+    const query = `
+      INSERT INTO org_invitations (org_id, login, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, org_id, login, role, created_at
+    `;
+    const result = await this.pool.query(query, [orgId, login, role, invitedBy]);
+    return result.rows[0];
+  }
+
+  // Pending invitations for a GitHub login, which is case-insensitive
+  async getInvitations(login) {
+    const query = `
+      SELECT i.id, i.org_id, o.name as org_name, i.role, i.created_at
+      FROM org_invitations i
+      JOIN organizations o ON i.org_id = o.id
+      WHERE LOWER(i.login) = LOWER($1) AND i.accepted_at IS NULL
+      ORDER BY i.created_at
+    `;
+    const result = await this.pool.query(query, [login]);
+    return result.rows;
+  }
+
+  // Marks the invitation accepted and adds the membership; someone who's already a member
+  // keeps their role. Returns null unless the invitation is pending and meant for login.
+  async acceptInvitation(invitationId, userId, login) {
+    const query = `
+      WITH invitation AS (
+        UPDATE org_invitations SET accepted_at = NOW()
+        WHERE id = $1 AND LOWER(login) = LOWER($3) AND accepted_at IS NULL
+        RETURNING org_id, role
+      ), member AS (
+        INSERT INTO org_members (org_id, user_id, role)
+        SELECT org_id, $2, role FROM invitation
+        ON CONFLICT (org_id, user_id) DO NOTHING
+      )
+      SELECT * FROM invitation
+    `;
+    const result = await this.pool.query(query, [invitationId, userId, login]);
+    return result.rows[0] || null;
+  }
+
   async logAction(userId, action, resourceType, resourceId, metadata = {}) {
     const query = `
       INSERT INTO audit_logs (user_id, action, resource_type, resource_id, metadata)
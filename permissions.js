@@ -0,0 +1,35 @@
+// Roles in an organization, from least to most access. A project's own creator counts as
+// owner; everyone else gets the role they have in the organization the project is shared with.
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// What each action on a project needs
+const REQUIRED_ROLE = {
+  read: 'viewer', // scans, findings, diffs and progress
+  scan: 'member', // upload, cancel, generate snippets
+  triage: 'member', // change the status of a finding
+  manage: 'admin' // invite members and change roles
+};
+
+const FINDING_STATUSES = ['open', 'confirmed', 'dismissed', 'fixed'];
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+// false for no role at all
+function hasRole(role, minimum) {
+  return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+function can(role, action) {
+  return hasRole(role, REQUIRED_ROLE[action]);
+}
+
+module.exports = {
+  ROLES,
+  REQUIRED_ROLE,
+  FINDING_STATUSES,
+  isRole,
+  hasRole,
+  can
+};
@@ -0,0 +1,54 @@
+const session = require('express-session');
+
+// Sessions without a cookie maxAge are kept this long
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// express-session store on the sessions table, so logins survive restarts and are shared
+// between instances. Expired sessions are ignored on read and deleted every PRUNE_INTERVAL_MS.
+class PgSessionStore extends session.Store {
+  constructor(db, { pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+    super();
+    this.db = db;
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+      this.pruneTimer.unref();
+    }
+  }
+
+  expiry(sess) {
+    const maxAge = sess.cookie && sess.cookie.maxAge;
+    return new Date(Date.now() + (typeof maxAge === 'number' ? maxAge : DEFAULT_TTL_MS));
+  }
+
+  get(sid, callback) {
+    this.db.getSession(sid).then(sess => callback(null, sess || null), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.db.setSession(sid, sess, this.expiry(sess)).then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.db.touchSession(sid, this.expiry(sess)).then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.db.destroySession(sid).then(() => callback(null), callback);
+  }
+
+  async prune() {
+    try {
+      const removed = await this.db.pruneSessions();
+      if (removed > 0) console.log(`🧹 Tog bort ${removed} utgångna sessioner`);
+    } catch (error) {
+      console.error('❌ Kunde inte rensa sessioner:', error.message);
+    }
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+module.exports = PgSessionStore;
@@ -0,0 +1,301 @@
+const path = require('path');
+const { isParsableFile, walk, getNodeName } = require('./code-parser');
+const Codebase = require('./codebase');
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+const RESOLVE_EXTENSIONS = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts'];
+
+// Builds a complete endpoint list for a project: walks every JS/TS file, collects
+// routes per router object and resolves app.use() prefixes across files.
+function buildRouteInventory(projectPath, project = new Codebase(projectPath)) {
+  const modules = new Map();
+
+  project.files.filter(file => isParsableFile(file.path)).forEach(file => {
+    // Module keys are plain relative paths so imports resolve with path.join
+    const relativePath = file.path.slice(1);
+    const parsed = project.parse(file.path);
+    if (parsed) modules.set(relativePath, collectModule(relativePath, parsed));
+  });
+
+  return resolveRoutes(projectPath, modules);
+}
+
+// Collects what one file contributes: routes and mounts per local object, imported
+// bindings, string constants and which object the module exports
+function collectModule(file, parsed) {
+  const module = {
+    file,
+    bindings: {},
+    constants: {},
+    routers: new Set(),
+    exported: null,
+    routes: [],
+    mounts: []
+  };
+
+  walk(parsed.ast.program, node => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      const source = getRequireSource(node.init);
+      if (source) module.bindings[node.id.name] = { source };
+      if (node.init.type === 'StringLiteral') module.constants[node.id.name] = node.init.value;
+      if (isRouterFactory(node.init)) module.routers.add(node.id.name);
+    }
+
+    if (node.type === 'ImportDeclaration') {
+      node.specifiers
+        .filter(spec => spec.type === 'ImportDefaultSpecifier' || spec.type === 'ImportNamespaceSpecifier')
+        .forEach(spec => { module.bindings[spec.local.name] = { source: node.source.value }; });
+    }
+
+    // module.exports = router / export default router
+    if (node.type === 'AssignmentExpression' && getNodeName(node.left) === 'module.exports' && node.right.type === 'Identifier') {
+      module.exported = node.right.name;
+    }
+    if (node.type === 'ExportDefaultDeclaration' && node.declaration.type === 'Identifier') {
+      module.exported = node.declaration.name;
+    }
+  });
+
+  parsed.calls.forEach(call => {
+    const node = call.node;
+    if (node.type !== 'CallExpression' && node.type !== 'OptionalCallExpression') return;
+    const callee = node.callee;
+    if (!callee || !callee.property || callee.computed) return;
+
+    const method = callee.property.name;
+    const routeCall = findRouteCall(callee.object);
+    const owner = getNodeName(routeCall ? routeCall.callee.object : callee.object);
+    if (!isRouterOwner(module, owner)) return;
+
+    if (method === 'use') {
+      collectMount(module, node, call.line);
+    } else if (ROUTE_METHODS.includes(method)) {
+      collectRoute(module, node, method, call.line);
+    }
+  });
+
+  return module;
+}
+
+function collectRoute(module, node, method, line) {
+  let owner = getNodeName(node.callee.object);
+  let routePath = resolvePath(node.arguments[0], module.constants);
+  let handlers = node.arguments.slice(1);
+
+  // router.route('/path').get(a).post(b) - the path lives on the route() call
+  const routeCall = findRouteCall(node.callee.object);
+  if (routeCall) {
+    owner = getNodeName(routeCall.callee.object);
+    routePath = resolvePath(routeCall.arguments[0], module.constants);
+    handlers = node.arguments;
+  }
+
+  if (routePath === null || handlers.length === 0) return;
+
+  const names = handlers.map(describeHandler);
+  module.routes.push({
+    owner,
+    method,
+    path: routePath,
+    line,
+    middleware: names.slice(0, -1),
+    handler: names[names.length - 1]
+  });
+}
+
+function collectMount(module, node, line) {
+  const args = node.arguments;
+  const prefix = args.length > 0 ? resolvePath(args[0], module.constants) : null;
+  const rest = prefix === null ? args : args.slice(1);
+  if (rest.length === 0) return;
+
+  const target = rest[rest.length - 1];
+  module.mounts.push({
+    owner: getNodeName(node.callee.object),
+    prefix: prefix || '/',
+    line,
+    middleware: rest.slice(0, -1).map(describeHandler),
+    target: target.type === 'Identifier'
+      ? { name: target.name }
+      : getRequireSource(target) ? { source: getRequireSource(target) } : null
+  });
+}
+
+// express(), express.Router(), Router(), new Router() and fastify() create route owners
+function isRouterFactory(node) {
+  if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return false;
+  return /^(express|express\.Router|require\(\)\.Router|Router|fastify|polka)$/.test(getNodeName(node.callee));
+}
+
+// Route owners are known router objects, or conventionally named ones passed in as parameters.
+// This keeps client calls like axios.get('/users') out of the inventory.
+function isRouterOwner(module, owner) {
+  if (module.routers.has(owner)) return true;
+  if (module.bindings[owner]) return false;
+  return /^(app|router|server|\w+Router|\w+Routes)$/.test(owner.split('.').pop());
+}
+
+function findRouteCall(node) {
+  let current = node;
+  while (current && (current.type === 'CallExpression' || current.type === 'OptionalCallExpression')) {
+    const callee = current.callee;
+    if (callee && callee.property && callee.property.name === 'route') return current;
+    current = callee && callee.object;
+  }
+  return null;
+}
+
+function getRequireSource(node) {
+  if (node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+      node.callee.name === 'require' && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+    return node.arguments[0].value;
+  }
+  return null;
+}
+
+// Static path of a string, template literal or string constant; template expressions become :params
+function resolvePath(node, constants) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return isRoutePath(node.value) ? node.value : null;
+  if (node.type === 'Identifier' && constants[node.name] !== undefined) {
+    return isRoutePath(constants[node.name]) ? constants[node.name] : null;
+  }
+  if (node.type === 'TemplateLiteral') {
+    const value = node.quasis.map((quasi, index) => {
+      const expression = node.expressions[index];
+      if (!expression) return quasi.value.cooked;
+      if (expression.type === 'Identifier' && constants[expression.name] !== undefined) {
+        return quasi.value.cooked + constants[expression.name];
+      }
+      return `${quasi.value.cooked}:${getNodeName(expression).split('.').pop() || 'param'}`;
+    }).join('');
+    return isRoutePath(value) ? value : null;
+  }
+  return null;
+}
+
+function isRoutePath(value) {
+  return typeof value === 'string' && (value.startsWith('/') || value.startsWith(':') || value === '*');
+}
+
+function describeHandler(node) {
+  if (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') {
+    return node.id ? node.id.name : 'anonymous';
+  }
+  if (node.type === 'CallExpression') return `${getNodeName(node.callee)}()`;
+  return getNodeName(node) || node.type;
+}
+
+function joinPaths(prefix, routePath) {
+  if (routePath === '*' && prefix === '/') return '*';
+  const joined = `${prefix.replace(/\/+$/, '')}/${routePath.replace(/^\/+/, '')}`;
+  return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+}
+
+function resolveModuleFile(projectPath, fromFile, source, modules) {
+  if (!source.startsWith('.')) return null;
+  const base = path.join(path.dirname(fromFile), source);
+  const match = RESOLVE_EXTENSIONS.map(ext => path.normalize(base + ext)).find(candidate => modules.has(candidate));
+  return match || null;
+}
+
+function resolveRoutes(projectPath, modules) {
+  // Graph of router objects, keyed "file#localName", with mount edges between them
+  const children = new Map();
+  const mountedKeys = new Set();
+  const ownerKeys = new Set();
+
+  modules.forEach(module => {
+    module.routes.forEach(route => ownerKeys.add(`${module.file}#${route.owner}`));
+
+    module.mounts.forEach(mount => {
+      const parentKey = `${module.file}#${mount.owner}`;
+      ownerKeys.add(parentKey);
+
+      const childKey = resolveMountTarget(projectPath, module, mount.target, modules);
+      if (!childKey) return;
+
+      if (!children.has(parentKey)) children.set(parentKey, []);
+      children.get(parentKey).push({ childKey, prefix: mount.prefix, middleware: mount.middleware });
+      mountedKeys.add(childKey);
+    });
+  });
+
+  const routesByKey = new Map();
+  modules.forEach(module => {
+    module.routes.forEach(route => {
+      const key = `${module.file}#${route.owner}`;
+      if (!routesByKey.has(key)) routesByKey.set(key, []);
+      routesByKey.get(key).push({ ...route, file: module.file });
+    });
+  });
+
+  const endpoints = [];
+  const emitted = new Set();
+
+  const visit = (key, prefix, middleware, trail, mounted) => {
+    if (trail.has(key)) return;
+    const nextTrail = new Set(trail).add(key);
+
+    (routesByKey.get(key) || []).forEach(route => {
+      endpoints.push(toEndpoint(route, joinPaths(prefix, route.path), middleware, mounted));
+      emitted.add(route);
+    });
+
+    (children.get(key) || []).forEach(edge => {
+      visit(edge.childKey, joinPaths(prefix, edge.prefix), [...middleware, ...edge.middleware], nextTrail, mounted);
+    });
+  };
+
+  // Roots are objects that declare routes or mounts but are never mounted themselves (usually app).
+  // An exported router that nobody mounts is a root too, but its paths are only relative.
+  Array.from(ownerKeys)
+    .filter(key => !mountedKeys.has(key))
+    .forEach(key => {
+      const [file, owner] = key.split('#');
+      visit(key, '/', [], new Set(), modules.get(file).exported !== owner);
+    });
+
+  // Routers that are never mounted (or only reachable through a cycle) are still listed
+  routesByKey.forEach(routes => {
+    routes.filter(route => !emitted.has(route)).forEach(route => {
+      endpoints.push(toEndpoint(route, joinPaths('/', route.path), [], false));
+    });
+  });
+
+  return endpoints;
+}
+
+function resolveMountTarget(projectPath, module, target, modules) {
+  if (!target) return null;
+
+  // Local router object in the same file
+  if (target.name && !module.bindings[target.name]) {
+    return `${module.file}#${target.name}`;
+  }
+
+  const source = target.source || module.bindings[target.name].source;
+  const childFile = resolveModuleFile(projectPath, module.file, source, modules);
+  if (!childFile) return null;
+
+  const childModule = modules.get(childFile);
+  return childModule.exported ? `${childFile}#${childModule.exported}` : null;
+}
+
+function toEndpoint(route, fullPath, mountMiddleware, mounted) {
+  return {
+    method: route.method,
+    path: fullPath,
+    file: route.file,
+    line: route.line,
+    router: route.owner,
+    middleware: [...mountMiddleware, ...route.middleware],
+    handler: route.handler,
+    mounted
+  };
+}
+
+module.exports = {
+  buildRouteInventory,
+  joinPaths
+};
@@ -1,40 +1,172 @@
 const express = require('express');
+const path = require('path');
 const multer = require('multer');
 const Database = require('../models/database');
-const CodeAnalyzer = require('../analyzer');
-const GitHubIntegration = require('../github-integration');
+const AnalysisPipeline = require('../analysis-pipeline');
+const SourceProviders = require('../source-providers');
+const GitHubTokenStore = require('../github-token-store');
+const { SourceProviderError } = require('../source-provider');
+const LocalGitSource = require('../local-git-source');
 const uploadHandler = require('../upload');
 const scanProject = require('../scan');
+const Codebase = require('../codebase');
+const { diffFindings } = require('../scan-diff');
+const { parseUnifiedDiff } = require('../change-set');
+const { ArchiveError } = require('../safe-extract');
+const { getWorkspaces } = require('../workspace-manager');
+const ScanQueue = require('../scan-queue');
+const ScanEvents = require('../scan-events');
+const CheckPublisher = require('../check-publisher');
+const { FINAL_STATUSES } = ScanEvents;
+const { isFailOn } = CheckPublisher;
+const { can, isRole, hasRole, FINDING_STATUSES } = require('../permissions');
+const { SCOPES, generateToken, hashToken, bearerToken, unknownScopes } = require('../api-tokens');
+const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/' });
+const workspaces = getWorkspaces();
+const upload = multer({ dest: workspaces.incomingDir, preservePath: true, limits: uploadHandler.LIMITS });
 const db = new Database();
-const analyzer = new CodeAnalyzer();
-const github = new GitHubIntegration();
+const pipeline = new AnalysisPipeline();
+const sources = new SourceProviders();
+const localGit = new LocalGitSource();
+const githubTokens = new GitHubTokenStore(db);
+const scanEvents = new ScanEvents(db);
+const checks = new CheckPublisher();
+const scanQueue = new ScanQueue(db, runScanJob, {
+  // A broken archive or a repository the user can't access is just as broken on the next attempt
+  shouldRetry: error => !(error instanceof ArchiveError) && !(error instanceof SourceProviderError && !error.retryable),
+  onStatus: (scanId, status, details) => scanEvents.publish(scanId, 'status', { status, ...details }),
+  // The kept upload is only needed while the scan can still run
+  onSettled: scanId => workspaces.discardKeptUpload(scanId)
+});
 
-// Mock user for MVP (replace with real auth)
-const mockUserId = '550e8400-e29b-41d4-a716-446655440000';
+scanQueue.start().catch(error => console.error('❌ Skanningskön kunde inte starta:', error.message));
 
-// Store progress for each analysis
-const analysisProgress = new Map();
+// The scan API also takes API tokens (Authorization: Bearer ...). Every route under these
+// paths declares requireScope(scope) or, if tokens shouldn't work there, requireSession.
+router.use(['/projects', '/scans', '/snippets/generate'], authenticateToken);
+// Everything but reading the catalog needs a GitHub session or a token
+router.use(['/projects', '/scans', '/snippets', '/findings', '/orgs', '/invitations', '/tokens'], requireUser);
 
-// GET /api/progress/:id
-router.get('/progress/:id', (req, res) => {
-  const progress = analysisProgress.get(req.params.id) || { progress: 0, stage: 'Startar...' };
-  res.json(progress);
-});
+function requireUser(req, res, next) {
+  if (!req.user || !req.user.userId) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  next();
+}
+
+// A valid token acts as its user, limited to its scopes and, for project tokens, its project
+async function authenticateToken(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return next();
+  
+  try {
+    const apiToken = await db.useApiToken(hashToken(token));
+    if (!apiToken) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+    }
+    req.user = {
+      userId: apiToken.user_id,
+      username: apiToken.login,
+      token: { id: apiToken.id, projectId: apiToken.project_id, scopes: apiToken.scopes }
+    };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    const { token } = req.user;
+    if (token && !token.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API token is missing the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+function requireSession(req, res, next) {
+  if (req.user.token) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API token' });
+  }
+  next();
+}
+
+// Catalog edits are for site admins (users.role), not organization admins
+async function requireCatalogAdmin(req, res, next) {
+  try {
+    const user = await db.getUser(req.user.userId);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can edit the catalog' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Sends 403 and returns false unless role allows action, see permissions.js. A project token
+// gets no access to other projects, whatever its user's role there.
+function checkAccess(req, res, projectId, role, action, resource) {
+  const { token } = req.user;
+  if (token && token.projectId && token.projectId !== projectId) {
+    res.status(403).json({ error: 'This API token is limited to another project' });
+    return false;
+  }
+  if (can(role, action)) return true;
+  res.status(403).json({
+    error: role ? `Your role (${role}) does not allow this` : `You do not have access to this ${resource}`
+  });
+  return false;
+}
+
+// Sends 404 or 403 and resolves to null unless the project exists and the user's role on it
+// allows action
+async function loadProject(req, res, projectId, action = 'read') {
+  const project = await db.getProject(projectId, req.user.userId);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  return checkAccess(req, res, project.id, project.access_role, action, 'project') ? project : null;
+}
+
+// Same for a scan, through the project it belongs to
+async function loadScan(req, res, scanId, action = 'read') {
+  const scan = await db.getScan(scanId, req.user.userId);
+  if (!scan) {
+    res.status(404).json({ error: 'Scan not found' });
+    return null;
+  }
+  return checkAccess(req, res, scan.project_id, scan.access_role, action, 'scan') ? scan : null;
+}
+
+// Same for an organization, by the user's role in it
+async function loadOrgRole(req, res, orgId, action = 'read') {
+  const role = await db.getOrgRole(orgId, req.user.userId);
+  if (!role) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  return checkAccess(req, res, null, role, action, 'organization') ? role : null;
+}
 
 // POST /api/projects
-router.post('/projects', async (req, res) => {
+router.post('/projects', requireScope('projects:write'), async (req, res) => {
   try {
+    if (req.user.token && req.user.token.projectId) {
+      return res.status(403).json({ error: 'A project API token cannot create projects' });
+    }
     const { name, repoUrl } = req.body;
     
     if (!name) {
       return res.status(400).json({ error: 'Project name is required' });
     }
 
-    const project = await db.createProject(mockUserId, name, repoUrl);
-    await db.logAction(mockUserId, 'create_project', 'project', project.id);
+    const project = await db.createProject(req.user.userId, name, repoUrl);
+    await db.logAction(req.user.userId, 'create_project', 'project', project.id);
     
     res.status(201).json({
       projectId: project.id,
@@ -47,56 +179,118 @@ router.post('/projects', async (req, res) => {
   }
 });
 
+// PATCH /api/projects/:projectId
+// Shares the project with an organization ({ orgId }) or makes it personal again
+// ({ orgId: null }). Only the project's creator can do this, into an organization they're at
+// least a member of.
+router.patch('/projects/:projectId', requireSession, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { orgId } = req.body;
+    
+    if (orgId === undefined) {
+      return res.status(400).json({ error: 'orgId is required (null to stop sharing)' });
+    }
+    
+    const project = await loadProject(req, res, projectId);
+    if (!project) return;
+    if (project.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the project owner can change who it is shared with' });
+    }
+    if (orgId !== null && !hasRole(await db.getOrgRole(orgId, req.user.userId), 'member')) {
+      return res.status(403).json({ error: 'You can only share with organizations where you are a member' });
+    }
+    
+    const shared = await db.shareProject(projectId, orgId);
+    await db.logAction(req.user.userId, 'share_project', 'project', projectId, { from: project.org_id, to: orgId });
+    
+    res.json({ projectId: shared.id, name: shared.name, orgId: shared.org_id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/projects/:projectId/upload
-router.post('/projects/:projectId/upload', upload.single('zipfile'), async (req, res) => {
+// Only validates and queues the scan; downloading, extracting and analyzing happen in the
+// scan queue, so a restart doesn't lose it
+router.post('/projects/:projectId/upload', requireScope('scan:write'), upload.fields(uploadHandler.FIELDS), async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { repoUrl, branch = 'main', token } = req.body;
-    const analysisId = Date.now().toString();
+    const { repoUrl, branch, baseRef, headRef, diff, ref, failOn, pullNumber } = req.body;
+    const source = uploadHandler.uploadSource(req.files, req.body);
     
+    if (diff) {
+      try {
+        parseUnifiedDiff(diff);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    if (!source && !repoUrl) {
+      return res.status(400).json({ error: 'Either an archive, a folder or repoUrl is required' });
+    }
+    if (failOn !== undefined && !isFailOn(failOn)) {
+      return res.status(400).json({ error: 'failOn must be none, low, medium or high' });
+    }
+    if (pullNumber !== undefined && !(Number.isInteger(Number(pullNumber)) && Number(pullNumber) > 0)) {
+      return res.status(400).json({ error: 'pullNumber must be a pull request number' });
+    }
+    if (!source && !localGit.isLocalLocation(repoUrl)) {
+      // An unsupported host, or pull-request mode on a host without diffs, is rejected now
+      // rather than failing in the queue
+      try {
+        const provider = sources.forUrl(repoUrl);
+        if (baseRef && headRef && !provider.supportsPullRequests) throw provider.unsupportedPullRequestError();
+      } catch (error) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+    }
+    if (!(await loadProject(req, res, projectId, 'scan'))) return;
+    
+    const scanId = uuidv4();
+    let job;
     let scan;
-    let projectPath;
-    
-    analysisProgress.set(analysisId, { progress: 10, stage: 'Förbereder analys...' });
-    
-    if (req.file) {
-      // ZIP upload
-      scan = await db.createScan(projectId, req.file.filename);
-      analysisProgress.set(analysisId, { progress: 30, stage: 'Extraherar filer...' });
-      projectPath = await uploadHandler(req.file.path);
-    } else if (repoUrl) {
-      // GitHub repo
-      scan = await db.createScan(projectId, null, branch);
-      analysisProgress.set(analysisId, { progress: 30, stage: 'Laddar från GitHub...' });
-      const result = await github.analyzeFromGitHub(repoUrl);
-      projectPath = result.projectPath;
+    
+    if (source) {
+      // Archive (ZIP, tar, tar.gz) or folder upload, kept until the scan has run
+      job = { diff, source: { type: 'upload', upload: workspaces.keepUpload(scanId, source) } };
+      scan = await db.createScan(projectId, Array.isArray(source) ? null : path.basename(source), null, { id: scanId, job });
+    } else if (localGit.isLocalLocation(repoUrl)) {
+      // Local git repo or file:// URL, checked out at ref (or headRef in pull-request mode)
+      job = { diff, source: { type: 'local', repoUrl, ref: headRef || ref || branch || 'HEAD', baseRef, headRef } };
+      scan = await db.createScan(projectId, null, null, { id: scanId, job });
+    } else if (repoUrl && baseRef && headRef) {
+      // Pull request: head ref analyzed, findings scoped to the diff against base. The user's
+      // GitHub token is looked up when the job runs, so it's never stored in the job.
+      job = { userId: req.user.userId, failOn, source: { type: 'pullRequest', repoUrl, baseRef, headRef, pullNumber: pullNumber && Number(pullNumber) } };
+      scan = await db.createScan(projectId, null, null, { id: scanId, job });
     } else {
-      return res.status(400).json({ error: 'Either zipfile or repoUrl is required' });
+      // Repo on GitHub, GitLab, Bitbucket or Gitea
+      job = { diff, userId: req.user.userId, failOn, source: { type: 'repository', repoUrl, branch } };
+      scan = await db.createScan(projectId, null, null, { id: scanId, job });
     }
-
-    // Start async scan process
-    processScan(scan.id, projectPath, analysisId);
+    
+    scanEvents.progress(scan.id)({ stage: 'I kö...', percent: 0 });
+    scanQueue.notify();
     
     res.status(202).json({
       scanId: scan.id,
       status: 'queued',
       projectId,
-      analysisId
+      events: `/api/scans/${scan.id}/events`
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
+  } finally {
+    workspaces.discardUploads(req.files);
   }
-});
+}, uploadHandler.limitError);
 
 // GET /api/scans/:scanId
-router.get('/scans/:scanId', async (req, res) => {
+router.get('/scans/:scanId', requireScope('scan:read'), async (req, res) => {
   try {
-    const { scanId } = req.params;
-    const scan = await db.getScan(scanId);
-    
-    if (!scan) {
-      return res.status(404).json({ error: 'Scan not found' });
-    }
+    const scan = await loadScan(req, res, req.params.scanId);
+    if (!scan) return;
 
     const response = {
       scanId: scan.id,
@@ -109,6 +303,13 @@ router.get('/scans/:scanId', async (req, res) => {
     if (scan.summary_json) {
       response.summary = scan.summary_json;
     }
+    if (scan.progress_json) {
+      response.progress = scan.progress_json;
+    }
+    if (scan.attempts > 1 || scan.last_error) {
+      response.attempts = scan.attempts;
+      response.lastError = scan.last_error;
+    }
 
     res.json(response);
   } catch (error) {
@@ -116,16 +317,151 @@ router.get('/scans/:scanId', async (req, res) => {
   }
 });
 
+// POST /api/scans/:scanId/cancel
+router.post('/scans/:scanId/cancel', requireScope('scan:write'), async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const scan = await loadScan(req, res, scanId, 'scan');
+    if (!scan) return;
+    
+    if (!(await scanQueue.cancel(scanId))) {
+      return res.status(409).json({ error: `Scan has already finished (${scan.status})`, status: scan.status });
+    }
+    
+    res.json({ scanId, status: 'cancelled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/scans/:scanId/publish
+// Publishes a finished scan of a GitHub repository again, as a new check run and review
+// comments on findings not commented on before, e.g. after findings were dismissed or to
+// use another failOn
+router.post('/scans/:scanId/publish', requireScope('scan:write'), async (req, res) => {
+  try {
+    const { scanId } = req.params;
+    const { failOn } = req.body;
+    if (failOn !== undefined && !isFailOn(failOn)) {
+      return res.status(400).json({ error: 'failOn must be none, low, medium or high' });
+    }
+    const scan = await loadScan(req, res, scanId, 'scan');
+    if (!scan) return;
+    
+    const source = scan.job_json && scan.job_json.source;
+    const repo = checks.target(source);
+    if (!repo) {
+      return res.status(400).json({ error: 'Only scans of GitHub repositories can be published, and GITHUB_APP_ID must be set' });
+    }
+    if (scan.status !== 'done') {
+      return res.status(409).json({ error: `Scan is not finished (${scan.status})`, status: scan.status });
+    }
+    if (!scan.commit_sha) {
+      return res.status(409).json({ error: 'Scan has no commit to publish to, run it again' });
+    }
+    
+    const findings = await db.getFindings(scanId);
+    const check = await checks.start(repo, scan.commit_sha, scanId);
+    const publication = await checks.complete(check, findings, {
+      failOn: failOn || scan.job_json.failOn,
+      pullRequest: scan.summary_json.pullRequest,
+      pullNumber: source.pullNumber
+    });
+    await db.updateScanSummary(scanId, { ...scan.summary_json, publication });
+    await db.logAction(req.user.userId, 'publish_scan', 'scan', scanId, { checkRunId: publication.checkRunId });
+    
+    res.json(publication);
+  } catch (error) {
+    res.status(error instanceof SourceProviderError ? error.status : 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// GET /api/scans/:scanId/events
+// Server-Sent Events: "progress" with the latest state, then every "finding" and "status"
+// event of the scan. A reconnecting EventSource sends Last-Event-ID and gets only what it
+// missed. The stream ends after the final status.
+router.get('/scans/:scanId/events', requireScope('scan:read'), async (req, res) => {
+  const { scanId } = req.params;
+  let scan;
+  try {
+    scan = await loadScan(req, res, scanId);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!scan) return;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Proxies like nginx would otherwise hold events back
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const send = (type, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // subscribe() replays the log before it returns, so the stream can close while it's pending;
+  // the unsubscribe it returns is then called right away
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  req.on('close', close);
+  
+  if (scan.progress_json) send('progress', scan.progress_json);
+  
+  try {
+    unsubscribe = await scanEvents.subscribe(scanId, parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0, {
+      onProgress: progress => {
+        if (!closed) send('progress', progress);
+      },
+      onEvent: event => {
+        if (closed) return;
+        send(event.type, event.data, event.id);
+        if (event.type === 'status' && FINAL_STATUSES.includes(event.data.status)) close();
+      }
+    });
+  } catch (error) {
+    if (!closed) send('error', { error: error.message });
+    return close();
+  }
+  if (closed) return unsubscribe();
+  
+  // Scans that finished before events were logged have no final status event to end on
+  if (FINAL_STATUSES.includes(scan.status)) {
+    try {
+      const latest = await db.getScan(scanId);
+      if (!closed && latest && FINAL_STATUSES.includes(latest.status)) {
+        send('status', { status: latest.status, summary: latest.summary_json });
+        close();
+      }
+    } catch (error) {
+      if (!closed) send('error', { error: error.message });
+      close();
+    }
+  }
+});
+
 // GET /api/scans/:scanId/findings
-router.get('/scans/:scanId/findings', async (req, res) => {
+router.get('/scans/:scanId/findings', requireScope('findings:read'), async (req, res) => {
   try {
     const { scanId } = req.params;
-    const { category, impact, effort } = req.query;
+    const { category, impact, effort, status } = req.query;
+    if (!(await loadScan(req, res, scanId))) return;
     
     const filters = {};
     if (category) filters.category = category;
     if (impact) filters.impact = impact;
     if (effort) filters.effort = effort;
+    if (status) filters.status = status;
     
     const findings = await db.getFindings(scanId, filters);
     
@@ -133,6 +469,7 @@ router.get('/scans/:scanId/findings', async (req, res) => {
       scanId,
       findings: findings.map(f => ({
         id: f.id,
+        fingerprint: f.fingerprint,
         title: f.title,
         category: f.category,
         impact: f.impact,
@@ -140,8 +477,12 @@ router.get('/scans/:scanId/findings', async (req, res) => {
         confidence: f.confidence,
         description: f.description,
         codePointers: f.code_pointers,
+        change: f.change,
         snippetId: f.snippet_id,
-        hasSnippet: !!f.snippet_code
+        hasSnippet: !!f.snippet_code,
+        status: f.status,
+        triageNote: f.triage_note,
+        triagedAt: f.triaged_at
       }))
     });
   } catch (error) {
@@ -149,8 +490,68 @@ router.get('/scans/:scanId/findings', async (req, res) => {
   }
 });
 
+// PATCH /api/findings/:findingId
+// Triage: members can mark a finding confirmed, dismissed or fixed; viewers only read
+router.patch('/findings/:findingId', async (req, res) => {
+  try {
+    const { findingId } = req.params;
+    const { status, note = null } = req.body;
+    
+    if (!FINDING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${FINDING_STATUSES.join(', ')}` });
+    }
+    
+    const finding = await db.getFinding(findingId, req.user.userId);
+    if (!finding) {
+      return res.status(404).json({ error: 'Finding not found' });
+    }
+    if (!checkAccess(req, res, finding.project_id, finding.access_role, 'triage', 'finding')) return;
+    
+    const triaged = await db.triageFinding(findingId, req.user.userId, status, note);
+    await db.logAction(req.user.userId, 'triage_finding', 'finding', findingId, { from: finding.status, to: status, note });
+    
+    res.json({
+      id: triaged.id,
+      status: triaged.status,
+      triageNote: triaged.triage_note,
+      triagedAt: triaged.triaged_at
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/scans/:baseScanId/diff/:headScanId
+router.get('/scans/:baseScanId/diff/:headScanId', requireScope('scan:read'), async (req, res) => {
+  try {
+    const { baseScanId, headScanId } = req.params;
+    const baseScan = await loadScan(req, res, baseScanId);
+    if (!baseScan) return;
+    const headScan = await loadScan(req, res, headScanId);
+    if (!headScan) return;
+    
+    if (baseScan.project_id !== headScan.project_id) {
+      return res.status(400).json({ error: 'Scans belong to different projects' });
+    }
+    if (baseScan.status !== 'done' || headScan.status !== 'done') {
+      return res.status(409).json({ error: 'Both scans must be finished before they can be compared' });
+    }
+    
+    const [baseFindings, headFindings] = await Promise.all([db.getFindings(baseScanId), db.getFindings(headScanId)]);
+    
+    res.json({
+      projectId: headScan.project_id,
+      base: { scanId: baseScan.id, commitSha: baseScan.commit_sha, finishedAt: baseScan.finished_at },
+      head: { scanId: headScan.id, commitSha: headScan.commit_sha, finishedAt: headScan.finished_at },
+      ...diffFindings(baseFindings, headFindings)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/snippets/generate
-router.post('/snippets/generate', async (req, res) => {
+router.post('/snippets/generate', requireScope('snippets:write'), async (req, res) => {
   try {
     const { findingId, language = 'javascript' } = req.body;
     
@@ -159,12 +560,11 @@ router.post('/snippets/generate', async (req, res) => {
     }
 
     // Get finding details
-    const finding = await db.pool.query('SELECT * FROM findings WHERE id = $1', [findingId]);
-    if (finding.rows.length === 0) {
+    const findingData = await db.getFinding(findingId, req.user.userId);
+    if (!findingData) {
       return res.status(404).json({ error: 'Finding not found' });
     }
-
-    const findingData = finding.rows[0];
+    if (!checkAccess(req, res, findingData.project_id, findingData.access_role, 'scan', 'finding')) return;
     
     // Generate snippet based on category
     const snippet = generateSnippetForCategory(findingData.category, language);
@@ -182,6 +582,84 @@ router.post('/snippets/generate', async (req, res) => {
   }
 });
 
+// GET /api/tokens
+// The signed-in user's API tokens, without their secrets
+router.get('/tokens', async (req, res) => {
+  try {
+    const tokens = await db.getApiTokens(req.user.userId);
+    res.json({
+      availableScopes: SCOPES,
+      tokens: tokens.map(token => ({
+        tokenId: token.id,
+        name: token.name,
+        prefix: token.prefix,
+        scopes: token.scopes,
+        projectId: token.project_id,
+        expiresAt: token.expires_at,
+        lastUsedAt: token.last_used_at,
+        revokedAt: token.revoked_at,
+        createdAt: token.created_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/tokens
+// { name, scopes, projectId?, expiresInDays? }. The token is only in this response.
+router.post('/tokens', async (req, res) => {
+  try {
+    const { name, scopes, projectId = null, expiresInDays = null } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: `scopes must list at least one of ${Object.keys(SCOPES).join(', ')}` });
+    }
+    if (unknownScopes(scopes).length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknownScopes(scopes).join(', ')}` });
+    }
+    if (expiresInDays !== null && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({ error: 'expiresInDays must be a positive number' });
+    }
+    if (projectId && !(await loadProject(req, res, projectId))) return;
+    
+    const { token, hash, prefix } = generateToken();
+    const expiresAt = expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : null;
+    const created = await db.createApiToken(req.user.userId, { name, hash, prefix, scopes, projectId, expiresAt });
+    await db.logAction(req.user.userId, 'create_token', 'api_token', created.id, { name, scopes, projectId });
+    
+    res.status(201).json({
+      tokenId: created.id,
+      token,
+      name: created.name,
+      prefix: created.prefix,
+      scopes: created.scopes,
+      projectId: created.project_id,
+      expiresAt: created.expires_at
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/tokens/:tokenId
+router.delete('/tokens/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    if (!(await db.revokeApiToken(tokenId, req.user.userId))) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    await db.logAction(req.user.userId, 'revoke_token', 'api_token', tokenId);
+    
+    res.json({ tokenId, revoked: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/catalog
 router.get('/catalog', async (req, res) => {
   try {
@@ -207,53 +685,393 @@ router.get('/catalog', async (req, res) => {
   }
 });
 
-// Async scan processing
-async function processScan(scanId, projectPath, analysisId) {
-  try {
-    await db.updateScanStatus(scanId, 'running');
-    analysisProgress.set(analysisId, { progress: 50, stage: 'Analyserar kod...' });
-    
-    // Run analysis
-    const scanResult = await scanProject(projectPath);
-    analysisProgress.set(analysisId, { progress: 70, stage: 'Genererar förslag...' });
-    const analysis = analyzer.analyzeProject(projectPath, scanResult);
-    
-    analysisProgress.set(analysisId, { progress: 85, stage: 'Sparar resultat...' });
-    
-    // Store findings
-    const findingIds = [];
-    for (const suggestion of analysis.suggestions) {
-      const findingId = await db.createFinding(scanId, {
-        title: suggestion.title,
-        category: suggestion.category.toLowerCase(),
-        impact: mapImpactScore(suggestion.impact),
-        effort: mapEffortScore(suggestion.effort),
-        confidence: 0.8,
-        description: suggestion.description,
-        codePointers: []
-      });
-      findingIds.push(findingId);
+// POST /api/catalog
+router.post('/catalog', requireUser, requireCatalogAdmin, async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Catalog item name is required' });
     }
     
-    // Update scan summary
-    const summary = {
-      findingsCount: findingIds.length,
-      topSuggestion: analysis.suggestions[0]?.title || 'No suggestions',
-      estimatedImpact: analysis.suggestions[0]?.impact >= 7 ? 'high' : 'medium',
-      language: analysis.analysis.language,
-      framework: analysis.analysis.framework
-    };
+    const item = await db.createCatalogItem(req.body);
+    await db.logAction(req.user.userId, 'create_catalog_item', 'catalog_item', item.id, { name: item.name });
+    
+    res.status(201).json({ id: item.id, name: item.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/catalog/:itemId
+router.put('/catalog/:itemId', requireUser, requireCatalogAdmin, async (req, res) => {
+  try {
+    const item = await db.updateCatalogItem(req.params.itemId, req.body);
+    if (!item) {
+      return res.status(404).json({ error: 'Catalog item not found' });
+    }
+    await db.logAction(req.user.userId, 'update_catalog_item', 'catalog_item', item.id, { fields: Object.keys(req.body) });
+    
+    res.json({ id: item.id, name: item.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/orgs
+// The creator becomes the owner
+router.post('/orgs', async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+    
+    const org = await db.createOrganization(req.user.userId, name);
+    await db.logAction(req.user.userId, 'create_org', 'organization', org.id, { name });
+    
+    res.status(201).json({ orgId: org.id, name: org.name, role: 'owner', createdAt: org.created_at });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/orgs
+router.get('/orgs', async (req, res) => {
+  try {
+    const orgs = await db.getUserOrganizations(req.user.userId);
+    res.json({
+      orgs: orgs.map(org => ({ orgId: org.id, name: org.name, role: org.role, createdAt: org.created_at }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/orgs/:orgId/members
+router.get('/orgs/:orgId/members', async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    if (!(await loadOrgRole(req, res, orgId))) return;
+    
+    const members = await db.getOrgMembers(orgId);
+    res.json({
+      orgId,
+      members: members.map(member => ({
+        userId: member.id,
+        login: member.login,
+        name: member.name,
+        avatarUrl: member.avatar_url,
+        role: member.role,
+        joinedAt: member.created_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/orgs/:orgId/invitations
+// Invites a GitHub login; the invitation shows up in GET /api/invitations once they sign in.
+// Admins can invite up to admin, only owners can invite owners.
+router.post('/orgs/:orgId/invitations', async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { login, role = 'member' } = req.body;
+    
+    if (!login) {
+      return res.status(400).json({ error: 'GitHub login is required' });
+    }
+    if (!isRole(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+    
+    const myRole = await loadOrgRole(req, res, orgId, 'manage');
+    if (!myRole) return;
+    if (!hasRole(myRole, role)) {
+      return res.status(403).json({ error: `Your role (${myRole}) cannot invite ${role}s` });
+    }
+    
+    const invitation = await db.createInvitation(orgId, login, role, req.user.userId);
+    await db.logAction(req.user.userId, 'invite_member', 'organization', orgId, { login, role, invitationId: invitation.id });
+    
+    res.status(201).json({ invitationId: invitation.id, orgId, login: invitation.login, role: invitation.role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/invitations
+// Pending invitations for the signed-in GitHub login
+router.get('/invitations', async (req, res) => {
+  try {
+    const invitations = await db.getInvitations(req.user.username);
+    res.json({
+      invitations: invitations.map(invitation => ({
+        invitationId: invitation.id,
+        orgId: invitation.org_id,
+        orgName: invitation.org_name,
+        role: invitation.role,
+        createdAt: invitation.created_at
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/invitations/:invitationId/accept
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const accepted = await db.acceptInvitation(invitationId, req.user.userId, req.user.username);
+    
+    if (!accepted) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    await db.logAction(req.user.userId, 'accept_invitation', 'organization', accepted.org_id, { invitationId, role: accepted.role });
+    
+    res.json({ orgId: accepted.org_id, role: await db.getOrgRole(accepted.org_id, req.user.userId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/orgs/:orgId/members/:userId
+// Admins can change roles up to admin; only owners can make or unmake owners, and the last
+// owner can't step down
+router.patch('/orgs/:orgId/members/:userId', async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    const { role } = req.body;
+    
+    if (!isRole(role)) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+    
+    const myRole = await loadOrgRole(req, res, orgId, 'manage');
+    if (!myRole) return;
+    
+    const members = await db.getOrgMembers(orgId);
+    const member = members.find(entry => entry.id === userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!hasRole(myRole, role) || !hasRole(myRole, member.role)) {
+      return res.status(403).json({ error: `Your role (${myRole}) cannot change this member to ${role}` });
+    }
+    if (member.role === 'owner' && role !== 'owner' && members.filter(entry => entry.role === 'owner').length === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
     
-    analysisProgress.set(analysisId, { progress: 100, stage: 'Klar!' });
-    await db.updateScanStatus(scanId, 'done', summary);
+    await db.setMemberRole(orgId, userId, role);
+    await db.logAction(req.user.userId, 'change_role', 'organization', orgId, { userId, from: member.role, to: role });
     
-    // Clean up progress after 5 minutes
-    setTimeout(() => analysisProgress.delete(analysisId), 5 * 60 * 1000);
+    res.json({ orgId, userId, role });
   } catch (error) {
-    console.error('Scan processing error:', error);
-    analysisProgress.set(analysisId, { progress: 100, stage: 'Fel uppstod' });
-    await db.updateScanStatus(scanId, 'failed', { error: error.message });
+    res.status(500).json({ error: error.message });
   }
+});
+
+// DELETE /api/orgs/:orgId/members/:userId
+// Admins remove members (owners only by owners); anyone can leave, except the last owner
+router.delete('/orgs/:orgId/members/:userId', async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    const leaving = userId === req.user.userId;
+    
+    const myRole = await loadOrgRole(req, res, orgId, leaving ? 'read' : 'manage');
+    if (!myRole) return;
+    
+    const members = await db.getOrgMembers(orgId);
+    const member = members.find(entry => entry.id === userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!leaving && !hasRole(myRole, member.role)) {
+      return res.status(403).json({ error: `Your role (${myRole}) cannot remove a ${member.role}` });
+    }
+    if (member.role === 'owner' && members.filter(entry => entry.role === 'owner').length === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+    
+    await db.removeMember(orgId, userId);
+    await db.logAction(req.user.userId, leaving ? 'leave_org' : 'remove_member', 'organization', orgId, { userId, role: member.role });
+    
+    res.json({ orgId, userId, removed: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Runs one scan for the queue: prepares the source in a fresh workspace, analyzes it and
+// stores the findings. Resolves to the scan summary; the queue records done, retry or failure.
+// Progress and findings are published as they happen for GET /api/scans/:id/events.
+async function runScanJob(scan, signal) {
+  const { source, diff, userId, failOn } = scan.job_json;
+  const progress = scanEvents.progress(scan.id);
+  // Suggestions several passes report are only sent the first time
+  const reported = new Set();
+  let check = null;
+  
+  try {
+    return await workspaces.run(async workspace => {
+      progress({ stage: 'Förbereder källkod...', percent: 10 });
+      const { projectPath, changeSet, commitSha } = await prepareSource(source, diff, workspace, userId);
+      signal.throwIfAborted();
+      // The ref stays in job_json; commit_sha is what was actually scanned
+      if (commitSha) await db.setScanCommit(scan.id, commitSha);
+      check = await startCheck(scan, source, commitSha);
+      
+      progress({ stage: 'Skannar projekt...', percent: 25 });
+      const codebase = new Codebase(projectPath);
+      const scanResult = await scanProject(projectPath, codebase);
+      const analysis = await pipeline.run(projectPath, scanResult, {
+        codebase,
+        changeSet,
+        signal,
+        onPassStart: (pass, index, total) => {
+          progress({ stage: pass.stage, percent: 30 + Math.round((index / total) * 55), file: null, filesDone: null, filesTotal: null });
+        },
+        onPassProgress: (pass, index, total, done, fileCount, file) => {
+          progress({ percent: 30 + Math.round(((index + done / fileCount) / total) * 55), file, filesDone: done, filesTotal: fileCount });
+        },
+        onPassComplete: (pass, result) => {
+          (result.suggestions || []).forEach(suggestion => {
+            const topic = pipeline.getTopicKey(suggestion);
+            if (reported.has(topic)) return;
+            reported.add(topic);
+            scanEvents.publish(scan.id, 'finding', {
+              topic,
+              pass: pass.name,
+              title: suggestion.title,
+              category: suggestion.category,
+              impact: suggestion.impact,
+              files: (suggestion.affectedFiles || []).map(entry => entry.file)
+            });
+          });
+        }
+      });
+      
+      progress({ stage: 'Sparar resultat...', percent: 90, file: null, filesDone: null, filesTotal: null });
+      const summary = await storeFindings(scan.id, analysis, signal);
+      if (check) {
+        progress({ stage: 'Publicerar till GitHub...', percent: 95 });
+        summary.publication = await completeCheck(check, scan.id, summary, { failOn, pullNumber: source.pullNumber });
+      }
+      progress({ stage: 'Klar!', percent: 100 });
+      return summary;
+    });
+  } catch (error) {
+    progress({ stage: signal.aborted ? 'Avbruten' : 'Fel uppstod', file: null });
+    if (check) await abortCheck(check, signal.aborted, error);
+    throw error;
+  } finally {
+    await progress.flush();
+  }
+}
+
+// Project path and pull-request change set for a job's source
+async function prepareSource(source, diff, workspace, userId) {
+  let changeSet = diff ? parseUnifiedDiff(diff) : null;
+  
+  if (source.type === 'upload') {
+    return { projectPath: await uploadHandler(source.upload, workspace), changeSet };
+  }
+  if (source.type === 'local') {
+    const result = await localGit.checkout(source.repoUrl, source.ref, source.baseRef, workspace);
+    if (result.diff !== null) {
+      changeSet = { ...parseUnifiedDiff(result.diff), refs: { base: source.baseRef, head: source.headRef } };
+    }
+    return { projectPath: result.projectPath, changeSet, commitSha: result.commitSha };
+  }
+  // Private GitHub repositories are downloaded with the token of the user who queued the scan,
+  // or not at all; other hosts use their configured token (undefined)
+  const provider = sources.forUrl(source.repoUrl);
+  const token = provider.name === 'github' ? (userId && await githubTokens.get(userId)) || null : undefined;
+  if (source.type === 'pullRequest') {
+    const result = await provider.analyzePullRequest(source.repoUrl, source.baseRef, source.headRef, workspace, { token });
+    changeSet = { ...parseUnifiedDiff(result.diff), refs: { base: source.baseRef, head: source.headRef } };
+    return { projectPath: result.projectPath, changeSet, commitSha: result.commitSha };
+  }
+  // 'repository', or 'github' for jobs queued before other hosts were supported
+  const result = await provider.analyzeRepository(source.repoUrl, source.branch, workspace, { token });
+  return { projectPath: result.projectPath, changeSet, commitSha: result.commitSha };
+}
+
+// Check runs are published through the GitHub App when it's configured. Publishing can fail
+// without failing the scan; the findings are already stored and can be published again with
+// POST /api/scans/:scanId/publish.
+async function startCheck(scan, source, commitSha) {
+  const repo = checks.target(source);
+  if (!repo || !commitSha) return null;
+  try {
+    return await checks.start(repo, commitSha, scan.id);
+  } catch (error) {
+    console.error(`❌ Kunde inte starta check run för ${repo.fullName}:`, error.message);
+    return null;
+  }
+}
+
+async function completeCheck(check, scanId, summary, options) {
+  try {
+    const findings = await db.getFindings(scanId);
+    return await checks.complete(check, findings, { ...options, pullRequest: summary.pullRequest });
+  } catch (error) {
+    console.error(`❌ Kunde inte publicera skanning ${scanId} till GitHub:`, error.message);
+    return { checkRunId: check.id, error: error.message };
+  }
+}
+
+async function abortCheck(check, cancelled, error) {
+  try {
+    await checks.abort(check, cancelled ? 'cancelled' : 'neutral', error.message);
+  } catch (publishError) {
+    console.error(`❌ Kunde inte avsluta check run ${check.id}:`, publishError.message);
+  }
+}
+
+async function storeFindings(scanId, analysis, signal) {
+  // A retried scan may have stored some findings before it failed
+  await db.deleteFindings(scanId);
+  
+  const findingIds = [];
+  for (const suggestion of analysis.suggestions) {
+    signal.throwIfAborted();
+    const findingId = await db.createFinding(scanId, {
+      title: suggestion.title,
+      category: suggestion.category.toLowerCase(),
+      impact: mapImpactScore(suggestion.impact),
+      effort: mapEffortScore(suggestion.effort),
+      confidence: suggestion.confidence || 0.8,
+      description: suggestion.description || suggestion.whyRecommended,
+      fingerprint: suggestion.fingerprint,
+      change: suggestion.change,
+      codePointers: (suggestion.affectedFiles || []).map(entry => ({
+        file: entry.file,
+        lineStart: entry.lineNumber,
+        lineEnd: entry.lineNumber,
+        snippet: entry.codeSnippet,
+        fingerprint: entry.fingerprint
+      }))
+    });
+    findingIds.push(findingId);
+  }
+  
+  return {
+    findingsCount: findingIds.length,
+    topSuggestion: analysis.suggestions[0]?.title || 'No suggestions',
+    estimatedImpact: analysis.suggestions[0]?.impact >= 7 ? 'high' : 'medium',
+    language: analysis.analysis.language,
+    framework: analysis.analysis.framework,
+    passes: analysis.passes,
+    pullRequest: analysis.pullRequest,
+    suppressed: {
+      total: analysis.suppressed.total,
+      inline: analysis.suppressed.inline,
+      baseline: analysis.suppressed.baseline
+    },
+    cache: analysis.cache
+  };
 }
 
 function mapImpactScore(score) {
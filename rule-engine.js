@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+
+const RULES_DIR = path.join('.arkitekt', 'rules');
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+const LEAF_KEYS = ['import', 'call', 'member', 'identifier', 'string', 'code'];
+const COMBINATOR_KEYS = ['all', 'any', 'not'];
+const RULE_KEYS = ['id', 'title', 'match', 'files', 'category', 'severity', 'message', 'provider'];
+// Rules come from uploaded projects and run on the main thread for small ones, so a pattern
+// only ever sees this much of a line or value. Together with the rejected constructs in
+// unsafeRegex this keeps a pattern from backtracking long enough to hang the server.
+const MAX_MATCH_INPUT = 1000;
+
+// Loads, validates and evaluates declarative rules. A rule file is JSON and holds either
+// { "rules": [...] }, an array of rules or a single rule:
+//
+//   {
+//     "id": "no-console-in-api",
+//     "match": { "all": [{ "call": "^console\\.log$" }, { "import": "^express$" }] },
+//     "files": "^/src/",
+//     "category": "monitoring",
+//     "severity": "medium",
+//     "message": "console.log i API-kod istället för strukturerad loggning",
+//     "provider": "Sentry"
+//   }
+//
+// Leaf matchers are regexes over the parsed syntax (import, call, member, identifier, string)
+// or over the code with comments and strings removed (code). Combine them with all/any/not.
+class RuleEngine {
+  constructor(options = {}) {
+    this.knownCategories = options.knownCategories || [];
+    this.apiDatabase = require('./data/comprehensive-api-database.json');
+  }
+
+  loadProjectRules(projectPath) {
+    const rulesDir = path.join(projectPath, RULES_DIR);
+    if (!fs.existsSync(rulesDir)) return { rules: [], files: [], errors: [] };
+
+    const entries = fs.readdirSync(rulesDir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => ({ name, content: fs.readFileSync(path.join(rulesDir, name), 'utf8') }));
+
+    const result = this.validateRuleFiles(entries);
+    return { ...result, rules: result.rules.map(({ rule, file }) => this.compileRule(rule, file)) };
+  }
+
+  // Validates a set of rule files together; files with errors contribute no rules
+  validateRuleFiles(entries) {
+    const result = { rules: [], files: [], errors: [] };
+    const seenIds = new Set();
+
+    entries.forEach(({ name, content }) => {
+      const validation = this.validateRuleFile(content, name);
+
+      // Duplicate ids across files would make findings from the two rules indistinguishable
+      validation.rules.forEach((rule, index) => {
+        if (seenIds.has(rule.id)) {
+          validation.errors.push({ path: `rules[${index}].id`, message: `Regel-id "${rule.id}" används redan i en annan fil` });
+        }
+      });
+
+      result.files.push({ name, valid: validation.errors.length === 0, ruleCount: validation.rules.length, errors: validation.errors });
+      if (validation.errors.length > 0) {
+        result.errors.push(...validation.errors.map(error => ({ file: name, ...error })));
+        return;
+      }
+
+      validation.rules.forEach(rule => {
+        seenIds.add(rule.id);
+        result.rules.push({ rule, file: name });
+      });
+    });
+
+    return result;
+  }
+
+  validateRuleFile(content, name = 'rules.json') {
+    const errors = [];
+    let data;
+
+    try {
+      data = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      return { rules: [], errors: [{ path: name, message: `Ogiltig JSON: ${error.message}` }] };
+    }
+
+    let rules;
+    if (Array.isArray(data)) {
+      rules = data;
+    } else if (data && Array.isArray(data.rules)) {
+      rules = data.rules;
+    } else if (data && typeof data === 'object' && data.id) {
+      rules = [data];
+    } else {
+      return { rules: [], errors: [{ path: name, message: 'Filen måste innehålla en regel, en lista med regler eller { "rules": [...] }' }] };
+    }
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+      const prefix = `rules[${index}]`;
+      errors.push(...this.validateRule(rule, prefix));
+      if (rule && typeof rule.id === 'string') {
+        if (ids.has(rule.id)) errors.push({ path: `${prefix}.id`, message: `Regel-id "${rule.id}" förekommer flera gånger` });
+        ids.add(rule.id);
+      }
+    });
+
+    return { rules: errors.length === 0 ? rules : [], errors };
+  }
+
+  validateRule(rule, prefix) {
+    const errors = [];
+    const error = (field, message) => errors.push({ path: field ? `${prefix}.${field}` : prefix, message });
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      error(null, 'Regeln måste vara ett objekt');
+      return errors;
+    }
+
+    Object.keys(rule)
+      .filter(key => !RULE_KEYS.includes(key))
+      .forEach(key => error(key, `Okänt fält "${key}"`));
+
+    if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9_.-]*$/i.test(rule.id)) {
+      error('id', 'id krävs och får bara innehålla bokstäver, siffror, punkt, bindestreck och understreck');
+    }
+    ['category', 'message'].forEach(field => {
+      if (typeof rule[field] !== 'string' || rule[field].trim() === '') error(field, `${field} krävs och måste vara en sträng`);
+    });
+    if (rule.title !== undefined && typeof rule.title !== 'string') error('title', 'title måste vara en sträng');
+    if (!SEVERITIES.includes(rule.severity)) {
+      error('severity', `severity måste vara en av: ${SEVERITIES.join(', ')}`);
+    }
+    if (rule.files !== undefined) {
+      const regexError = this.checkRegex(rule.files);
+      if (regexError) error('files', regexError);
+    }
+
+    if (rule.provider !== undefined) {
+      if (typeof rule.provider !== 'string') {
+        error('provider', 'provider måste vara en sträng');
+      } else if (!this.findProvider(rule.provider)) {
+        error('provider', `Okänd leverantör "${rule.provider}"`);
+      }
+    } else if (typeof rule.category === 'string' && !this.knownCategories.includes(rule.category)) {
+      error('provider', `provider krävs för egna kategorier (inbyggda: ${this.knownCategories.join(', ')})`);
+    }
+
+    if (rule.match === undefined) {
+      error('match', 'match krävs');
+    } else {
+      errors.push(...this.validateMatch(rule.match, `${prefix}.match`));
+    }
+
+    return errors;
+  }
+
+  validateMatch(match, at) {
+    if (!match || typeof match !== 'object' || Array.isArray(match)) {
+      return [{ path: at, message: 'match måste vara ett objekt' }];
+    }
+
+    const keys = Object.keys(match).filter(key => key !== 'flags');
+    if (keys.length === 0) {
+      return [{ path: at, message: `match måste ha minst ett av: ${[...LEAF_KEYS, ...COMBINATOR_KEYS].join(', ')}` }];
+    }
+
+    const errors = [];
+    if (match.flags !== undefined && (typeof match.flags !== 'string' || !/^[imsu]*$/.test(match.flags))) {
+      errors.push({ path: `${at}.flags`, message: 'flags får bara innehålla i, m, s och u' });
+    }
+
+    keys.forEach(key => {
+      const value = match[key];
+      if (key === 'all' || key === 'any') {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push({ path: `${at}.${key}`, message: `${key} måste vara en icke-tom lista` });
+        } else {
+          value.forEach((child, index) => errors.push(...this.validateMatch(child, `${at}.${key}[${index}]`)));
+        }
+      } else if (key === 'not') {
+        errors.push(...this.validateMatch(value, `${at}.not`));
+      } else if (LEAF_KEYS.includes(key)) {
+        const regexError = this.checkRegex(value, match.flags);
+        if (regexError) errors.push({ path: `${at}.${key}`, message: regexError });
+      } else {
+        errors.push({ path: `${at}.${key}`, message: `Okänd matchning "${key}"` });
+      }
+    });
+
+    return errors;
+  }
+
+  checkRegex(value, flags = '') {
+    if (typeof value !== 'string' || value === '') return 'Måste vara ett icke-tomt reguljärt uttryck';
+    try {
+      new RegExp(value, flags);
+    } catch (error) {
+      return `Ogiltigt reguljärt uttryck: ${error.message}`;
+    }
+    return unsafeRegex(value);
+  }
+
+  findProvider(name) {
+    const target = name.toLowerCase();
+    for (const providers of Object.values(this.apiDatabase)) {
+      const provider = providers.find(p => p.name.toLowerCase() === target);
+      if (provider) return provider;
+    }
+    return null;
+  }
+
+  compileRule(rule, sourceFile) {
+    return {
+      ...rule,
+      sourceFile,
+      filesPattern: rule.files ? new RegExp(rule.files) : null,
+      matcher: this.compileMatch(rule.match),
+      providerInfo: rule.provider ? this.findProvider(rule.provider) : null
+    };
+  }
+
+  compileMatch(match) {
+    const flags = match.flags || '';
+    const parts = Object.keys(match)
+      .filter(key => key !== 'flags')
+      .map(key => {
+        if (key === 'all') return { type: 'all', children: match.all.map(child => this.compileMatch(child)) };
+        if (key === 'any') return { type: 'any', children: match.any.map(child => this.compileMatch(child)) };
+        if (key === 'not') return { type: 'not', child: this.compileMatch(match.not) };
+        return { type: key, pattern: new RegExp(match[key], flags) };
+      });
+
+    // Several keys in one match object must all match
+    return parts.length === 1 ? parts[0] : { type: 'all', children: parts };
+  }
+
+  // Returns { line, code } for the first match in the file, or null. accept(line) can reject
+  // locations, e.g. suppressed lines, so the next match is reported instead.
+  evaluate(rule, filePath, content, parsed, accept = () => true) {
+    if (rule.filesPattern && !rule.filesPattern.test(filePath.slice(0, MAX_MATCH_INPUT))) return null;
+
+    const location = this.evaluateMatcher(rule.matcher, content, parsed, accept);
+    if (!location) return null;
+
+    const lines = content.split('\n');
+    const line = location.line || 1;
+    return { line, code: (lines[line - 1] || '').trim() };
+  }
+
+  evaluateMatcher(matcher, content, parsed, accept) {
+    switch (matcher.type) {
+      case 'all': {
+        let first = null;
+        for (const child of matcher.children) {
+          const location = this.evaluateMatcher(child, content, parsed, accept);
+          if (!location) return null;
+          if (!first || (!first.line && location.line)) first = location;
+        }
+        return first;
+      }
+      case 'any':
+        for (const child of matcher.children) {
+          const location = this.evaluateMatcher(child, content, parsed, accept);
+          if (location) return location;
+        }
+        return null;
+      case 'not':
+        // Absence is checked against the whole file, suppressions don't apply
+        return this.evaluateMatcher(matcher.child, content, parsed, () => true) ? null : { line: 0 };
+      case 'code':
+        return this.findInText(matcher.pattern, parsed ? parsed.codeText : content, accept);
+      default:
+        return parsed ? this.findInSyntax(matcher, parsed, accept) : null;
+    }
+  }
+
+  findInSyntax(matcher, parsed, accept) {
+    const test = value => {
+      matcher.pattern.lastIndex = 0;
+      return matcher.pattern.test(value.slice(0, MAX_MATCH_INPUT));
+    };
+
+    switch (matcher.type) {
+      case 'import':
+        return parsed.imports.find(entry => test(entry.source) && accept(entry.line)) || null;
+      case 'call':
+        return parsed.calls.find(call => test(call.callee) && accept(call.line)) || null;
+      case 'member':
+        return parsed.members.find(member => test(member.name) && accept(member.line)) || null;
+      case 'string':
+        return parsed.strings.find(entry => test(entry.value) && accept(entry.line)) || null;
+      case 'identifier':
+        for (const name of parsed.identifiers) {
+          if (!test(name)) continue;
+          const location = this.findInText(new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\b`), parsed.codeText, accept);
+          if (location) return location;
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  findInText(pattern, text, accept = () => true) {
+    const index = text.split('\n').findIndex((line, i) => {
+      pattern.lastIndex = 0;
+      return pattern.test(line.slice(0, MAX_MATCH_INPUT)) && accept(i + 1);
+    });
+    return index === -1 ? null : { line: index + 1 };
+  }
+}
+
+// Constructs that can make a regex backtrack exponentially: backreferences, and a quantified
+// group that itself contains a quantifier, like (a+)+ or (\w*,?){2,}, or an alternation, like
+// (a|a)* whose branches can match the same text. Returns an error or null.
+function unsafeRegex(source) {
+  // For each open group, whether something inside it is quantified or has alternatives
+  const groups = [{ quantified: false, alternation: false }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const group = groups[groups.length - 1];
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(source[i + 1] || '')) return 'Bakåtreferenser stöds inte i regler';
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      // (?:, (?= and (?<name> are group syntax, not a quantifier
+      if (source[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const inner = groups.length > 1 ? groups.pop() : { quantified: false, alternation: false };
+      const outer = groups[groups.length - 1];
+      if (/^[*+{]/.test(source.slice(i + 1))) {
+        if (inner.quantified) return 'Nästlade kvantifierare som (a+)+ stöds inte i regler, de kan ta exponentiell tid';
+        if (inner.alternation) return 'Kvantifierade alternativ som (a|b)* stöds inte i regler, de kan ta exponentiell tid';
+      }
+      outer.quantified = outer.quantified || inner.quantified;
+      outer.alternation = outer.alternation || inner.alternation;
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if ('*+?{'.includes(char)) {
+      group.quantified = true;
+    }
+  }
+  return null;
+}
+
+RuleEngine.RULES_DIR = RULES_DIR;
+RuleEngine.SEVERITIES = SEVERITIES;
+
+module.exports = RuleEngine;
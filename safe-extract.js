@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+const DEFAULT_LIMITS = {
+  maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES || '20000', 10),
+  maxTotalSize: parseInt(process.env.ARCHIVE_MAX_TOTAL_SIZE || String(500 * 1024 * 1024), 10),
+  maxCompressionRatio: parseInt(process.env.ARCHIVE_MAX_COMPRESSION_RATIO || '100', 10)
+};
+
+// Small entries compress extremely well without being bombs, so the ratio only counts above this
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const TAR_BLOCK = 512;
+
+// Rejected archives carry a code and details so the client can explain what was wrong
+class ArchiveError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, details: this.details };
+  }
+}
+
+// The file name can't be trusted (CI tarballs are often uploaded without an extension),
+// so the format is decided by the first bytes
+function detectArchiveType(filePath) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, TAR_BLOCK, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (bytesRead >= 4 && header[0] === 0x50 && header[1] === 0x4b && (header[2] === 0x03 || header[2] === 0x05)) {
+    return 'zip';
+  }
+  if (bytesRead >= 2 && header[0] === 0x1f && header[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  if (bytesRead === TAR_BLOCK && header.toString('latin1', 257, 262) === 'ustar') {
+    return 'tar';
+  }
+  return null;
+}
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Entries are { name, isDirectory, isLink, size, compressedSize, getData(maxBytes) } whatever
+// the format. getData returns null rather than more than maxBytes of content.
+function readZipEntries(zipPath) {
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (error) {
+    throw invalidZip(error);
+  }
+
+  return entries.map(entry => ({
+    name: entry.entryName,
+    isDirectory: entry.isDirectory,
+    // Unix file type lives in the high bits of the external attributes
+    isLink: ((entry.attr >>> 16) & S_IFMT) === S_IFLNK,
+    size: entry.header.size,
+    compressedSize: entry.header.compressedSize,
+    getData: maxBytes => inflateZipEntry(entry, maxBytes)
+  }));
+}
+
+// adm-zip trusts the size in the header: an entry claiming 0 bytes is inflated whole before
+// anything can check it. Entries are inflated here instead, never past maxBytes.
+function inflateZipEntry(entry, maxBytes) {
+  const { method, encrypted } = entry.header;
+  if (encrypted || (method !== ZIP_STORED && method !== ZIP_DEFLATED)) {
+    throw new ArchiveError('UNSUPPORTED_ENTRY', `Arkivet innehåller en krypterad eller okänt komprimerad fil: ${entry.entryName}`, {
+      entry: entry.entryName
+    });
+  }
+
+  let compressed;
+  try {
+    compressed = entry.getCompressedData();
+  } catch (error) {
+    throw invalidZip(error);
+  }
+  if (method === ZIP_STORED) {
+    return compressed.length > maxBytes ? null : compressed;
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(maxBytes, 1) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    throw invalidZip(error);
+  }
+}
+
+function invalidZip(error) {
+  return new ArchiveError('INVALID_ARCHIVE', 'Filen är inte ett giltigt ZIP-arkiv', { reason: error.message });
+}
+
+function readTarEntries(filePath, gzipped, { maxEntries, maxTotalSize, maxCompressionRatio }) {
+  let data = fs.readFileSync(filePath);
+
+  if (gzipped) {
+    const compressedSize = data.length;
+    try {
+      // Stop inflating once the output could only be rejected anyway; every tar entry adds
+      // at most a header and a block of padding on top of its content
+      data = zlib.gunzipSync(data, { maxOutputLength: maxTotalSize + (maxEntries + 2) * TAR_BLOCK * 2 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        checkTotal(Infinity, maxTotalSize);
+      }
+      throw new ArchiveError('INVALID_ARCHIVE', 'Filen är inte ett giltigt tar.gz-arkiv', { reason: error.message });
+    }
+    // gzip compresses the whole stream, so the ratio is checked for the archive as a whole
+    checkRatio(path.basename(filePath), data.length, compressedSize, maxCompressionRatio);
+  }
+
+  return parseTar(data);
+}
+
+function parseTar(data) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let paxPath = null;
+
+  while (offset + TAR_BLOCK <= data.length) {
+    const header = data.subarray(offset, offset + TAR_BLOCK);
+    // Two zero blocks end the archive; one is enough to stop reading
+    if (header.every(byte => byte === 0)) break;
+
+    if (header.toString('latin1', 257, 262) !== 'ustar' && !validTarChecksum(header)) {
+      throw new ArchiveError('INVALID_ARCHIVE', 'Filen är inte ett giltigt tar-arkiv', { offset });
+    }
+
+    const type = String.fromCharCode(header[156] || 0x30);
+    const size = parseTarNumber(header.subarray(124, 136));
+    const start = offset + TAR_BLOCK;
+    if (start + size > data.length) {
+      throw new ArchiveError('INVALID_ARCHIVE', 'Tar-arkivet är avkortat', { offset });
+    }
+    const body = data.subarray(start, start + size);
+    offset = start + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    // GNU long names and pax headers describe the entry that follows them
+    if (type === 'L') {
+      longName = tarString(body);
+      continue;
+    }
+    if (type === 'x') {
+      paxPath = parsePaxPath(body);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = tarString(header.subarray(345, 500));
+    const shortName = tarString(header.subarray(0, 100));
+    const name = paxPath || longName || (prefix ? `${prefix}/${shortName}` : shortName);
+    longName = null;
+    paxPath = null;
+
+    if (type !== '0' && type !== '5' && type !== '7' && type !== '1' && type !== '2') {
+      throw new ArchiveError('UNSUPPORTED_ENTRY', `Arkivet innehåller en filtyp som inte stöds: ${name}`, { entry: name });
+    }
+
+    entries.push({
+      name,
+      isDirectory: type === '5',
+      // Hard links can point at anything already extracted, so they're treated like symlinks
+      isLink: type === '1' || type === '2',
+      size,
+      compressedSize: size,
+      getData: maxBytes => (body.length > maxBytes ? null : body)
+    });
+  }
+
+  return entries;
+}
+
+function tarString(buffer) {
+  const end = buffer.indexOf(0);
+  return buffer.toString('utf8', 0, end === -1 ? buffer.length : end);
+}
+
+function parseTarNumber(buffer) {
+  // Base-256 is used for sizes that don't fit in octal
+  if (buffer[0] & 0x80) {
+    let value = buffer[0] & 0x7f;
+    for (let i = 1; i < buffer.length; i++) value = value * 256 + buffer[i];
+    return value;
+  }
+  return parseInt(tarString(buffer).trim() || '0', 8);
+}
+
+function validTarChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === parseTarNumber(header.subarray(148, 156));
+}
+
+function parsePaxPath(body) {
+  // Records look like "<length> <key>=<value>\n"
+  const match = body.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
+
+function readArchiveEntries(filePath, limits) {
+  checkFileSize(filePath, limits);
+  const type = detectArchiveType(filePath);
+  if (type === 'zip') return readZipEntries(filePath);
+  if (type === 'tar' || type === 'tar.gz') {
+    return readTarEntries(filePath, type === 'tar.gz', limits);
+  }
+  throw new ArchiveError('INVALID_ARCHIVE', 'Filformatet stöds inte (ZIP, tar eller tar.gz krävs)');
+}
+
+// Validates every entry before anything is written, then writes entry by entry and
+// checks the real sizes, since the sizes in archive headers can't be trusted. No entry is
+// read past what the total size and compression ratio still allow.
+function extractEntries(entries, targetDir, limits = {}) {
+  const { maxEntries, maxTotalSize, maxCompressionRatio } = { ...DEFAULT_LIMITS, ...limits };
+  const root = path.resolve(targetDir);
+
+  if (entries.length > maxEntries) {
+    throw new ArchiveError('TOO_MANY_ENTRIES', `Arkivet innehåller för många filer (${entries.length}, max ${maxEntries})`, {
+      entries: entries.length,
+      limit: maxEntries
+    });
+  }
+
+  const planned = entries.map(entry => ({ entry, target: resolveEntryPath(root, entry) }));
+
+  let declaredTotal = 0;
+  planned.forEach(({ entry }) => {
+    declaredTotal += entry.size;
+    checkRatio(entry.name, entry.size, entry.compressedSize, maxCompressionRatio);
+  });
+  checkTotal(declaredTotal, maxTotalSize);
+
+  const createdRoot = !fs.existsSync(root);
+  fs.mkdirSync(root, { recursive: true });
+
+  try {
+    let writtenTotal = 0;
+    planned.forEach(({ entry, target }) => {
+      if (entry.isDirectory) {
+        fs.mkdirSync(target, { recursive: true });
+        return;
+      }
+
+      const remaining = maxTotalSize - writtenTotal;
+      const ratioLimit = Math.max(RATIO_MIN_SIZE, entry.compressedSize * maxCompressionRatio);
+      const data = entry.getData(Math.min(remaining, ratioLimit));
+      if (data === null) {
+        if (remaining <= ratioLimit) checkTotal(Infinity, maxTotalSize);
+        checkRatio(entry.name, ratioLimit + 1, entry.compressedSize, maxCompressionRatio);
+      }
+      writtenTotal += data.length;
+      checkTotal(writtenTotal, maxTotalSize);
+      checkRatio(entry.name, data.length, entry.compressedSize, maxCompressionRatio);
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, data);
+    });
+  } catch (error) {
+    // Don't leave a half-extracted tree behind
+    if (createdRoot) fs.rmSync(root, { recursive: true, force: true });
+    throw error;
+  }
+
+  return root;
+}
+
+function extractArchive(archivePath, targetDir, limits = {}) {
+  const entries = readArchiveEntries(archivePath, { ...DEFAULT_LIMITS, ...limits });
+  return extractEntries(entries, targetDir, limits);
+}
+
+function extractZip(zipPath, targetDir, limits = {}) {
+  checkFileSize(zipPath, { ...DEFAULT_LIMITS, ...limits });
+  return extractEntries(readZipEntries(zipPath), targetDir, limits);
+}
+
+function resolveEntryPath(root, entry) {
+  const name = entry.name;
+
+  if (path.isAbsolute(name) || name.startsWith('/') || name.startsWith('\\') || /^[a-zA-Z]:/.test(name)) {
+    throw new ArchiveError('ABSOLUTE_PATH', `Arkivet innehåller en absolut sökväg: ${name}`, { entry: name });
+  }
+
+  if (entry.isLink) {
+    throw new ArchiveError('SYMLINK', `Arkivet innehåller en symbolisk länk: ${name}`, { entry: name });
+  }
+
+  const target = path.resolve(root, name.replace(/\\/g, '/'));
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new ArchiveError('PATH_TRAVERSAL', `Arkivet försöker skriva utanför målkatalogen: ${name}`, { entry: name });
+  }
+
+  return target;
+}
+
+// Archives are read into memory, so the file itself is checked first. No valid archive is
+// larger than its content plus a header and a block of padding per entry; compression only
+// makes it smaller.
+function checkFileSize(filePath, { maxEntries, maxTotalSize }) {
+  const size = fs.statSync(filePath).size;
+  const limit = maxTotalSize + (maxEntries + 2) * TAR_BLOCK * 2;
+  if (size > limit) {
+    throw new ArchiveError('TOO_LARGE', `Arkivet är för stort (max ${Math.round(maxTotalSize / 1024 / 1024)} MB)`, {
+      size,
+      limit: maxTotalSize
+    });
+  }
+}
+
+function checkTotal(total, maxTotalSize) {
+  if (total > maxTotalSize) {
+    throw new ArchiveError('TOO_LARGE', `Arkivet är för stort uppackat (max ${Math.round(maxTotalSize / 1024 / 1024)} MB)`, {
+      limit: maxTotalSize
+    });
+  }
+}
+
+function checkRatio(name, size, compressedSize, maxCompressionRatio) {
+  if (size < RATIO_MIN_SIZE) return;
+
+  const ratio = size / Math.max(compressedSize, 1);
+  if (ratio > maxCompressionRatio) {
+    throw new ArchiveError('COMPRESSION_RATIO', `Misstänkt hög kompression i ${name} (${Math.round(ratio)}:1, max ${maxCompressionRatio}:1)`, {
+      entry: name,
+      ratio: Math.round(ratio),
+      limit: maxCompressionRatio
+    });
+  }
+}
+
+module.exports = {
+  extractArchive,
+  extractEntries,
+  extractZip,
+  detectArchiveType,
+  ArchiveError,
+  DEFAULT_LIMITS
+};
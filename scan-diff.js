@@ -0,0 +1,96 @@
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Compares the findings rows of two scans. Findings are matched on fingerprint, older rows
+// without one fall back to category and title.
+function diffFindings(baseFindings, headFindings) {
+  const baseByKey = indexFindings(baseFindings);
+  const headByKey = indexFindings(headFindings);
+
+  const introduced = [];
+  const unchanged = [];
+  headByKey.forEach((finding, key) => {
+    const previous = baseByKey.get(key);
+    if (!previous) {
+      introduced.push(describeFinding(finding));
+      return;
+    }
+
+    const locations = diffLocations(previous.code_pointers, finding.code_pointers);
+    const severityChange = Math.sign(SEVERITY_RANK[finding.impact] - SEVERITY_RANK[previous.impact]) || 0;
+    unchanged.push({
+      ...describeFinding(finding),
+      previousImpact: previous.impact,
+      severityChange,
+      newLocations: locations.introduced,
+      fixedLocations: locations.fixed,
+      regression: severityChange > 0 || locations.introduced.length > 0
+    });
+  });
+
+  const fixed = [];
+  baseByKey.forEach((finding, key) => {
+    if (!headByKey.has(key)) fixed.push(describeFinding(finding));
+  });
+
+  return {
+    summary: {
+      new: introduced.length,
+      fixed: fixed.length,
+      unchanged: unchanged.length,
+      regressions: introduced.length + unchanged.filter(f => f.regression).length
+    },
+    severity: countSeverities(baseFindings, headFindings),
+    findings: { new: introduced, fixed, unchanged }
+  };
+}
+
+function findingKey(finding) {
+  return finding.fingerprint || `${finding.category}:${finding.title.toLowerCase().trim()}`;
+}
+
+function indexFindings(findings) {
+  const byKey = new Map();
+  findings.forEach(finding => {
+    const key = findingKey(finding);
+    if (!byKey.has(key)) byKey.set(key, finding);
+  });
+  return byKey;
+}
+
+// Locations inside one finding are matched on their own fingerprints, line numbers may move
+function diffLocations(basePointers, headPointers) {
+  const key = pointer => pointer.fingerprint || `${pointer.file}:${pointer.snippet}`;
+  const baseKeys = new Set((basePointers || []).map(key));
+  const headKeys = new Set((headPointers || []).map(key));
+
+  return {
+    introduced: (headPointers || []).filter(pointer => !baseKeys.has(key(pointer))),
+    fixed: (basePointers || []).filter(pointer => !headKeys.has(key(pointer)))
+  };
+}
+
+function countSeverities(baseFindings, headFindings) {
+  const severity = {};
+  Object.keys(SEVERITY_RANK).forEach(level => {
+    const base = baseFindings.filter(f => f.impact === level).length;
+    const head = headFindings.filter(f => f.impact === level).length;
+    severity[level] = { base, head, delta: head - base };
+  });
+  return severity;
+}
+
+function describeFinding(finding) {
+  return {
+    id: finding.id,
+    fingerprint: finding.fingerprint,
+    title: finding.title,
+    category: finding.category,
+    impact: finding.impact,
+    effort: finding.effort,
+    codePointers: finding.code_pointers || []
+  };
+}
+
+module.exports = {
+  diffFindings
+};
@@ -0,0 +1,143 @@
+const CHANNEL = 'scan_events';
+
+// Progress can change for every file; writing it more often than this only loads the database
+const PROGRESS_INTERVAL_MS = 250;
+
+// Statuses after which nothing more happens to a scan
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Progress and events of queued scans, persisted in Postgres so any instance can stream them
+// and a client that reconnects continues where it left off. Findings and status changes are
+// an append-only log (scan_events); progress is the latest state on the scan row. Both are
+// announced with NOTIFY, so a stream on one instance sees what a worker on another one does.
+class ScanEvents {
+  constructor(db) {
+    this.db = db;
+    this.subscribers = new Map();
+    this.listener = null;
+  }
+
+  // Adds a finding or status event to the log. Never throws: a lost event must not fail a scan.
+  async publish(scanId, type, data) {
+    try {
+      return await this.db.addScanEvent(scanId, type, data);
+    } catch (error) {
+      console.error(`❌ Kunde inte spara händelse för analys ${scanId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Returns update(progress) for one scan. Updates are merged into the latest state and written
+  // at most every PROGRESS_INTERVAL_MS; flush() writes what's pending right away.
+  progress(scanId) {
+    let state = {};
+    let timer = null;
+    let writing = Promise.resolve();
+
+    const write = () => {
+      timer = null;
+      const snapshot = state;
+      writing = writing
+        .then(() => this.db.updateScanProgress(scanId, snapshot))
+        .catch(error => console.error(`❌ Kunde inte spara förlopp för analys ${scanId}:`, error.message));
+      return writing;
+    };
+
+    const update = progress => {
+      state = { ...state, ...progress };
+      if (!timer) timer = setTimeout(write, PROGRESS_INTERVAL_MS);
+    };
+    update.flush = () => {
+      clearTimeout(timer);
+      return write();
+    };
+    return update;
+  }
+
+  // Calls onProgress(progress) and onEvent(event) for everything that happens to the scan
+  // from now on, after replaying the logged events with an id above afterId. Returns a
+  // function that stops the subscription.
+  async subscribe(scanId, afterId, { onEvent, onProgress }) {
+    const subscriber = { lastId: afterId, fetching: false, pending: false, closed: false, onEvent, onProgress };
+
+    // Listening starts before the replay so nothing logged in between is missed
+    await this.ensureListening();
+    if (!this.subscribers.has(scanId)) this.subscribers.set(scanId, new Set());
+    this.subscribers.get(scanId).add(subscriber);
+
+    await this.deliver(scanId, subscriber);
+
+    return () => {
+      subscriber.closed = true;
+      const subscribers = this.subscribers.get(scanId);
+      if (!subscribers) return;
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) this.subscribers.delete(scanId);
+    };
+  }
+
+  async ensureListening() {
+    if (!this.listener) {
+      this.listener = this.db.listen(CHANNEL, payload => this.handleNotification(payload));
+      this.listener.then(client => {
+        // A dropped connection is opened again on the next subscribe
+        client.on('error', error => {
+          console.error('❌ Händelselyssnaren tappade anslutningen:', error.message);
+          this.listener = null;
+          client.release(error);
+        });
+      }, () => {
+        this.listener = null;
+      });
+    }
+    await this.listener;
+  }
+
+  handleNotification(payload) {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      return;
+    }
+
+    const subscribers = this.subscribers.get(message.scanId);
+    if (!subscribers) return;
+
+    subscribers.forEach(subscriber => {
+      if (message.progress) {
+        subscriber.onProgress(message.progress);
+      } else {
+        this.deliver(message.scanId, subscriber);
+      }
+    });
+  }
+
+  // Sends the subscriber every logged event it hasn't seen, one fetch at a time
+  async deliver(scanId, subscriber) {
+    if (subscriber.fetching) {
+      subscriber.pending = true;
+      return;
+    }
+
+    subscriber.fetching = true;
+    try {
+      do {
+        subscriber.pending = false;
+        const events = await this.db.getScanEvents(scanId, subscriber.lastId);
+        for (const event of events) {
+          if (subscriber.closed) return;
+          subscriber.lastId = Number(event.id);
+          subscriber.onEvent(event);
+        }
+      } while (subscriber.pending && !subscriber.closed);
+    } catch (error) {
+      console.error(`❌ Kunde inte läsa händelser för analys ${scanId}:`, error.message);
+    } finally {
+      subscriber.fetching = false;
+    }
+  }
+}
+
+module.exports = ScanEvents;
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
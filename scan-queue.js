@@ -0,0 +1,194 @@
+const os = require('os');
+
+const DEFAULTS = {
+  concurrency: parseInt(process.env.SCAN_QUEUE_CONCURRENCY || '1', 10),
+  pollMs: parseInt(process.env.SCAN_QUEUE_POLL_MS || '2000', 10),
+  leaseMs: parseInt(process.env.SCAN_JOB_LEASE_MS || '60000', 10),
+  timeoutMs: parseInt(process.env.SCAN_JOB_TIMEOUT_MS || String(15 * 60 * 1000), 10),
+  retryDelayMs: parseInt(process.env.SCAN_JOB_RETRY_DELAY_MS || '30000', 10)
+};
+
+class ScanCancelledError extends Error {
+  constructor(scanId) {
+    super(`Analysen ${scanId} avbröts`);
+    this.name = 'ScanCancelledError';
+    this.code = 'SCAN_CANCELLED';
+  }
+}
+
+class ScanTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Analysen tog längre tid än ${Math.round(timeoutMs / 1000)} sekunder`);
+    this.name = 'ScanTimeoutError';
+    this.code = 'SCAN_TIMEOUT';
+  }
+}
+
+// Runs queued scans from the scans table. A worker leases a scan and renews the lease while
+// it runs; if the process dies the lease expires and recover() puts the scan back in the
+// queue. Failures are retried with exponential backoff up to the scan's max_attempts.
+//
+// handler(scan, signal) does the work and resolves to the summary. signal is aborted when the
+// scan is cancelled or times out; the handler should check it between steps. The scan keeps
+// its slot until the handler has settled, so aborted work never runs beside the next scan.
+class ScanQueue {
+  constructor(db, handler, options = {}) {
+    this.db = db;
+    this.handler = handler;
+    this.options = { ...DEFAULTS, ...options };
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+    // Called with (scanId, status, details) for every status change this process makes
+    this.onStatus = options.onStatus || (() => {});
+    // Called with (scanId, status) once a scan this worker ran is done, failed or cancelled
+    this.onSettled = options.onSettled || (() => {});
+    // Errors that will fail the same way again aren't retried
+    this.shouldRetry = options.shouldRetry || (() => true);
+
+    this.running = new Map();
+    this.timer = null;
+    this.stopped = true;
+    this.lastRecovery = 0;
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.recover();
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Checks for work right away, e.g. after a scan was enqueued by this process
+  notify() {
+    if (!this.stopped) this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), delay);
+    this.timer.unref();
+  }
+
+  async poll() {
+    try {
+      // Expired leases are looked for about once per lease period
+      if (Date.now() - this.lastRecovery > this.options.leaseMs) {
+        await this.recover();
+      }
+
+      while (!this.stopped && this.running.size < this.options.concurrency) {
+        const scan = await this.db.claimScan(this.workerId, this.options.leaseMs);
+        if (!scan) break;
+        this.execute(scan);
+      }
+    } catch (error) {
+      console.error('❌ Skanningskön kunde inte hämta jobb:', error.message);
+    }
+    if (!this.stopped) this.schedule(this.options.pollMs);
+  }
+
+  async recover() {
+    this.lastRecovery = Date.now();
+    try {
+      const { requeued, failed } = await this.db.recoverScans();
+      if (requeued.length > 0 || failed.length > 0) {
+        console.log(`♻️ Återställde övergivna analyser: ${requeued.length} köade igen, ${failed.length} misslyckade`);
+      }
+      requeued.forEach(scanId => this.onStatus(scanId, 'queued', { error: 'Arbetaren slutade svara' }));
+      failed.forEach(scanId => {
+        this.onStatus(scanId, 'failed', { error: 'Analysen avbröts och kan inte köras igen' });
+        this.onSettled(scanId, 'failed');
+      });
+    } catch (error) {
+      console.error('❌ Kunde inte återställa övergivna analyser:', error.message);
+    }
+  }
+
+  async execute(scan) {
+    const controller = new AbortController();
+    this.running.set(scan.id, controller);
+    console.log(`🚚 Kör analys ${scan.id} (försök ${scan.attempts} av ${scan.max_attempts})`);
+    this.onStatus(scan.id, 'running', { attempt: scan.attempts, maxAttempts: scan.max_attempts });
+
+    const timeout = setTimeout(() => controller.abort(new ScanTimeoutError(this.options.timeoutMs)), this.options.timeoutMs);
+    const heartbeat = setInterval(async () => {
+      try {
+        const held = await this.db.renewScanLease(scan.id, this.workerId, this.options.leaseMs);
+        if (!held) controller.abort(new ScanCancelledError(scan.id));
+      } catch (error) {
+        // Try again next beat; the lease is long enough to miss one
+      }
+    }, Math.floor(this.options.leaseMs / 3));
+
+    let status;
+    let details = {};
+    try {
+      const summary = await this.handler(scan, controller.signal);
+      // An abort after the handler's last check still counts
+      controller.signal.throwIfAborted();
+      status = (await this.db.completeScan(scan.id, this.workerId, summary)) ? 'done' : 'cancelled';
+      details = { summary };
+    } catch (error) {
+      ({ status, details } = await this.handleFailure(scan, error));
+    } finally {
+      clearTimeout(timeout);
+      clearInterval(heartbeat);
+      this.running.delete(scan.id);
+    }
+
+    // cancel() has already reported the cancellation
+    if (status !== 'cancelled') this.onStatus(scan.id, status, details);
+    if (status !== 'queued') this.onSettled(scan.id, status);
+    this.notify();
+  }
+
+  // { status, details } after a failed attempt
+  async handleFailure(scan, error) {
+    if (error instanceof ScanCancelledError) {
+      console.log(`🛑 Analys ${scan.id} avbröts`);
+      return { status: 'cancelled', details: {} };
+    }
+
+    try {
+      if (scan.attempts < scan.max_attempts && this.shouldRetry(error)) {
+        const delay = this.options.retryDelayMs * 2 ** (scan.attempts - 1);
+        console.log(`🔁 Analys ${scan.id} misslyckades (${error.message}), nytt försök om ${Math.round(delay / 1000)} s`);
+        const retried = await this.db.retryScan(scan.id, this.workerId, error.message, delay);
+        return { status: retried ? 'queued' : 'cancelled', details: { error: error.message, retryInMs: delay } };
+      }
+
+      console.error(`❌ Analys ${scan.id} misslyckades:`, error.message);
+      const failed = await this.db.failScan(scan.id, this.workerId, error.message);
+      return { status: failed ? 'failed' : 'cancelled', details: { error: error.message } };
+    } catch (dbError) {
+      // The lease runs out and recover() picks the scan up again
+      console.error(`❌ Kunde inte spara resultatet för analys ${scan.id}:`, dbError.message);
+      return { status: 'queued', details: { error: error.message } };
+    }
+  }
+
+  // Cancels a queued or running scan. A scan running in this process is stopped right away,
+  // one running elsewhere when its worker next renews the lease. Returns false when the scan
+  // had already finished.
+  async cancel(scanId) {
+    const previous = await this.db.cancelScan(scanId);
+    if (!previous) return false;
+
+    this.onStatus(scanId, 'cancelled', {});
+    const controller = this.running.get(scanId);
+    if (controller) {
+      controller.abort(new ScanCancelledError(scanId));
+    } else if (previous.status === 'queued') {
+      this.onSettled(scanId, 'cancelled');
+    }
+    return true;
+  }
+}
+
+module.exports = ScanQueue;
+module.exports.ScanCancelledError = ScanCancelledError;
+module.exports.ScanTimeoutError = ScanTimeoutError;
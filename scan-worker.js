@@ -0,0 +1,51 @@
+const { parentPort } = require('worker_threads');
+const Codebase = require('./codebase');
+const { getCache } = require('./analysis-cache');
+const { TASKS } = require('./worker-pool');
+
+// Entry point for the threads in worker-pool.js. Each message is a chunk of files from one
+// job; every file's result is posted as soon as it's ready, then "done" for the chunk.
+
+const analyzers = {};
+let current = null;
+
+// Chunks of the same job share the project rules, suppressions and baseline, so those are
+// only loaded again when a new job starts
+function jobState(jobId, task, projectPath) {
+  if (current && current.jobId === jobId) return current;
+
+  if (!analyzers[task]) {
+    const Analyzer = TASKS[task]();
+    analyzers[task] = new Analyzer();
+  }
+  const analyzer = analyzers[task];
+  // Only the files in each chunk are read, so the project isn't walked again
+  const project = new Codebase(projectPath, { files: [] });
+
+  current = {
+    jobId,
+    analyzer,
+    project,
+    state: analyzer.prepareFileScan(project)
+  };
+  return current;
+}
+
+parentPort.on('message', ({ jobId, task, projectPath, files }) => {
+  try {
+    if (!TASKS[task]) throw new Error(`Okänd skanningsuppgift: ${task}`);
+    const { analyzer, project, state } = jobState(jobId, task, projectPath);
+
+    const cache = getCache();
+    files.forEach(file => {
+      const { result, cached } = cache.scanFile(task, analyzer, project, file, state);
+      parentPort.postMessage({ type: 'file', file: file.path, result, cached });
+    });
+
+    // Contents and ASTs aren't needed once the results are sent
+    project.release();
+    parentPort.postMessage({ type: 'done' });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', error: error.message });
+  }
+});
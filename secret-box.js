@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+class SecretKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SecretKeyError';
+    this.code = 'SECRET_KEY';
+  }
+}
+
+// TOKEN_ENCRYPTION_KEY is 32 bytes as hex or base64, e.g. `openssl rand -hex 32`. Outside
+// production a key derived from the session secret is used so development works without setup.
+function loadKey(env = process.env) {
+  const configured = env.TOKEN_ENCRYPTION_KEY;
+  if (configured) {
+    const key = /^[0-9a-f]{64}$/i.test(configured) ? Buffer.from(configured, 'hex') : Buffer.from(configured, 'base64');
+    if (key.length !== 32) {
+      throw new SecretKeyError('TOKEN_ENCRYPTION_KEY måste vara 32 byte (64 hex-tecken eller base64)');
+    }
+    return key;
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new SecretKeyError('TOKEN_ENCRYPTION_KEY måste sättas i produktion');
+  }
+  console.warn('⚠️ TOKEN_ENCRYPTION_KEY saknas, använder en nyckel härledd från SESSION_SECRET (endast för utveckling)');
+  return crypto.createHash('sha256').update(`token-encryption:${env.SESSION_SECRET || 'ai-arkitekt-dev-secret'}`).digest();
+}
+
+// Encrypts and authenticates small secrets such as OAuth tokens. The output is
+// "v1:<iv>:<tag>:<ciphertext>" in base64, so the format can change without a migration.
+class SecretBox {
+  constructor(key = loadKey()) {
+    this.key = key;
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  // Throws if the box was made with another key or has been tampered with
+  decrypt(box) {
+    const [version, iv, tag, ciphertext] = box.split(':');
+    if (version !== VERSION || !ciphertext) {
+      throw new SecretKeyError('Okänt format på krypterad hemlighet');
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = SecretBox;
+module.exports.SecretKeyError = SecretKeyError;
+module.exports.loadKey = loadKey;
@@ -4,9 +4,33 @@ const path = require('path');
 const session = require('express-session');
 const passport = require('passport');
 const GitHubStrategy = require('passport-github2').Strategy;
-// const apiRoutes = require('./routes/api'); // Disabled for Railway deployment
+const Database = require('./models/database');
+const PgSessionStore = require('./pg-session-store');
+const GitHubTokenStore = require('./github-token-store');
+const SourceProviders = require('./source-providers');
+const apiRoutes = require('./routes/api');
 
 const app = express();
+const db = new Database();
+const githubTokens = new GitHubTokenStore(db);
+const sources = new SourceProviders();
+
+const SESSION_MAX_AGE_MS = parseInt(process.env.SESSION_MAX_AGE_DAYS || '14', 10) * 24 * 60 * 60 * 1000;
+
+// Anyone who knows the secret can forge a session, so production refuses to start without one
+function sessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET måste sättas i produktion');
+  }
+  console.warn('⚠️ SESSION_SECRET saknas, använder en utvecklingsnyckel');
+  return 'ai-arkitekt-dev-secret';
+}
+
+if (process.env.NODE_ENV === 'production') {
+  // Railway terminates TLS in front of the app; secure cookies need to know the request was HTTPS
+  app.set('trust proxy', 1);
+}
 
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? 'https://ai-arkitekt-production.up.railway.app' : 'http://localhost:3000',
@@ -14,9 +38,16 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(session({
-  secret: 'ai-arkitekt-secret',
+  secret: sessionSecret(),
+  store: new PgSessionStore(db),
   resave: false,
-  saveUninitialized: false
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_MAX_AGE_MS
+  }
 }));
 app.use(passport.initialize());
 app.use(passport.session());
@@ -26,17 +57,42 @@ passport.use(new GitHubStrategy({
   clientID: process.env.GITHUB_CLIENT_ID || 'dummy',
   clientSecret: process.env.GITHUB_CLIENT_SECRET || 'dummy',
   callbackURL: process.env.NODE_ENV === 'production' ? 'https://ai-arkitekt-production.up.railway.app/auth/github/callback' : 'http://localhost:3002/auth/github/callback'
-}, (accessToken, refreshToken, profile, done) => {
-  profile.accessToken = accessToken;
-  return done(null, profile);
+}, async (accessToken, refreshToken, params, profile, done) => {
+  try {
+    // Projects and scans belong to the users row, not the GitHub profile
+    const user = await db.upsertGitHubUser(profile);
+    // The token goes encrypted into github_tokens, never into the session
+    await githubTokens.save(user.id, accessToken, refreshToken, params);
+    return done(null, sessionUser(user));
+  } catch (error) {
+    return done(error);
+  }
 }));
 
+// req.user for a signed-in user
+function sessionUser(user) {
+  return {
+    userId: user.id,
+    githubId: user.github_id,
+    username: user.login,
+    name: user.name,
+    avatarUrl: user.avatar_url
+  };
+}
+
+// Only the user id is kept in the session; the rest is read from users on each request
 passport.serializeUser((user, done) => {
-  done(null, user);
+  done(null, user.userId);
 });
 
-passport.deserializeUser((user, done) => {
-  done(null, user);
+passport.deserializeUser(async (userId, done) => {
+  try {
+    const user = await db.getUser(userId);
+    // A deleted user is logged out
+    done(null, user ? sessionUser(user) : false);
+  } catch (error) {
+    done(error);
+  }
 });
 
 // Auth routes
@@ -49,13 +105,31 @@ app.get('/auth/github/callback',
   }
 );
 
+// Revokes the GitHub token and ends the session
+app.post('/auth/logout', async (req, res) => {
+  try {
+    if (req.user) await githubTokens.revoke(req.user.userId);
+  } catch (error) {
+    console.error('❌ Kunde inte ta bort GitHub-token vid utloggning:', error.message);
+  }
+  
+  req.logout(logoutError => {
+    if (logoutError) return res.status(500).json({ error: logoutError.message });
+    req.session.destroy(destroyError => {
+      if (destroyError) return res.status(500).json({ error: destroyError.message });
+      res.clearCookie('connect.sid');
+      res.json({ success: true });
+    });
+  });
+});
+
 app.get('/api/user', (req, res) => {
   if (req.user) {
     res.json({
-      id: req.user.id,
+      id: req.user.githubId,
       login: req.user.username,
-      name: req.user.displayName,
-      avatar_url: req.user.photos[0]?.value
+      name: req.user.name,
+      avatar_url: req.user.avatarUrl
     });
   } else {
     res.status(401).json({ error: 'Not authenticated' });
@@ -67,99 +141,88 @@ app.get('/api/user/repos', async (req, res) => {
     return res.status(401).json({ error: 'Not authenticated' });
   }
   
+  // ?provider=gitlab etc. lists what that host's configured token can see
+  const provider = sources.get(req.query.provider || 'github');
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown provider: ${req.query.provider}` });
+  }
+  
   try {
-    const fetch = require('node-fetch');
-    const response = await fetch('https://api.github.com/user/repos?sort=updated&per_page=100', {
-      headers: {
-        'Authorization': `token ${req.user.accessToken}`,
-        'User-Agent': 'AI-Arkitekt'
+    let token = provider.token;
+    if (provider.name === 'github') {
+      token = await githubTokens.get(req.user.userId);
+      if (!token) {
+        return res.status(401).json({ error: 'GitHub token missing or expired, please sign in again' });
       }
-    });
+    }
     
-    const repos = await response.json();
+    const repos = await provider.listUserRepos({ token });
     res.json({ repos });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(errorStatus(error)).json({ error: error.message, code: error.code });
   }
 });
 
-// API routes - disabled for Railway deployment
-// app.use('/api', apiRoutes);
+// Project and scan API, for signed-in users
+app.use('/api', apiRoutes);
 
 // Legacy endpoints for backward compatibility
 const multer = require('multer');
 const uploadHandler = require('./upload');
 const scanProject = require('./scan');
-const CodeAnalyzer = require('./analyzer');
-const EnhancedAnalyzer = require('./enhanced-analyzer-simple');
-const IntelligentCodeAnalyzer = require('./intelligent-code-analyzer');
-const DeepCodeAnalyzer = require('./deep-code-analyzer');
-const AdvancedCodeAnalyzer = require('./advanced-code-analyzer');
+const Codebase = require('./codebase');
+const AnalysisPipeline = require('./analysis-pipeline');
+const { SourceProviderError } = require('./source-provider');
+const LocalGitSource = require('./local-git-source');
 const CodeReplacementAnalyzer = require('./code-replacement-analyzer');
-const GitHubIntegration = require('./github-integration');
+const { parseUnifiedDiff } = require('./change-set');
+const { ArchiveError } = require('./safe-extract');
+const { getWorkspaces, WorkspaceQuotaError } = require('./workspace-manager');
+const { getCache } = require('./analysis-cache');
 
-const upload = multer({ dest: 'uploads/' });
-const analyzer = new CodeAnalyzer();
-const enhancedAnalyzer = new EnhancedAnalyzer();
-const intelligentAnalyzer = new IntelligentCodeAnalyzer();
-const deepAnalyzer = new DeepCodeAnalyzer();
-const advancedAnalyzer = new AdvancedCodeAnalyzer();
-const replacementAnalyzer = new CodeReplacementAnalyzer();
-const github = new GitHubIntegration();
+const workspaces = getWorkspaces();
+const upload = multer({ dest: workspaces.incomingDir, preservePath: true, limits: uploadHandler.LIMITS });
+const pipeline = new AnalysisPipeline();
+const localGit = new LocalGitSource();
+const ruleEngine = new CodeReplacementAnalyzer().ruleEngine;
 
-// Store progress for legacy endpoint
-const legacyProgress = new Map();
-
-app.get('/api/legacy-progress/:id', (req, res) => {
-  const progress = legacyProgress.get(req.params.id) || { progress: 0, stage: 'Startar...' };
-  res.json(progress);
-});
+// Rejected archives are the client's fault and come with a code the UI can explain
+function errorStatus(err) {
+  if (err instanceof ArchiveError) return 400;
+  if (err instanceof WorkspaceQuotaError) return 507;
+  if (err instanceof SourceProviderError) return err.status;
+  return 500;
+}
 
-app.post('/upload', upload.single('zipfile'), async (req, res) => {
+app.post('/upload', upload.fields(uploadHandler.FIELDS), async (req, res) => {
   const analysisId = Date.now().toString();
+  const source = uploadHandler.uploadSource(req.files, req.body);
   
-  try {
-    legacyProgress.set(analysisId, { progress: 10, stage: 'Extraherar filer...' });
-    const projectPath = await uploadHandler(req.file.path);
-    
-    legacyProgress.set(analysisId, { progress: 30, stage: 'Skannar projekt...' });
-    const scanResult = await scanProject(projectPath);
-    
-    // Try replacement analyzer first, then fallback
-    let analysis;
+  if (!source) {
+    return res.status(400).json({ success: false, error: 'Ladda upp ett arkiv (ZIP, tar eller tar.gz) eller en mapp' });
+  }
+  
+  // An optional unified diff turns on pull-request mode
+  let changeSet = null;
+  if (req.body && req.body.diff) {
     try {
-      legacyProgress.set(analysisId, { progress: 50, stage: 'Analyserar kodmönster...' });
-      analysis = await replacementAnalyzer.analyzeCodeForReplacements(projectPath, scanResult);
-      console.log('✅ Using code replacement analysis');
-    } catch (error) {
-      console.log('🔄 Advanced analyzer failed, trying deep:', error.message);
-      try {
-        legacyProgress.set(analysisId, { progress: 60, stage: 'Djupanalys...' });
-        analysis = await deepAnalyzer.performDeepAnalysis(projectPath, scanResult);
-        console.log('✅ Using deep code analysis');
-      } catch (error2) {
-        console.log('🔄 Deep analyzer failed, trying intelligent:', error2.message);
-        try {
-          legacyProgress.set(analysisId, { progress: 70, stage: 'Intelligent analys...' });
-          analysis = await intelligentAnalyzer.analyzeCodeIntelligently(projectPath, scanResult);
-          console.log('✅ Using intelligent analysis');
-        } catch (error3) {
-          console.log('🔄 Intelligent analyzer failed, trying enhanced:', error3.message);
-          try {
-            legacyProgress.set(analysisId, { progress: 80, stage: 'Förbättrad analys...' });
-            analysis = await enhancedAnalyzer.analyzeProjectAdvanced(projectPath, scanResult);
-            console.log('✅ Using enhanced analysis');
-          } catch (error4) {
-            console.log('🔄 Enhanced analyzer failed, using basic:', error4.message);
-            legacyProgress.set(analysisId, { progress: 90, stage: 'Grundanalys...' });
-            analysis = analyzer.analyzeProject(projectPath, scanResult);
-            console.log('✅ Using basic analysis');
-          }
-        }
-      }
+      changeSet = parseUnifiedDiff(req.body.diff);
+    } catch (err) {
+      workspaces.discardUploads(req.files);
+      return res.status(400).json({ success: false, error: err.message });
     }
-    
-    legacyProgress.set(analysisId, { progress: 100, stage: 'Klar!' });
+  }
+  
+  try {
+    const analysis = await workspaces.run(async workspace => {
+      const projectPath = await uploadHandler(source, workspace);
+      workspaces.discardUploads(req.files);
+      
+      const codebase = new Codebase(projectPath);
+      const scanResult = await scanProject(projectPath, codebase);
+      
+      return pipeline.run(projectPath, scanResult, { codebase, changeSet });
+    });
     
     res.json({
       success: true,
@@ -168,22 +231,22 @@ app.post('/upload', upload.single('zipfile'), async (req, res) => {
       ...analysis,
       timestamp: new Date().toISOString()
     });
-    
-    // Clean up progress after 5 minutes
-    setTimeout(() => legacyProgress.delete(analysisId), 5 * 60 * 1000);
   } catch (err) {
-    legacyProgress.set(analysisId, { progress: 100, stage: 'Fel uppstod' });
-    res.status(500).json({ 
+    res.status(errorStatus(err)).json({ 
       success: false, 
       error: err.message,
+      code: err.code,
+      details: err.details,
       analysisId
     });
+  } finally {
+    workspaces.discardUploads(req.files);
   }
-});
+}, uploadHandler.limitError);
 
 app.post('/analyze-github', async (req, res) => {
   try {
-    const { repoUrl } = req.body;
+    const { repoUrl, baseRef, headRef } = req.body;
     
     if (!repoUrl) {
       return res.status(400).json({
@@ -191,54 +254,119 @@ app.post('/analyze-github', async (req, res) => {
         error: 'Repository URL krävs'
       });
     }
+    if (!!baseRef !== !!headRef) {
+      return res.status(400).json({
+        success: false,
+        error: 'Både baseRef och headRef krävs för pull request-läge'
+      });
+    }
 
-    const { projectPath, repoInfo } = await github.analyzeFromGitHub(repoUrl);
-    const scanResult = await scanProject(projectPath);
+    // GitHub, GitLab, Bitbucket or Gitea, by the URL's host. Anonymous requests get no token and
+    // only reach public repositories. Signed in, GitHub uses the user's own token and the other
+    // hosts their configured one (undefined).
+    const provider = sources.forUrl(repoUrl);
+    if (baseRef && !provider.supportsPullRequests) throw provider.unsupportedPullRequestError();
+    let token = null;
+    if (req.user) {
+      token = provider.name === 'github' ? await githubTokens.get(req.user.userId) : undefined;
+    }
     
-    // Use same analyzer chain as upload - try replacement analyzer first
-    let analysis;
-    try {
-      analysis = await replacementAnalyzer.analyzeCodeForReplacements(projectPath, scanResult);
-      console.log('✅ Using code replacement analysis for GitHub');
-    } catch (error) {
-      console.log('🔄 Replacement analyzer failed, trying deep:', error.message);
-      try {
-        analysis = await deepAnalyzer.performDeepAnalysis(projectPath, scanResult);
-        console.log('✅ Using deep code analysis for GitHub');
-      } catch (error2) {
-        console.log('🔄 Deep analyzer failed, trying intelligent:', error2.message);
-        try {
-          analysis = await intelligentAnalyzer.analyzeCodeIntelligently(projectPath, scanResult);
-          console.log('✅ Using intelligent analysis for GitHub');
-        } catch (error3) {
-          console.log('🔄 Intelligent analyzer failed, trying enhanced:', error3.message);
-          try {
-            analysis = await enhancedAnalyzer.analyzeProjectAdvanced(projectPath, scanResult);
-            console.log('✅ Using enhanced analysis for GitHub');
-          } catch (error4) {
-            console.log('🔄 Enhanced analyzer failed, using basic:', error4.message);
-            analysis = analyzer.analyzeProject(projectPath, scanResult);
-            console.log('✅ Using basic analysis for GitHub');
-          }
-        }
+    const { repoInfo, analysis } = await workspaces.run(async workspace => {
+      let projectPath;
+      let repoInfo;
+      let changeSet = null;
+      if (baseRef) {
+        const pullRequest = await provider.analyzePullRequest(repoUrl, baseRef, headRef, workspace, { token });
+        ({ projectPath, repoInfo } = pullRequest);
+        changeSet = { ...parseUnifiedDiff(pullRequest.diff), refs: { base: baseRef, head: headRef } };
+      } else {
+        ({ projectPath, repoInfo } = await provider.analyzeRepository(repoUrl, null, workspace, { token }));
       }
+      const codebase = new Codebase(projectPath);
+      const scanResult = await scanProject(projectPath, codebase);
+      
+      return { repoInfo, analysis: await pipeline.run(projectPath, scanResult, { codebase, changeSet }) };
+    });
+    
+    res.json({
+      success: true,
+      source: provider.name,
+      repoInfo,
+      ...analysis,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ 
+      success: false, 
+      error: err.message,
+      code: err.code,
+      details: err.details
+    });
+  }
+});
+
+app.post('/analyze-local', async (req, res) => {
+  try {
+    const { repoPath, ref = 'HEAD', baseRef } = req.body;
+    
+    if (!repoPath || !localGit.isLocalLocation(repoPath)) {
+      return res.status(400).json({
+        success: false,
+        error: 'En absolut sökväg eller file://-URL till ett git-repository krävs'
+      });
     }
     
+    const { commitSha, repoInfo, analysis } = await workspaces.run(async workspace => {
+      const { projectPath, commitSha, diff, repoInfo } = await localGit.checkout(repoPath, ref, baseRef, workspace);
+      const changeSet = diff !== null ? { ...parseUnifiedDiff(diff), refs: { base: baseRef, head: ref } } : null;
+      const codebase = new Codebase(projectPath);
+      const scanResult = await scanProject(projectPath, codebase);
+      
+      return { commitSha, repoInfo, analysis: await pipeline.run(projectPath, scanResult, { codebase, changeSet }) };
+    });
+    
     res.json({
       success: true,
-      source: 'github',
+      source: 'local-git',
       repoInfo,
+      commitSha,
       ...analysis,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
-    res.status(500).json({ 
+    res.status(errorStatus(err)).json({ 
       success: false, 
-      error: err.message 
+      error: err.message,
+      code: err.code
     });
   }
 });
 
+// Validates .arkitekt/rules files before they are committed: { files: [{ name, content }] }
+app.post('/validate-rules', (req, res) => {
+  const { files } = req.body || {};
+  
+  if (!Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Minst en regelfil krävs'
+    });
+  }
+  
+  const entries = files.map((file, index) => ({
+    name: file && file.name ? String(file.name) : `rules-${index + 1}.json`,
+    content: file ? file.content : undefined
+  }));
+  const result = ruleEngine.validateRuleFiles(entries);
+  
+  res.json({
+    success: true,
+    valid: result.errors.length === 0,
+    ruleCount: result.rules.length,
+    files: result.files
+  });
+});
+
 app.get('/api-catalog', (req, res) => {
   const catalog = require('./improvements-catalog.json');
   res.json(catalog.apis);
@@ -280,6 +408,19 @@ app.get('/health', (req, res) => {
 
 const PORT = process.env.PORT || 8080;
 
+// Workspaces left behind by a crash or restart are never released otherwise. Recent ones may
+// still be in use by another instance, so they're looked at again later.
+workspaces.sweep();
+setInterval(() => {
+  try {
+    workspaces.sweep();
+  } catch (error) {
+    console.error('❌ Kunde inte rensa uploads/:', error.message);
+  }
+}, workspaces.maxAge).unref();
+// Cached per-file results nobody has used for a while
+getCache().prune();
+
 app.listen(PORT, () => {
   console.log(`🏗️ AI-Arkitekt server running on port ${PORT}`);
   console.log('📁 Legacy upload: POST /upload');
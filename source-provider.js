@@ -0,0 +1,376 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { extractArchive, ArchiveError, DEFAULT_LIMITS } = require('./safe-extract');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Error responses are only read for the host's message
+const MAX_ERROR_BODY = 64 * 1024;
+// Successful API responses and diffs are read whole, up to these sizes
+const MAX_API_BODY = 8 * 1024 * 1024;
+const MAX_DIFF_BODY = 32 * 1024 * 1024;
+
+// A failed call to a repository host, with a code and an HTTP status to respond with, so the
+// client can tell a missing repository from missing access. The code starts with the host's
+// name, e.g. GITHUB_NOT_FOUND or GITEA_RATE_LIMITED.
+class SourceProviderError extends Error {
+  constructor(code, message, status = 502) {
+    super(message);
+    this.name = 'SourceProviderError';
+    this.code = code;
+    this.status = status;
+  }
+
+  // Rate limits and outages pass; a missing repository or missing access doesn't
+  get retryable() {
+    return this.code.endsWith('_RATE_LIMITED') || this.code.endsWith('_UNAVAILABLE');
+  }
+}
+
+// Common base for GitHub, GitLab, Bitbucket and Gitea. A host says where it is (baseUrl for
+// repository URLs, apiUrl for the API) and implements parseRepoUrl, archiveUrl,
+// getRepositoryInfo and listUserRepos; downloading, extracting and error handling are shared.
+// http:// works too, for self-hosted instances without TLS and local test servers.
+class SourceProvider {
+  constructor({ name, label, baseUrl, apiUrl, token = null, tokenEnv }) {
+    this.name = name;
+    this.label = label;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.token = token;
+    this.tokenEnv = tokenEnv;
+    this.accept = 'application/json';
+    this.maxApiBody = MAX_API_BODY;
+    this.maxDiffBody = MAX_DIFF_BODY;
+    // The token only goes to the host's own addresses, never on after a redirect
+    this.authHosts = new Set([new URL(this.baseUrl).host, new URL(this.apiUrl).host]);
+  }
+
+  get errorPrefix() {
+    return this.name.toUpperCase();
+  }
+
+  // Where a token comes from, for error messages
+  get credentialsHint() {
+    return this.tokenEnv;
+  }
+
+  authorization(token) {
+    return `Bearer ${token}`;
+  }
+
+  // The path of repoUrl below baseUrl as segments, or null when the URL belongs to another host
+  repoPath(repoUrl) {
+    if (typeof repoUrl !== 'string') return null;
+
+    let url;
+    try {
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(repoUrl) ? repoUrl : `https://${repoUrl}`);
+    } catch (error) {
+      return null;
+    }
+
+    const base = new URL(this.baseUrl);
+    const prefix = base.pathname.replace(/\/$/, '');
+    if (url.host !== base.host || (prefix && !url.pathname.startsWith(`${prefix}/`))) {
+      return null;
+    }
+    return url.pathname.slice(prefix.length).split('/').filter(Boolean).map(decodeURIComponent);
+  }
+
+  matches(repoUrl) {
+    return this.repoPath(repoUrl) !== null;
+  }
+
+  // owner/repo, the first two segments of the path
+  parseRepoUrl(repoUrl) {
+    const segments = this.repoPath(repoUrl);
+    if (!segments || segments.length < 2) {
+      throw new SourceProviderError(`${this.errorPrefix}_INVALID_URL`, `Ogiltig ${this.label} URL`, 400);
+    }
+    const [owner, repo] = segments;
+    const name = repo.replace(/\.git$/, '');
+    return { owner, repo: name, fullName: `${owner}/${name}` };
+  }
+
+  // The response once the status is 2xx, after following redirects. body is sent as JSON.
+  request(url, { token = this.token, accept = this.accept, what, method = 'GET', body }, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const headers = { 'User-Agent': 'AI-Arkitekt', Accept: accept };
+      if (token && this.authHosts.has(target.host)) {
+        headers.Authorization = this.authorization(token);
+      }
+      const payload = body === undefined ? null : JSON.stringify(body);
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const transport = target.protocol === 'http:' ? http : https;
+      const req = transport.request(target, { method, headers }, response => {
+        if (REDIRECT_STATUSES.includes(response.statusCode)) {
+          response.resume();
+          if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+            return reject(new SourceProviderError(`${this.errorPrefix}_ERROR`, `${this.label} skickade en ogiltig omdirigering för ${what}`));
+          }
+          const next = new URL(response.headers.location, target).toString();
+          return resolve(this.request(next, { token, accept, what, method, body }, redirects + 1));
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          return readBody(response).then(text => reject(this.statusError(response, text, { token, what })), reject);
+        }
+
+        resolve(response);
+      });
+      req.on('error', error => {
+        reject(new SourceProviderError(`${this.errorPrefix}_UNAVAILABLE`, `Kunde inte nå ${this.label}: ${error.message}`));
+      });
+      req.end(payload);
+    });
+  }
+
+  // The body of a successful response; reading stops with a _TOO_LARGE error as soon as it's
+  // larger than maxBytes
+  async readResponse(response, maxBytes, what) {
+    const body = await readLimitedBody(response, maxBytes);
+    if (body === null) {
+      throw new SourceProviderError(`${this.errorPrefix}_TOO_LARGE`, `Svaret från ${this.label} för ${what} är för stort (max ${Math.round(maxBytes / 1024 / 1024)} MB)`);
+    }
+    return body;
+  }
+
+  isRateLimited(response) {
+    return response.statusCode === 429;
+  }
+
+  // When the limit lifts: Retry-After in seconds, otherwise a reset time in epoch seconds
+  rateLimitReset(response) {
+    const retryAfter = Number(response.headers['retry-after']);
+    if (retryAfter) return new Date(Date.now() + retryAfter * 1000);
+    const reset = Number(response.headers['x-ratelimit-reset'] || response.headers['ratelimit-reset']);
+    return reset ? new Date(reset * 1000) : null;
+  }
+
+  statusError(response, body, { token, what }) {
+    const status = response.statusCode;
+    const prefix = this.errorPrefix;
+    const message = errorMessage(body);
+
+    if (status === 401) {
+      return new SourceProviderError(`${prefix}_UNAUTHORIZED`, `${this.label}-token är ogiltig eller har gått ut, kontrollera ${this.credentialsHint}`, 401);
+    }
+    if (this.isRateLimited(response)) {
+      const reset = this.rateLimitReset(response);
+      const when = reset ? ` efter ${reset.toLocaleTimeString('sv-SE')}` : ' senare';
+      return new SourceProviderError(`${prefix}_RATE_LIMITED`, `${this.label}s gräns för API-anrop är nådd, försök igen${when}`, 429);
+    }
+    if (status === 403) {
+      return new SourceProviderError(`${prefix}_FORBIDDEN`, `Saknar behörighet till ${what}${message ? `: ${message}` : ''}`, 403);
+    }
+    if (status === 404) {
+      // The hosts answer 404, not 403, for private repositories the token can't see
+      return new SourceProviderError(`${prefix}_NOT_FOUND`, token
+        ? `Hittade inte ${what}, eller så har ditt ${this.label}-konto inte åtkomst till det`
+        : `Hittade inte ${what}. Privata repositoryn kräver ${this.credentialsHint}`, 404);
+    }
+    if (status >= 500) {
+      return new SourceProviderError(`${prefix}_UNAVAILABLE`, `${this.label} svarade med ett serverfel (status ${status})`);
+    }
+    return new SourceProviderError(`${prefix}_ERROR`, `${this.label}-anropet för ${what} misslyckades (status ${status})${message ? `: ${message}` : ''}`);
+  }
+
+  // Empty responses, e.g. 204, are null. maxBytes defaults to the limit for API responses.
+  async getJson(url, { maxBytes = this.maxApiBody, ...options } = {}) {
+    const response = await this.request(url, options);
+    const body = await this.readResponse(response, maxBytes, options.what);
+    return body ? JSON.parse(body) : null;
+  }
+
+  // URL of ref as a .tar.gz
+  archiveUrl(repo, ref) {
+    throw new Error(`${this.label} saknar archiveUrl`);
+  }
+
+  // Downloads ref as a tarball through the host, so private repositories work with a token. The
+  // download stops as soon as it's larger than what could be extracted anyway.
+  async downloadRepository(repoUrl, ref = 'main', workspace, { token } = {}) {
+    const repo = this.parseRepoUrl(repoUrl);
+    const response = await this.request(this.archiveUrl(repo, ref), {
+      token,
+      accept: '*/*',
+      what: `${repo.fullName}@${ref}`
+    });
+
+    const maxBytes = Math.min(DEFAULT_LIMITS.maxTotalSize, workspace.available());
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          return callback(new ArchiveError('TOO_LARGE', `Repositoryt är för stort att ladda ner (max ${Math.round(maxBytes / 1024 / 1024)} MB)`, {
+            limit: maxBytes
+          }));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    const archivePath = workspace.path(`${repo.fullName.replace(/\//g, '-')}.tar.gz`);
+    await pipeline(response, limit, fs.createWriteStream(archivePath));
+    return archivePath;
+  }
+
+  async extractRepository(archivePath, workspace) {
+    const maxTotalSize = Math.min(DEFAULT_LIMITS.maxTotalSize, workspace.available());
+    const extractPath = extractArchive(archivePath, workspace.path('source'), { maxTotalSize });
+
+    // Every host puts everything in one folder, e.g. owner-repo-sha on GitHub
+    const contents = fs.readdirSync(extractPath);
+    const projectDir = contents.find(item =>
+      fs.statSync(path.join(extractPath, item)).isDirectory()
+    );
+
+    if (projectDir) {
+      return path.join(extractPath, projectDir);
+    }
+
+    return extractPath;
+  }
+
+  // The commit SHA ref points at, so the archive and the results belong to the same commit even
+  // if the branch moves in the meantime. null where the host doesn't need it.
+  async resolveCommit(repoUrl, ref, options) {
+    return null;
+  }
+
+  // { name, description, language, stars, forks, size, topics, defaultBranch, private, provider }
+  async getRepositoryInfo(repoUrl, options) {
+    throw new Error(`${this.label} saknar getRepositoryInfo`);
+  }
+
+  // Repositories the token has access to, most recently changed first:
+  // [{ id, name, fullName, description, private, url, defaultBranch }]
+  async listUserRepos(options) {
+    throw new Error(`${this.label} saknar listUserRepos`);
+  }
+
+  // Hosts without fetchCompareDiff can't be scanned in pull-request mode
+  get supportsPullRequests() {
+    return this.fetchCompareDiff !== SourceProvider.prototype.fetchCompareDiff;
+  }
+
+  unsupportedPullRequestError() {
+    return new SourceProviderError(`${this.errorPrefix}_UNSUPPORTED`, `Pull request-läge stöds inte för ${this.label}`, 400);
+  }
+
+  // Unified diff between two refs, the same format as git diff
+  async fetchCompareDiff(repoUrl, baseRef, headRef, options) {
+    throw this.unsupportedPullRequestError();
+  }
+
+  // Pull-request mode: the whole head version for context plus the diff against base
+  async analyzePullRequest(repoUrl, baseRef, headRef, workspace, { token } = {}) {
+    try {
+      const diff = await this.fetchCompareDiff(repoUrl, baseRef, headRef, { token: token === undefined ? this.token : token });
+      const { projectPath, repoInfo, commitSha } = await this.analyzeRepository(repoUrl, headRef, workspace, { token });
+
+      return {
+        projectPath,
+        repoInfo,
+        commitSha,
+        diff
+      };
+    } catch (error) {
+      if (error instanceof ArchiveError || error instanceof SourceProviderError) throw error;
+      throw new Error(`Pull request-analys misslyckades: ${error.message}`);
+    }
+  }
+
+  // Downloads into workspace; the caller owns it and removes it when the analysis is done.
+  // token replaces the host's own, e.g. the signed-in user's GitHub token; null means no token
+  // at all, so only public repositories can be read.
+  async analyzeRepository(repoUrl, ref = null, workspace, { token } = {}) {
+    const options = { token: token === undefined ? this.token : token };
+    try {
+      // Repository info
+      const repoInfo = await this.getRepositoryInfo(repoUrl, options);
+
+      // Download and extract, the default branch when no ref was given
+      const resolvedRef = ref || repoInfo.defaultBranch || 'main';
+      const commitSha = await this.resolveCommit(repoUrl, resolvedRef, options);
+      const archivePath = await this.downloadRepository(repoUrl, commitSha || resolvedRef, workspace, options);
+      const projectPath = await this.extractRepository(archivePath, workspace);
+
+      // The archive isn't needed once extracted
+      fs.unlinkSync(archivePath);
+
+      return {
+        projectPath,
+        repoInfo,
+        commitSha
+      };
+    } catch (error) {
+      if (error instanceof ArchiveError || error instanceof SourceProviderError) throw error;
+      throw new Error(`${this.label}-integration misslyckades: ${error.message}`);
+    }
+  }
+}
+
+function readBody(response, maxBytes = MAX_ERROR_BODY) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    response.on('data', chunk => {
+      if (size < maxBytes) chunks.push(chunk);
+      size += chunk.length;
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+// Like readBody, but resolves to null and stops reading once the body is larger than maxBytes
+function readLimitedBody(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    response.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        return resolve(null);
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+// The error message in a JSON response: { message } on GitHub and Gitea, { error: { message } }
+// on Bitbucket, { message } or { error } on GitLab
+function errorMessage(body) {
+  try {
+    const data = JSON.parse(body);
+    const message = data.message || (data.error && data.error.message) || data.error || '';
+    return typeof message === 'string' ? message : JSON.stringify(message);
+  } catch (error) {
+    // Not every error response is JSON
+    return '';
+  }
+}
+
+// A branch with slashes, e.g. feature/x, as a path
+function encodeRef(ref) {
+  return ref.split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports = SourceProvider;
+module.exports.SourceProviderError = SourceProviderError;
+module.exports.readBody = readBody;
+module.exports.encodeRef = encodeRef;
@@ -0,0 +1,38 @@
+const GitHubIntegration = require('./github-integration');
+const GitLabIntegration = require('./gitlab-integration');
+const BitbucketIntegration = require('./bitbucket-integration');
+const GiteaIntegration = require('./gitea-integration');
+const { SourceProviderError } = require('./source-provider');
+
+// The hosts repoUrl can point at. GitHub, GitLab and Bitbucket are always there (GITHUB_URL and
+// GITLAB_URL switch to a self-hosted instance); Gitea only when GITEA_URL is set.
+function defaultProviders(env = process.env) {
+  const providers = [new GitHubIntegration(), new GitLabIntegration(), new BitbucketIntegration()];
+  if (env.GITEA_URL) {
+    providers.push(new GiteaIntegration());
+  }
+  return providers;
+}
+
+// Picks the host by repoUrl
+class SourceProviders {
+  constructor(providers = defaultProviders()) {
+    this.providers = providers;
+  }
+
+  get(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  forUrl(repoUrl) {
+    const provider = this.providers.find(candidate => candidate.matches(repoUrl));
+    if (!provider) {
+      const supported = this.providers.map(candidate => new URL(candidate.baseUrl).host).join(', ');
+      throw new SourceProviderError('SOURCE_UNSUPPORTED_HOST', `Repositoryt ligger inte på en värd som stöds (${supported})`, 400);
+    }
+    return provider;
+  }
+}
+
+module.exports = SourceProviders;
+module.exports.defaultProviders = defaultProviders;
@@ -0,0 +1,89 @@
+const { fingerprintLocation } = require('./fingerprint');
+
+const BASELINE_FILE = '.arkitekt-baseline.json';
+
+// "// arkitekt-ignore sql_injection,unvalidated_input reason" or "# arkitekt-ignore ..." in Python/Ruby
+const IGNORE_COMMENT = /(?:\/\/|\/\*|#)\s*arkitekt-ignore\s+([\w.,*-]+)(?:\s+(.*?))?\s*(?:\*\/)?\s*$/;
+
+// Decides whether a finding is accepted by the team: either an arkitekt-ignore comment on the
+// same line or the line above, or an entry in the committed .arkitekt-baseline.json:
+//
+//   { "findings": [{ "fingerprint": "3f9c0e2b7a1d4c58", "rule": "sql_injection", "file": "/db.js", "reason": "..." }] }
+class Suppressions {
+  constructor(codebase) {
+    this.codebase = codebase;
+    this.baseline = this.loadBaseline(codebase);
+    this.inlineByFile = new Map();
+  }
+
+  loadBaseline(codebase) {
+    const baseline = new Map();
+    const content = codebase.read(`/${BASELINE_FILE}`);
+    if (content === null) return baseline;
+
+    try {
+      const data = JSON.parse(content);
+      (data.findings || []).forEach(entry => {
+        if (entry && entry.fingerprint) baseline.set(entry.fingerprint, entry);
+      });
+    } catch (error) {
+      console.log(`⚠️ Could not read ${BASELINE_FILE}: ${error.message}`);
+    }
+    return baseline;
+  }
+
+  // Ignore comments per line number, parsed once per file
+  getInlineSuppressions(file, content) {
+    if (!this.inlineByFile.has(file)) {
+      const byLine = new Map();
+      content.split('\n').forEach((line, index) => {
+        const match = line.match(IGNORE_COMMENT);
+        if (!match) return;
+
+        const entry = { rules: match[1].split(',').filter(Boolean), reason: match[2] || '' };
+        byLine.set(index + 1, entry);
+
+        // A comment on its own line covers the next line
+        if (line.trim().match(/^(\/\/|\/\*|#)/)) byLine.set(index + 2, entry);
+      });
+      this.inlineByFile.set(file, byLine);
+    }
+    return this.inlineByFile.get(file);
+  }
+
+  // Returns { kind, reason, fingerprint } when the finding is suppressed, otherwise null
+  check(ruleId, file, content, line) {
+    const inline = line > 0 && this.getInlineSuppressions(file, content).get(line);
+    if (inline && inline.rules.some(rule => rule === ruleId || rule === '*')) {
+      return { kind: 'inline', reason: inline.reason, fingerprint: this.fingerprint(ruleId, file, content, line) };
+    }
+
+    // Fingerprints cost a pass over the file, skip them when there is no baseline
+    if (this.baseline.size === 0) return null;
+
+    const fingerprint = this.fingerprint(ruleId, file, content, line);
+    const accepted = this.baseline.get(fingerprint);
+    return accepted ? { kind: 'baseline', reason: accepted.reason || '', fingerprint } : null;
+  }
+
+  // The analyzers have already parsed the file, so this hits the codebase's parse cache
+  fingerprint(ruleId, file, content, line) {
+    const parsed = this.codebase.parse(file);
+    return fingerprintLocation({ rule: ruleId, file, content, line, parsed });
+  }
+
+  describe(ruleId, file, line, suppression) {
+    return {
+      rule: ruleId,
+      file,
+      line,
+      kind: suppression.kind,
+      reason: suppression.reason,
+      fingerprint: suppression.fingerprint
+    };
+  }
+}
+
+Suppressions.BASELINE_FILE = BASELINE_FILE;
+
+module.exports = Suppressions;
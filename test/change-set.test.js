@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnifiedDiff, scopeToChangeSet } = require('../change-set');
+
+// { path: [status, changed lines] } for every file in a parsed diff
+function summarize(diff) {
+  const files = {};
+  parseUnifiedDiff(diff).files.forEach((file, filePath) => {
+    files[filePath] = [file.status, Array.from(file.changedLines).sort((a, b) => a - b)];
+  });
+  return files;
+}
+
+test('diffs are parsed into changed files and the new side\'s changed lines', () => {
+  const cases = [
+    ['hunk header offsets', [
+      'diff --git a/src/app.js b/src/app.js',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -10,4 +10,5 @@ function start() {',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      ' const d = 5;',
+      ' const e = 6;',
+      '@@ -40 +41 @@',
+      '-old();',
+      '+updated();'
+    ], { 'src/app.js': ['modified', [11, 12, 41]] }],
+
+    ['a removed line that looks like a header', [
+      'diff --git a/a.js b/a.js',
+      '--- a/a.js',
+      '+++ b/a.js',
+      '@@ -1,2 +1,2 @@',
+      '--- comment',
+      '+++ comment',
+      ' end();'
+    ], { 'a.js': ['modified', [1]] }],
+
+    ['new file', [
+      'diff --git a/new.js b/new.js',
+      'new file mode 100644',
+      'index 0000000..e69de29',
+      '--- /dev/null',
+      '+++ b/new.js',
+      '@@ -0,0 +1,2 @@',
+      '+one();',
+      '+two();'
+    ], { 'new.js': ['added', [1, 2]] }],
+
+    ['deleted file', [
+      'diff --git a/gone.js b/gone.js',
+      'deleted file mode 100644',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-gone();',
+      'diff --git a/kept.js b/kept.js',
+      '--- a/kept.js',
+      '+++ b/kept.js',
+      '@@ -1 +1 @@',
+      '-a();',
+      '+b();'
+    ], { 'kept.js': ['modified', [1]] }],
+
+    ['pure rename', [
+      'diff --git a/old/name.js b/new/name.js',
+      'similarity index 100%',
+      'rename from old/name.js',
+      'rename to new/name.js'
+    ], { 'new/name.js': ['renamed', []] }],
+
+    ['rename with changes', [
+      'diff --git a/old.js b/new.js',
+      'similarity index 80%',
+      'rename from old.js',
+      'rename to new.js',
+      '--- a/old.js',
+      '+++ b/new.js',
+      '@@ -3 +3 @@',
+      '-before();',
+      '+after();'
+    ], { 'new.js': ['renamed', [3]] }],
+
+    ['plain diff -u without git headers', [
+      '--- src/a.js\t2024-01-01 10:00:00',
+      '+++ src/a.js\t2024-01-02 10:00:00',
+      '@@ -1 +1,2 @@',
+      ' keep();',
+      '+add();',
+      '--- src/b.js',
+      '+++ src/b.js',
+      '@@ -5 +5 @@',
+      '-x();',
+      '+y();'
+    ], { 'src/a.js': ['modified', [2]], 'src/b.js': ['modified', [5]] }]
+  ];
+
+  cases.forEach(([name, lines, expected]) => {
+    assert.deepEqual(summarize(lines.join('\n')), expected, name);
+  });
+});
+
+test('a diff without changed files is an error', () => {
+  assert.throws(() => parseUnifiedDiff(''), /inga ändrade filer/);
+  assert.throws(() => parseUnifiedDiff([
+    'diff --git a/gone.js b/gone.js',
+    '--- a/gone.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-gone();'
+  ].join('\n')), /inga ändrade filer/);
+});
+
+test('suggestions are split by whether they are on changed lines, in changed files or outside', () => {
+  const changeSet = parseUnifiedDiff([
+    'diff --git a/src/db.js b/src/db.js',
+    '--- a/src/db.js',
+    '+++ b/src/db.js',
+    '@@ -10 +10 @@',
+    '-query(a);',
+    '+query(a + b);'
+  ].join('\n'));
+
+  const suggestion = (id, ...locations) => ({
+    id,
+    affectedFiles: locations.map(([file, lineNumber]) => ({ file, lineNumber }))
+  });
+  const scoped = scopeToChangeSet([
+    suggestion('introduced', ['/src/db.js', 10], ['/src/db.js', 40]),
+    suggestion('pre-existing', ['src\\db.js', 40]),
+    suggestion('elsewhere', ['/src/other.js', 10]),
+    suggestion('nowhere')
+  ], changeSet);
+
+  assert.deepEqual(scoped.introduced.map(entry => [entry.id, entry.change, entry.affectedFiles.map(file => file.lineNumber)]), [
+    ['introduced', 'introduced', [10]]
+  ]);
+  assert.deepEqual(scoped.preExisting.map(entry => [entry.id, entry.change, entry.affectedFiles.map(file => file.lineNumber)]), [
+    ['pre-existing', 'pre-existing', [40]]
+  ]);
+  assert.equal(scoped.outOfScope, 2);
+  assert.deepEqual(scoped.changedFiles, [{ path: 'src/db.js', status: 'modified', changedLines: 1 }]);
+});
@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const GitHubIntegration = require('../github-integration');
+const CheckPublisher = require('../check-publisher');
+
+const SHA = 'b'.repeat(40);
+
+// A local stand-in for the GitHub API; routes are keyed by "METHOD /path?query"
+let routes;
+let requests;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ route: `${req.method} ${req.url}`, body: body ? JSON.parse(body) : null });
+    const route = routes[`${req.method} ${req.url}`];
+    res.writeHead(route ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(route || { message: 'Not Found' }));
+  });
+});
+let publisher;
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const github = new GitHubIntegration({ baseUrl: url, apiUrl: `${url}/api`, token: null });
+  // Installation tokens are GitHubApp's business, not what's tested here
+  const app = { configured: true, appId: '7', github, installationToken: async () => 'installation-token' };
+  publisher = new CheckPublisher({ app });
+});
+
+test('a scan creates a check run on the commit', async () => {
+  routes['POST /api/repos/acme/app/check-runs'] = { id: 11, html_url: 'https://github.test/runs/11' };
+
+  const check = await publisher.start(publisher.target({ repoUrl: `http://127.0.0.1:${server.address().port}/acme/app` }), SHA, 'scan-1');
+  assert.equal(check.id, 11);
+  const created = requests.find(request => request.route === 'POST /api/repos/acme/app/check-runs');
+  assert.equal(created.body.name, 'AI-Arkitekt');
+  assert.equal(created.body.head_sha, SHA);
+  assert.equal(created.body.external_id, 'scan-1');
+});
+
+test('a re-scan of the same commit gets a new run, so old annotations don\'t carry over', async () => {
+  routes['POST /api/repos/acme/app/check-runs'] = { id: 12, html_url: 'https://github.test/runs/12' };
+  routes['PATCH /api/repos/acme/app/check-runs/12'] = { id: 12 };
+  const repo = publisher.target({ repoUrl: `http://127.0.0.1:${server.address().port}/acme/app` });
+
+  const check = await publisher.start(repo, SHA, 'scan-2');
+  await publisher.complete(check, [{
+    title: 'SQL injection', impact: 'high', status: 'open',
+    code_pointers: [{ file: '/db.js', lineStart: 3 }]
+  }]);
+
+  assert.deepEqual(requests.map(request => request.route), [
+    'POST /api/repos/acme/app/check-runs',
+    'PATCH /api/repos/acme/app/check-runs/12'
+  ]);
+  assert.equal(requests[1].body.conclusion, 'failure');
+  assert.deepEqual(requests[1].body.output.annotations.map(annotation => annotation.path), ['db.js']);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listProjectFiles, parseIgnoreRules, isIgnored } = require('../file-walker');
+
+test('ignore rules follow .gitignore syntax', () => {
+  // [rules, base of the ignore file, path, is a directory, ignored]
+  const cases = [
+    [['*.log'], '', 'logs/debug.log', false, true],
+    [['*.log', '!keep.log'], '', 'logs/keep.log', false, false],
+    [['!keep.log', '*.log'], '', 'logs/keep.log', false, true],
+    [['build/'], '', 'src/build', true, true],
+    [['build/'], '', 'src/build', false, false],
+    [['/tmp'], '', 'tmp', true, true],
+    [['/tmp'], '', 'src/tmp', true, false],
+    [['docs/*.md'], '', 'docs/intro.md', false, true],
+    [['docs/*.md'], '', 'docs/guide/intro.md', false, false],
+    [['**/fixtures'], '', 'fixtures', true, true],
+    [['**/fixtures'], '', 'test/unit/fixtures', true, true],
+    [['file?.js'], '', 'file1.js', false, true],
+    [['file[0-9].js'], '', 'filea.js', false, false],
+    [['\\#notes', '\\!important'], '', '#notes', false, true],
+    [['\\#notes', '\\!important'], '', '!important', false, true],
+    [['# comment', '', '   '], '', '# comment', false, false],
+    [['*.tmp'], 'pkg', 'pkg/cache/a.tmp', false, true],
+    [['*.tmp'], 'pkg', 'a.tmp', false, false],
+    [['/out'], 'pkg', 'pkg/out', true, true],
+    [['/out'], 'pkg', 'pkg/sub/out', true, false]
+  ];
+
+  cases.forEach(([lines, base, relativePath, isDirectory, expected]) => {
+    assert.equal(isIgnored(parseIgnoreRules(lines, base), relativePath, isDirectory), expected,
+      `${JSON.stringify(lines)} in "${base}" on ${relativePath}`);
+  });
+});
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-walker-'));
+  const files = {
+    '.gitignore': '*.log\n!important.log\ngenerated/\n',
+    '.arkitekt-ignore': '!build/\n',
+    'app.js': '',
+    'debug.log': '',
+    'important.log': '',
+    'generated/schema.js': '',
+    'src/generated': '',
+    'build/out.js': '',
+    'node_modules/lib/index.js': '',
+    'dist/app.min.js': '',
+    '.cache/entry.js': '',
+    'pkg/.gitignore': '*.js\n!keep.js\n!debug.log\n',
+    'pkg/drop.js': '',
+    'pkg/keep.js': '',
+    'pkg/debug.log': '',
+    'pkg/trace.log': ''
+  };
+  Object.entries(files).forEach(([name, content]) => {
+    const fullPath = path.join(root, name);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  });
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('project files skip ignored paths, with nested ignore files winning over outer ones', () => {
+  const listed = listProjectFiles(root).map(file => file.path).sort();
+
+  // Dot directories are skipped, dotfiles are not
+  assert.deepEqual(listed, [
+    '/.arkitekt-ignore',
+    '/.gitignore',
+    '/app.js',
+    '/build/out.js',
+    '/important.log',
+    '/pkg/.gitignore',
+    '/pkg/debug.log',
+    '/pkg/keep.js',
+    '/src/generated'
+  ]);
+});
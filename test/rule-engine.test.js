@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RuleEngine = require('../rule-engine');
+
+const engine = new RuleEngine({ knownCategories: ['monitoring'] });
+
+function validate(match) {
+  const rule = { id: 'custom', category: 'monitoring', severity: 'low', message: 'Hittat', match };
+  return engine.validateRuleFiles([{ name: 'rules.json', content: JSON.stringify({ rules: [rule] }) }]);
+}
+
+test('patterns that can backtrack exponentially are rejected', () => {
+  const unsafe = [
+    ['^(a|a)*$', /alternativ/],
+    ['(foo|bar)+', /alternativ/],
+    ['((a|b)c){2,}', /alternativ/],
+    ['(?:x|y)+z', /alternativ/],
+    ['(a+)+$', /Nästlade/],
+    ['(\\w*,?){2,}', /Nästlade/],
+    ['(a?)+', /Nästlade/],
+    ['((a+)b)*', /Nästlade/],
+    ['(x)\\1', /Bakåtreferenser/],
+    ['(?<n>a)\\k<n>', /Bakåtreferenser/]
+  ];
+
+  unsafe.forEach(([pattern, message]) => {
+    const result = validate({ code: pattern });
+    assert.equal(result.rules.length, 0, pattern);
+    assert.match(result.errors[0].message, message, pattern);
+    assert.equal(result.errors[0].path, 'rules[0].match.code');
+  });
+});
+
+test('ordinary patterns are accepted', () => {
+  const safe = ['^console\\.log$', '(foo|bar)', '(?:a|b)c', 'a{2,3}(b)*', '[(a+)]+', '\\((a)\\)+', '(ab)+', 'fetch\\(.*\\)'];
+
+  safe.forEach(pattern => {
+    const result = validate({ code: pattern });
+    assert.deepEqual(result.errors, [], pattern);
+    assert.equal(result.rules.length, 1, pattern);
+  });
+});
+
+test('patterns are checked everywhere a rule has one', () => {
+  assert.match(validate({ all: [{ call: '^x$' }, { not: { string: '(a|a)*' } }] }).errors[0].message, /alternativ/);
+  const files = engine.validateRuleFiles([{ name: 'rules.json', content: JSON.stringify({
+    id: 'custom', category: 'monitoring', severity: 'low', message: 'Hittat', match: { code: 'x' }, files: '(a+)+'
+  }) }]);
+  assert.equal(files.errors[0].path, 'rules[0].files');
+  assert.match(validate({ code: '(' }).errors[0].message, /Ogiltigt reguljärt uttryck/);
+});
+
+test('a pattern only sees the start of a long line', () => {
+  const [{ rule, file }] = validate({ code: 'needle' }).rules;
+  const compiled = engine.compileRule(rule, file);
+  const late = `${'x'.repeat(2000)}needle`;
+
+  assert.equal(engine.evaluate(compiled, '/a.js', late, null), null);
+  assert.deepEqual(engine.evaluate(compiled, '/a.js', 'const needle = 1;', null), { line: 1, code: 'const needle = 1;' });
+});
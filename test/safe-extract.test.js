@@ -0,0 +1,184 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractArchive, extractZip, ArchiveError } = require('../safe-extract');
+
+let tmp;
+let count = 0;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-extract-'));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function tmpPath(name) {
+  return path.join(tmp, `${count++}-${name}`);
+}
+
+// A ZIP written by hand, so names, sizes and attributes can be anything an attacker could send.
+// Entries are { name, data, deflate, mode, size } where size overrides the size in the headers.
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data = Buffer.alloc(0), deflate = false, mode = 0o100644, size = data.length }) => {
+    const content = deflate ? zlib.deflateRawSync(data) : data;
+    const fileName = Buffer.from(name);
+    const crc = zlib.crc32 ? zlib.crc32(data) : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, content);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + content.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  const zipPath = tmpPath('archive.zip');
+  fs.writeFileSync(zipPath, Buffer.concat([...locals, directory, end]));
+  return zipPath;
+}
+
+// A ustar archive with { name, data, type } entries; type '2' is a symlink
+function tar(entries) {
+  const blocks = entries.map(({ name, data = Buffer.alloc(0), type = '0' }) => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(type, 156);
+    header.write('ustar\x0000', 257);
+    header.fill(0x20, 148, 156);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+  });
+  const tarPath = tmpPath('archive.tar');
+  fs.writeFileSync(tarPath, Buffer.concat([...blocks, Buffer.alloc(1024)]));
+  return tarPath;
+}
+
+function rejects(code, run) {
+  assert.throws(run, error => {
+    assert.ok(error instanceof ArchiveError, `${error.name}: ${error.message}`);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+test('stored and deflated ZIP entries are extracted', () => {
+  const target = tmpPath('out');
+  extractZip(zip([
+    { name: 'src/', mode: 0o040755 },
+    { name: 'src/app.js', data: Buffer.from("require('express');\n"), deflate: true },
+    { name: 'README.md', data: Buffer.from('# App\n') }
+  ]), target);
+
+  assert.equal(fs.readFileSync(path.join(target, 'src', 'app.js'), 'utf8'), "require('express');\n");
+  assert.equal(fs.readFileSync(path.join(target, 'README.md'), 'utf8'), '# App\n');
+});
+
+test('tar entries are extracted', () => {
+  const target = tmpPath('out');
+  extractArchive(tar([{ name: 'repo/index.js', data: Buffer.from('module.exports = 1;\n') }]), target);
+  assert.equal(fs.readFileSync(path.join(target, 'repo', 'index.js'), 'utf8'), 'module.exports = 1;\n');
+});
+
+test('entries outside the target are rejected before anything is written', () => {
+  const cases = [
+    ['PATH_TRAVERSAL', '../evil.js'],
+    ['PATH_TRAVERSAL', 'src/../../evil.js'],
+    ['PATH_TRAVERSAL', 'src\\..\\..\\evil.js'],
+    ['ABSOLUTE_PATH', '/etc/evil.js'],
+    ['ABSOLUTE_PATH', 'C:\\evil.js']
+  ];
+
+  cases.forEach(([code, name]) => {
+    const target = tmpPath('out');
+    rejects(code, () => extractZip(zip([{ name: 'ok.js', data: Buffer.from('1') }, { name, data: Buffer.from('2') }]), target));
+    assert.equal(fs.existsSync(target), false, name);
+  });
+  assert.equal(fs.existsSync(path.join(tmp, 'evil.js')), false);
+});
+
+test('symlinks and hard links are rejected', () => {
+  rejects('SYMLINK', () => extractZip(zip([{ name: 'link', data: Buffer.from('/etc/passwd'), mode: 0o120777 }]), tmpPath('out')));
+  rejects('SYMLINK', () => extractArchive(tar([{ name: 'link', type: '2' }]), tmpPath('out')));
+  rejects('SYMLINK', () => extractArchive(tar([{ name: 'link', type: '1' }]), tmpPath('out')));
+});
+
+test('too many entries are rejected', () => {
+  const entries = ['a.js', 'b.js', 'c.js'].map(name => ({ name, data: Buffer.from('1') }));
+  rejects('TOO_MANY_ENTRIES', () => extractZip(zip(entries), tmpPath('out'), { maxEntries: 2 }));
+});
+
+test('entries that compress suspiciously well are rejected', () => {
+  const bomb = zip([{ name: 'zeros.bin', data: Buffer.alloc(4 * 1024 * 1024), deflate: true }]);
+  rejects('COMPRESSION_RATIO', () => extractZip(bomb, tmpPath('out')));
+});
+
+test('a ZIP entry that lies about its size is stopped at the limits while inflating', () => {
+  // Declared as 0 bytes, so none of the header checks can catch it
+  const lying = zip([{ name: 'zeros.bin', data: Buffer.alloc(8 * 1024 * 1024), deflate: true, size: 0 }]);
+
+  rejects('COMPRESSION_RATIO', () => extractZip(lying, tmpPath('out')));
+  rejects('TOO_LARGE', () => extractZip(lying, tmpPath('out'), { maxTotalSize: 1024 * 1024, maxCompressionRatio: 100000 }));
+
+  const target = tmpPath('out');
+  const stored = zip([{ name: 'big.txt', data: Buffer.alloc(2048, 'a'), size: 0 }]);
+  rejects('TOO_LARGE', () => extractZip(stored, target, { maxTotalSize: 1024 }));
+  assert.equal(fs.existsSync(target), false);
+});
+
+test('corrupt ZIP data is an ArchiveError, not an adm-zip error', () => {
+  const corrupt = zip([{ name: 'app.js', data: Buffer.from('not deflated at all, just text'), size: 30 }]);
+  // Claim deflate for data that isn't
+  const bytes = fs.readFileSync(corrupt);
+  bytes.writeUInt16LE(8, 8);
+  bytes.writeUInt16LE(8, bytes.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 10);
+  fs.writeFileSync(corrupt, bytes);
+
+  rejects('INVALID_ARCHIVE', () => extractZip(corrupt, tmpPath('out')));
+
+  const garbage = tmpPath('garbage.zip');
+  fs.writeFileSync(garbage, Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(100, 1)]));
+  rejects('INVALID_ARCHIVE', () => extractArchive(garbage, tmpPath('out')));
+});
+
+test('an archive file larger than its content could be is rejected before it is read', () => {
+  const big = tar([{ name: 'big.txt', data: Buffer.alloc(64 * 1024, 'a') }]);
+  rejects('TOO_LARGE', () => extractArchive(big, tmpPath('out'), { maxTotalSize: 1024, maxEntries: 1 }));
+});
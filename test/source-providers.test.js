@@ -0,0 +1,328 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GitHubIntegration = require('../github-integration');
+const GitLabIntegration = require('../gitlab-integration');
+const BitbucketIntegration = require('../bitbucket-integration');
+const GiteaIntegration = require('../gitea-integration');
+const SourceProviders = require('../source-providers');
+const WorkspaceManager = require('../workspace-manager');
+const { SourceProviderError } = require('../source-provider');
+
+// A local stand-in for a repository host. Each test sets routes, keyed by "METHOD /path?query",
+// to a function (req, res) or a JSON body; every request is recorded.
+function stubServer() {
+  const stub = { routes: {}, requests: [] };
+  stub.server = http.createServer((req, res) => {
+    stub.requests.push({ method: req.method, url: req.url, headers: req.headers });
+    const route = stub.routes[`${req.method} ${req.url}`];
+    if (typeof route === 'function') return route(req, res);
+    if (route === undefined) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'Not Found' }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(route));
+  });
+  stub.listen = () => new Promise(resolve => stub.server.listen(0, '127.0.0.1', () => {
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+    resolve();
+  }));
+  stub.close = () => new Promise(resolve => stub.server.close(resolve));
+  stub.reset = () => {
+    stub.routes = {};
+    stub.requests = [];
+  };
+  return stub;
+}
+
+const host = stubServer();
+// A second host, to check that tokens aren't sent on after a redirect
+const elsewhere = stubServer();
+let tmp;
+let workspaces;
+
+before(async () => {
+  await host.listen();
+  await elsewhere.listen();
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'source-providers-'));
+  workspaces = new WorkspaceManager({ root: path.join(tmp, 'workspaces') });
+});
+
+after(async () => {
+  await host.close();
+  await elsewhere.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function github(token = 'github-token') {
+  host.reset();
+  elsewhere.reset();
+  return new GitHubIntegration({ baseUrl: host.url, apiUrl: `${host.url}/api`, token });
+}
+
+// A .tar.gz with everything in one top folder, like the hosts' archives
+function tarball(files) {
+  const dir = path.join(tmp, `archive-${Date.now()}`);
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, 'repo-main', name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'repo-main', name), content);
+  });
+  execFileSync('tar', ['czf', path.join(dir, 'repo.tar.gz'), '-C', dir, 'repo-main']);
+  return fs.readFileSync(path.join(dir, 'repo.tar.gz'));
+}
+
+test('repository URLs are matched to the host they belong to', () => {
+  const provider = github();
+  assert.equal(provider.matches(`${host.url}/acme/app`), true);
+  assert.equal(provider.matches('https://example.com/acme/app'), false);
+  assert.deepEqual(provider.parseRepoUrl(`${host.url}/acme/app.git`), { owner: 'acme', repo: 'app', fullName: 'acme/app' });
+  assert.throws(() => provider.parseRepoUrl(`${host.url}/acme`), { code: 'GITHUB_INVALID_URL', status: 400 });
+
+  const gitlab = new GitLabIntegration({ baseUrl: host.url });
+  assert.deepEqual(gitlab.parseRepoUrl(`${host.url}/group/sub/app/-/tree/main`), { owner: 'group/sub', repo: 'app', fullName: 'group/sub/app' });
+});
+
+test('an unsupported host is a 400', () => {
+  const sources = new SourceProviders([github()]);
+  assert.equal(sources.forUrl(`${host.url}/acme/app`).name, 'github');
+  assert.throws(() => sources.forUrl('https://example.com/acme/app'), { code: 'SOURCE_UNSUPPORTED_HOST', status: 400 });
+});
+
+test('GitHub repository info is read with the given token', async () => {
+  const provider = github();
+  host.routes['GET /api/repos/acme/app'] = {
+    name: 'app', description: 'An app', language: 'JavaScript', stargazers_count: 3, forks_count: 1,
+    size: 42, topics: ['api'], default_branch: 'main', private: true
+  };
+
+  const info = await provider.getRepositoryInfo(`${host.url}/acme/app`, { token: 'user-token' });
+  assert.deepEqual(info, {
+    name: 'app', description: 'An app', language: 'JavaScript', stars: 3, forks: 1, size: 42,
+    topics: ['api'], defaultBranch: 'main', private: true, provider: 'github'
+  });
+  assert.equal(host.requests[0].headers.authorization, 'Bearer user-token');
+});
+
+test('host errors become SourceProviderErrors with a code and status', async () => {
+  const provider = github(null);
+  const repoUrl = `${host.url}/acme/app`;
+
+  await assert.rejects(provider.getRepositoryInfo(repoUrl), error => {
+    assert.ok(error instanceof SourceProviderError);
+    assert.equal(error.code, 'GITHUB_NOT_FOUND');
+    assert.equal(error.status, 404);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+
+  host.routes['GET /api/repos/acme/app'] = (req, res) => {
+    res.writeHead(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 60) });
+    res.end('{}');
+  };
+  await assert.rejects(provider.getRepositoryInfo(repoUrl), error => {
+    assert.equal(error.code, 'GITHUB_RATE_LIMITED');
+    assert.equal(error.status, 429);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+
+  host.routes['GET /api/repos/acme/app'] = (req, res) => {
+    res.writeHead(401);
+    res.end();
+  };
+  await assert.rejects(provider.getRepositoryInfo(repoUrl, { token: 'expired' }), { code: 'GITHUB_UNAUTHORIZED', status: 401 });
+
+  host.routes['GET /api/repos/acme/app'] = (req, res) => {
+    res.writeHead(503);
+    res.end();
+  };
+  await assert.rejects(provider.getRepositoryInfo(repoUrl), error => error.code === 'GITHUB_UNAVAILABLE' && error.retryable);
+});
+
+test('the token is not sent on when a redirect leaves the host', async () => {
+  const provider = github();
+  host.routes['GET /api/repos/acme/app'] = (req, res) => {
+    res.writeHead(302, { Location: `${elsewhere.url}/signed/app` });
+    res.end();
+  };
+  elsewhere.routes['GET /signed/app'] = { name: 'app', default_branch: 'main' };
+
+  const info = await provider.getRepositoryInfo(`${host.url}/acme/app`);
+  assert.equal(info.name, 'app');
+  assert.equal(host.requests[0].headers.authorization, 'Bearer github-token');
+  assert.equal(elsewhere.requests[0].headers.authorization, undefined);
+});
+
+test('a GitHub repository is downloaded at the commit its ref resolves to', async () => {
+  const provider = github();
+  const sha = 'a'.repeat(40);
+  host.routes['GET /api/repos/acme/app'] = { name: 'app', default_branch: 'main' };
+  host.routes['GET /api/repos/acme/app/commits/main'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(sha);
+  };
+  host.routes[`GET /api/repos/acme/app/tarball/${sha}`] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/gzip' });
+    res.end(tarball({ 'index.js': 'module.exports = 1;\n', 'src/app.js': "require('express');\n" }));
+  };
+
+  await workspaces.run(async workspace => {
+    const { projectPath, repoInfo, commitSha } = await provider.analyzeRepository(`${host.url}/acme/app`, null, workspace);
+    assert.equal(commitSha, sha);
+    assert.equal(repoInfo.defaultBranch, 'main');
+    assert.equal(fs.readFileSync(path.join(projectPath, 'src', 'app.js'), 'utf8'), "require('express');\n");
+    assert.deepEqual(fs.readdirSync(workspace.path()).sort(), ['source']);
+  });
+});
+
+test('GitHub pull requests are diffed base...head', async () => {
+  const provider = github();
+  host.routes['GET /api/repos/acme/app/compare/main...feature%2Fx'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('diff --git a/a.js b/a.js\n');
+  };
+
+  const diff = await provider.fetchCompareDiff(`${host.url}/acme/app`, 'main', 'feature/x');
+  assert.equal(diff, 'diff --git a/a.js b/a.js\n');
+  assert.equal(host.requests[0].headers.accept, 'application/vnd.github.v3.diff');
+});
+
+test('GitHub diffs and commit lookups larger than the limit are GITHUB_TOO_LARGE', async () => {
+  const provider = github();
+  provider.maxDiffBody = 1024;
+  provider.maxApiBody = 64;
+  host.routes['GET /api/repos/acme/app/compare/main...feature'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`diff --git a/a.js b/a.js\n${'+x\n'.repeat(1000)}`);
+  };
+  host.routes['GET /api/repos/acme/app/commits/main'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('a'.repeat(100));
+  };
+
+  for (const run of [
+    () => provider.fetchCompareDiff(`${host.url}/acme/app`, 'main', 'feature'),
+    () => provider.resolveCommit(`${host.url}/acme/app`, 'main')
+  ]) {
+    await assert.rejects(run, error => {
+      assert.ok(error instanceof SourceProviderError);
+      assert.equal(error.code, 'GITHUB_TOO_LARGE');
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  }
+});
+
+test('GitLab diffs get git headers and the project is addressed by its encoded path', async () => {
+  host.reset();
+  const provider = new GitLabIntegration({ baseUrl: host.url, token: 'gl-token' });
+  host.routes['GET /api/v4/projects/group%2Fapp/repository/compare?from=main&to=feature&straight=false'] = {
+    diffs: [
+      { old_path: 'a.js', new_path: 'a.js', new_file: false, deleted_file: false, diff: '@@ -1 +1 @@\n-a\n+b\n' },
+      { old_path: 'b.js', new_path: 'b.js', new_file: true, deleted_file: false, diff: '@@ -0,0 +1 @@\n+c\n' }
+    ]
+  };
+
+  const diff = await provider.fetchCompareDiff(`${host.url}/group/app`, 'main', 'feature');
+  assert.equal(diff, [
+    'diff --git a/a.js b/a.js', '--- a/a.js', '+++ b/a.js', '@@ -1 +1 @@', '-a', '+b',
+    'diff --git a/b.js b/b.js', '--- /dev/null', '+++ b/b.js', '@@ -0,0 +1 @@', '+c', ''
+  ].join('\n'));
+  assert.equal(host.requests[0].headers.authorization, 'Bearer gl-token');
+});
+
+test('GitLab repository info takes the largest language', async () => {
+  host.reset();
+  const provider = new GitLabIntegration({ baseUrl: host.url });
+  host.routes['GET /api/v4/projects/group%2Fapp?statistics=true'] = {
+    name: 'app', star_count: 2, forks_count: 0, default_branch: 'main', visibility: 'private',
+    statistics: { repository_size: 2048 }, topics: []
+  };
+  host.routes['GET /api/v4/projects/group%2Fapp/languages'] = { Python: 20, JavaScript: 80 };
+
+  const info = await provider.getRepositoryInfo(`${host.url}/group/app`);
+  assert.equal(info.language, 'JavaScript');
+  assert.equal(info.size, 2);
+  assert.equal(info.private, true);
+});
+
+test('Bitbucket app passwords use basic auth and diffs are head..base', async () => {
+  host.reset();
+  const provider = new BitbucketIntegration({ baseUrl: host.url, apiUrl: `${host.url}/2.0`, token: 'user:secret' });
+  host.routes['GET /2.0/repositories/team/app/diff/feature..main'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('diff --git a/a.js b/a.js\n');
+  };
+
+  assert.equal(await provider.fetchCompareDiff(`${host.url}/team/app`, 'main', 'feature'), 'diff --git a/a.js b/a.js\n');
+  assert.equal(host.requests[0].headers.authorization, `Basic ${Buffer.from('user:secret').toString('base64')}`);
+});
+
+test('Bitbucket diffs and API responses larger than the limit are _TOO_LARGE', async () => {
+  host.reset();
+  const bitbucket = new BitbucketIntegration({ baseUrl: host.url, apiUrl: `${host.url}/2.0` });
+  bitbucket.maxDiffBody = 1024;
+  host.routes['GET /2.0/repositories/team/app/diff/feature..main'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`diff --git a/a.js b/a.js\n${'+x\n'.repeat(1000)}`);
+  };
+  const gitlab = new GitLabIntegration({ baseUrl: host.url });
+  gitlab.maxApiBody = 1024;
+  gitlab.maxDiffBody = 8192;
+  const files = Array.from({ length: 40 }, (_, index) => ({
+    old_path: `${index}.js`, new_path: `${index}.js`, new_file: false, deleted_file: false, diff: '@@ -1 +1 @@\n-a\n+b\n'
+  }));
+  host.routes['GET /api/v4/projects/group%2Fapp?statistics=true'] = { name: 'app', description: 'x'.repeat(2048) };
+  host.routes['GET /api/v4/projects/group%2Fapp/repository/compare?from=main&to=feature&straight=false'] = { diffs: files };
+
+  const rejects = (run, code) => assert.rejects(run, error => {
+    assert.ok(error instanceof SourceProviderError);
+    assert.equal(error.code, code);
+    return true;
+  });
+  await rejects(() => bitbucket.fetchCompareDiff(`${host.url}/team/app`, 'main', 'feature'), 'BITBUCKET_TOO_LARGE');
+  await rejects(() => gitlab.getRepositoryInfo(`${host.url}/group/app`), 'GITLAB_TOO_LARGE');
+
+  // Diffs read as JSON get the diff limit, not the API one
+  const diff = await gitlab.fetchCompareDiff(`${host.url}/group/app`, 'main', 'feature');
+  assert.equal(diff.split('diff --git').length - 1, 40);
+  gitlab.maxDiffBody = 1024;
+  await rejects(() => gitlab.fetchCompareDiff(`${host.url}/group/app`, 'main', 'feature'), 'GITLAB_TOO_LARGE');
+});
+
+test('Gitea is read with its own token scheme and rejects pull-request mode', async () => {
+  host.reset();
+  const provider = new GiteaIntegration({ baseUrl: host.url, token: 'gt-token' });
+  host.routes['GET /api/v1/repos/acme/app'] = { name: 'app', stars_count: 1, forks_count: 0, default_branch: 'main', private: false };
+
+  const info = await provider.getRepositoryInfo(`${host.url}/acme/app`);
+  assert.equal(info.stars, 1);
+  assert.equal(host.requests[0].headers.authorization, 'token gt-token');
+
+  assert.equal(provider.supportsPullRequests, false);
+  assert.equal(github().supportsPullRequests, true);
+  await workspaces.run(async workspace => {
+    await assert.rejects(
+      provider.analyzePullRequest(`${host.url}/acme/app`, 'main', 'feature', workspace),
+      { code: 'GITEA_UNSUPPORTED', status: 400 }
+    );
+  });
+  assert.equal(host.requests.length, 0);
+});
+
+test('a null token reads anonymously instead of falling back to the host\'s token', async () => {
+  host.reset();
+  const provider = new GitLabIntegration({ baseUrl: host.url, token: 'gl-token' });
+
+  await workspaces.run(async workspace => {
+    await assert.rejects(provider.analyzeRepository(`${host.url}/group/app`, null, workspace, { token: null }), { code: 'GITLAB_NOT_FOUND' });
+    await assert.rejects(provider.analyzeRepository(`${host.url}/group/app`, null, workspace), { code: 'GITLAB_NOT_FOUND' });
+  });
+  assert.equal(host.requests[0].headers.authorization, undefined);
+  assert.equal(host.requests[1].headers.authorization, 'Bearer gl-token');
+});
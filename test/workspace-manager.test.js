@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkspaceManager = require('../workspace-manager');
+
+const HOUR = 60 * 60 * 1000;
+let tmp;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-manager-'));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('sweep() leaves what another instance may still be using', () => {
+  const root = path.join(tmp, 'uploads');
+  const manager = new WorkspaceManager({ root, maxAge: HOUR });
+  const now = Date.now();
+  const old = new Date(now - 2 * HOUR);
+
+  // Another instance's workspace and upload in progress, and leftovers from hours ago
+  fs.mkdirSync(path.join(root, `ws-${now - 60000}-aaaa`));
+  fs.mkdirSync(path.join(root, `ws-${now - 2 * HOUR}-bbbb`));
+  fs.writeFileSync(path.join(manager.incomingDir, 'uploading'), 'x');
+  fs.writeFileSync(path.join(manager.incomingDir, 'orphaned'), 'x');
+  fs.utimesSync(path.join(manager.incomingDir, 'orphaned'), old, old);
+  fs.mkdirSync(path.join(root, 'extracted-1'));
+  fs.utimesSync(path.join(root, 'extracted-1'), old, old);
+  fs.mkdirSync(path.join(manager.queuedDir, 'scan-1'));
+
+  assert.equal(manager.sweep(now), 3);
+  assert.deepEqual(fs.readdirSync(root).sort(), ['.queued', 'incoming', `ws-${now - 60000}-aaaa`]);
+  assert.deepEqual(fs.readdirSync(manager.incomingDir), ['uploading']);
+  assert.deepEqual(fs.readdirSync(manager.queuedDir), ['scan-1']);
+});
+
+test('sweep() never removes this process\'s own workspaces', async () => {
+  const manager = new WorkspaceManager({ root: path.join(tmp, 'own'), maxAge: HOUR });
+  await manager.run(async workspace => {
+    assert.equal(manager.sweep(Date.now() + 2 * HOUR), 0);
+    assert.ok(fs.existsSync(workspace.dir));
+  });
+});
@@ -1,17 +1,69 @@
-const AdmZip = require('adm-zip');
-const path = require('path');
 const fs = require('fs');
+const multer = require('multer');
+const { extractArchive, extractEntries, DEFAULT_LIMITS } = require('./safe-extract');
 
-module.exports = function handleUpload(zipPath) {
+// Extracts an uploaded ZIP, tar or tar.gz into the analysis workspace, or rebuilds an uploaded
+// folder from the files' relative paths ([{ path, relativePath }]). Either way the same checks
+// apply and never more than the disk quota allows is written.
+module.exports = function handleUpload(upload, workspace) {
   return new Promise((resolve, reject) => {
     try {
-      const zip = new AdmZip(zipPath);
-      const extractPath = path.join(__dirname, 'uploads', Date.now().toString());
-      fs.mkdirSync(extractPath, { recursive: true });
-      zip.extractAllTo(extractPath, true);
-      resolve(extractPath);
+      const limits = { maxTotalSize: Math.min(DEFAULT_LIMITS.maxTotalSize, workspace.available()) };
+      if (Array.isArray(upload)) {
+        resolve(extractEntries(upload.map(toEntry), workspace.path('source'), limits));
+      } else {
+        resolve(extractArchive(upload, workspace.path('source'), limits));
+      }
     } catch (err) {
       reject(err);
     }
   });
+};
+
+function toEntry(file) {
+  const size = fs.statSync(file.path).size;
+  return {
+    name: file.relativePath,
+    isDirectory: false,
+    isLink: false,
+    size,
+    compressedSize: size,
+    getData: maxBytes => (size > maxBytes ? null : fs.readFileSync(file.path))
+  };
+}
+
+// Multer fields: one archive (zipfile is kept for older clients) or the files of a folder
+module.exports.FIELDS = [
+  { name: 'zipfile', maxCount: 1 },
+  { name: 'archive', maxCount: 1 },
+  { name: 'files', maxCount: DEFAULT_LIMITS.maxEntries }
+];
+
+// Multer limits, so an upload can't fill the disk before the archive checks get to run: no
+// file larger than an archive may be, and no more files than a folder may have
+module.exports.LIMITS = {
+  fileSize: DEFAULT_LIMITS.maxTotalSize,
+  files: DEFAULT_LIMITS.maxEntries
+};
+
+// Multer stops the upload at a limit; the client gets a code like for a rejected archive
+module.exports.limitError = function limitError(err, req, res, next) {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: err.message, code: err.code });
+};
+
+// What handleUpload should ingest for a request, or null if nothing was uploaded. Browsers
+// send a folder's relative paths in a parallel "paths" field, one per file.
+module.exports.uploadSource = function uploadSource(files = {}, body = {}) {
+  const archive = (files.zipfile || files.archive || [])[0];
+  if (archive) return archive.path;
+
+  const folder = files.files || [];
+  if (folder.length === 0) return null;
+
+  const paths = [].concat(body.paths || []);
+  return folder.map((file, index) => ({
+    path: file.path,
+    relativePath: paths[index] || file.originalname
+  }));
 };
\ No newline at end of file
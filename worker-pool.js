@@ -0,0 +1,191 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getCache } = require('./analysis-cache');
+
+const DEFAULT_SIZE = parseInt(process.env.SCAN_WORKERS || String(Math.max(os.cpus().length - 1, 1)), 10);
+// Below this many files starting workers and copying results costs more than it saves
+const MIN_FILES = parseInt(process.env.SCAN_WORKER_MIN_FILES || '200', 10);
+// Files per message; small enough that a slow chunk doesn't keep the other workers waiting
+const CHUNK_SIZE = 25;
+
+// Analyzers that can scan single files on a worker. Each has prepareFileScan(project) for the
+// state shared by all files, including the ruleset version the cache is keyed by, and
+// scanFile(project, file, state) returning plain data.
+const TASKS = {
+  replacement: () => require('./code-replacement-analyzer'),
+  deep: () => require('./deep-code-analyzer'),
+  intelligent: () => require('./intelligent-code-analyzer')
+};
+
+// Long-lived worker threads that scan files in chunks. Workers start on first use, stay
+// around between analyses and only keep the process alive while they have work.
+class WorkerPool {
+  constructor({ size = DEFAULT_SIZE, script = path.join(__dirname, 'scan-worker.js') } = {}) {
+    this.size = Math.max(size, 1);
+    this.script = script;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+    this.nextJobId = 1;
+  }
+
+  // Scans files with the named task and calls onResult(filePath, result, cached) as each file is done.
+  // Resolves when every file is scanned, rejects on the first chunk that fails or when signal
+  // is aborted.
+  run(task, projectPath, files, onResult, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+
+      const chunks = [];
+      for (let i = 0; i < files.length; i += CHUNK_SIZE) {
+        chunks.push(files.slice(i, i + CHUNK_SIZE));
+      }
+      if (chunks.length === 0) return resolve();
+
+      const onAbort = () => this.abort(job, signal.reason);
+      const settle = callback => value => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const job = { id: this.nextJobId++, task, projectPath, remaining: chunks.length, failed: false, onResult, resolve: settle(resolve), reject: settle(reject) };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      chunks.forEach(chunk => this.queue.push({ job, files: chunk }));
+      this.dispatch();
+    });
+  }
+
+  // Drops the job's queued chunks and stops the workers scanning the rest of it; handleExit
+  // replaces them
+  abort(job, reason) {
+    this.fail(job, reason);
+    this.queue = this.queue.filter(chunk => chunk.job !== job);
+    [...this.workers]
+      .filter(worker => worker.current && worker.current.job === job)
+      .forEach(worker => worker.terminate());
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const chunk = this.queue.shift();
+      // What's left of a failed job is dropped
+      if (chunk.job.failed) continue;
+
+      const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawn() : null);
+      if (!worker) {
+        this.queue.unshift(chunk);
+        return;
+      }
+
+      worker.current = chunk;
+      worker.ref();
+      worker.postMessage({
+        jobId: chunk.job.id,
+        task: chunk.job.task,
+        projectPath: chunk.job.projectPath,
+        files: chunk.files
+      });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.script);
+    worker.current = null;
+    worker.on('message', message => this.handleMessage(worker, message));
+    worker.on('error', error => this.handleExit(worker, error));
+    worker.on('exit', code => this.handleExit(worker, new Error(`Skanningsworkern avslutades oväntat (kod ${code})`)));
+    this.workers.add(worker);
+    return worker;
+  }
+
+  handleMessage(worker, message) {
+    const chunk = worker.current;
+    if (!chunk) return;
+    const { job } = chunk;
+
+    if (message.type === 'file') {
+      if (job.failed) return;
+      try {
+        job.onResult(message.file, message.result, message.cached);
+      } catch (error) {
+        this.fail(job, error);
+      }
+      return;
+    }
+
+    if (message.type === 'error') {
+      this.fail(job, new Error(message.error));
+    } else if (message.type === 'done' && !job.failed) {
+      job.remaining--;
+      if (job.remaining === 0) job.resolve();
+    }
+
+    worker.current = null;
+    worker.unref();
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  // A crashed worker is replaced on the next dispatch; the job it was working on fails
+  handleExit(worker, error) {
+    if (!this.workers.has(worker)) return;
+    this.workers.delete(worker);
+    this.idle = this.idle.filter(idle => idle !== worker);
+    if (worker.current) this.fail(worker.current.job, error);
+    worker.current = null;
+    this.dispatch();
+  }
+
+  fail(job, error) {
+    if (job.failed) return;
+    job.failed = true;
+    job.reject(error);
+  }
+
+  async destroy() {
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+let sharedPool = null;
+
+function getPool() {
+  if (!sharedPool) sharedPool = new WorkerPool();
+  return sharedPool;
+}
+
+// Runs analyzer.scanFile for every file, through the analysis cache, and resolves to
+// { results: Map(path -> result), cacheHits }. Large projects are spread over the worker pool;
+// small ones, or SCAN_WORKERS=0, run here but give the event loop a turn between files so
+// progress requests still get answered. An aborted signal stops the scan between files.
+async function scanFiles(task, analyzer, project, files, { state, onProgress, signal } = {}) {
+  const results = new Map();
+  let cacheHits = 0;
+  const collect = (filePath, result, cached) => {
+    results.set(filePath, result);
+    if (cached) cacheHits++;
+    if (onProgress) onProgress(results.size, files.length, filePath);
+  };
+
+  if (DEFAULT_SIZE > 0 && files.length >= MIN_FILES) {
+    await getPool().run(task, project.projectPath, files, collect, signal);
+    return { results, cacheHits };
+  }
+
+  const cache = getCache();
+  for (const file of files) {
+    if (signal) signal.throwIfAborted();
+    const { result, cached } = cache.scanFile(task, analyzer, project, file, state);
+    collect(file.path, result, cached);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return { results, cacheHits };
+}
+
+module.exports = WorkerPool;
+module.exports.TASKS = TASKS;
+module.exports.getPool = getPool;
+module.exports.scanFiles = scanFiles;
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_ROOT = path.join(__dirname, 'uploads');
+const DEFAULT_QUOTA = parseInt(process.env.WORKSPACE_QUOTA_BYTES || String(2 * 1024 * 1024 * 1024), 10);
+// Instances sharing uploads/ can't see each other's workspaces, so sweep() only removes what's
+// older than any of them could still be using: twice the time a queued scan may run
+const DEFAULT_MAX_AGE = parseInt(
+  process.env.WORKSPACE_MAX_AGE_MS || String(2 * parseInt(process.env.SCAN_JOB_TIMEOUT_MS || String(15 * 60 * 1000), 10)),
+  10
+);
+
+class WorkspaceQuotaError extends Error {
+  constructor(used, quota) {
+    super(`Servern har inte tillräckligt med diskutrymme för fler analyser just nu (${Math.round(used / 1024 / 1024)} av ${Math.round(quota / 1024 / 1024)} MB används)`);
+    this.name = 'WorkspaceQuotaError';
+    this.code = 'DISK_QUOTA_EXCEEDED';
+    this.details = { used, quota };
+  }
+}
+
+// One isolated directory per analysis; everything a source writes goes below it
+class Workspace {
+  constructor(manager, id) {
+    this.manager = manager;
+    this.id = id;
+    this.dir = path.join(manager.root, `ws-${id}`);
+  }
+
+  path(...parts) {
+    return path.join(this.dir, ...parts);
+  }
+
+  // What this workspace may still write without pushing uploads/ over the quota
+  available() {
+    return this.manager.available();
+  }
+}
+
+// Owns uploads/: allocates workspaces, removes them when the analysis is done and
+// cleans up whatever a crashed or restarted process left behind
+class WorkspaceManager {
+  constructor({ root = DEFAULT_ROOT, quota = DEFAULT_QUOTA, maxAge = DEFAULT_MAX_AGE } = {}) {
+    this.root = root;
+    this.quota = quota;
+    this.maxAge = maxAge;
+    // multer writes raw uploads here before they are extracted into a workspace
+    this.incomingDir = path.join(root, 'incoming');
+    // Uploads of queued scans wait here; sweep() skips dot directories so they survive a restart
+    this.queuedDir = path.join(root, '.queued');
+    this.active = new Set();
+
+    fs.mkdirSync(this.incomingDir, { recursive: true });
+    fs.mkdirSync(this.queuedDir, { recursive: true });
+  }
+
+  create() {
+    const used = this.usage();
+    if (used >= this.quota) {
+      throw new WorkspaceQuotaError(used, this.quota);
+    }
+
+    const workspace = new Workspace(this, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`);
+    fs.mkdirSync(workspace.dir, { recursive: true });
+    this.active.add(workspace.dir);
+    return workspace;
+  }
+
+  release(workspace) {
+    if (!workspace) return;
+    this.active.delete(workspace.dir);
+    fs.rmSync(workspace.dir, { recursive: true, force: true });
+  }
+
+  // Runs fn with a fresh workspace and removes it afterwards, whether fn succeeds or throws
+  async run(fn) {
+    const workspace = this.create();
+    try {
+      return await fn(workspace);
+    } finally {
+      this.release(workspace);
+    }
+  }
+
+  // Removes multer temp files (req.file or req.files) once they have been extracted or the
+  // request was rejected
+  discardUploads(files) {
+    if (!files) return;
+    const list = Array.isArray(files) ? files : files.path ? [files] : Object.values(files).flat();
+    list.forEach(file => fs.rmSync(file.path, { force: true }));
+  }
+
+  // Moves an upload source (archive path or [{ path, relativePath }]) out of incoming/ so it
+  // is still there when the queued scan runs, and returns it with the new paths
+  keepUpload(key, source) {
+    const dir = path.join(this.queuedDir, key);
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (!Array.isArray(source)) {
+      const target = path.join(dir, 'archive');
+      fs.renameSync(source, target);
+      return target;
+    }
+    return source.map((file, index) => {
+      const target = path.join(dir, String(index));
+      fs.renameSync(file.path, target);
+      return { path: target, relativePath: file.relativePath };
+    });
+  }
+
+  discardKeptUpload(key) {
+    fs.rmSync(path.join(this.queuedDir, key), { recursive: true, force: true });
+  }
+
+  // Everything below uploads/ that no workspace of this process owns and that is older than
+  // maxAge is left over from an earlier run: old workspaces, Date.now() and extracted-* dirs
+  // and orphaned multer files. Younger entries may belong to another instance.
+  sweep(now = Date.now()) {
+    let removed = 0;
+
+    const remove = entryPath => {
+      if (this.active.has(entryPath) || now - entryTime(entryPath) <= this.maxAge) return;
+      fs.rmSync(entryPath, { recursive: true, force: true });
+      removed++;
+    };
+
+    fs.readdirSync(this.root).forEach(name => {
+      if (name.startsWith('.')) return;
+      const entryPath = path.join(this.root, name);
+      if (entryPath === this.incomingDir) {
+        fs.readdirSync(entryPath).forEach(file => remove(path.join(entryPath, file)));
+      } else {
+        remove(entryPath);
+      }
+    });
+
+    if (removed > 0) {
+      console.log(`🧹 Rensade ${removed} kvarlämnade filer och kataloger i ${this.root}`);
+    }
+    return removed;
+  }
+
+  usage() {
+    return directorySize(this.root);
+  }
+
+  available() {
+    return Math.max(this.quota - this.usage(), 0);
+  }
+}
+
+function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    // Removed while we were counting
+    return 0;
+  }
+
+  entries.forEach(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += directorySize(entryPath);
+    } else {
+      try {
+        total += fs.lstatSync(entryPath).size;
+      } catch (error) {
+        // Same as above
+      }
+    }
+  });
+  return total;
+}
+
+let sharedManager = null;
+
+// The server's one manager for uploads/. Every route uses it, so the quota and sweep() see
+// all active workspaces rather than only those of the route that created them.
+function getWorkspaces() {
+  if (!sharedManager) sharedManager = new WorkspaceManager();
+  return sharedManager;
+}
+
+// When an entry was created: workspaces carry it in their name, since their own mtime stops
+// changing once the source is extracted; anything else goes by its last modification
+function entryTime(entryPath) {
+  const match = path.basename(entryPath).match(/^ws-(\d+)-/);
+  if (match) return Number(match[1]);
+  try {
+    return fs.lstatSync(entryPath).mtimeMs;
+  } catch (error) {
+    // Already gone
+    return Infinity;
+  }
+}
+
+module.exports = WorkspaceManager;
+module.exports.getWorkspaces = getWorkspaces;
+module.exports.Workspace = Workspace;
+module.exports.WorkspaceQuotaError = WorkspaceQuotaError;